@@ -14,6 +14,10 @@ const App = {
   init() {
     console.log('Initializing PrintCost...');
 
+    // Format money in the chosen base currency and locale
+    CONFIG.setCurrency(storage.getSetting('currency'));
+    Formatters.setLocale(storage.getSetting('locale'));
+
     // Load saved theme
     this.loadTheme();
 
@@ -119,12 +123,24 @@ const App = {
       case 'consumables':
         this.renderConsumables();
         break;
+      case 'channels':
+        this.renderChannels();
+        break;
+      case 'hardware':
+        this.renderHardware();
+        break;
+      case 'shipping':
+        this.renderShipping();
+        break;
       case 'history':
         this.renderHistory();
         break;
       case 'compare':
         this.renderCompare();
         break;
+      case 'breakeven':
+        this.renderBreakEven();
+        break;
     }
   },
 
@@ -180,6 +196,10 @@ const App = {
       this.showPrinterModal();
     });
 
+    document.getElementById('btn-add-dryer').addEventListener('click', () => {
+      this.showDryerModal();
+    });
+
     // Add filament button
     document.getElementById('btn-add-filament').addEventListener('click', () => {
       this.showFilamentModal();
@@ -189,6 +209,24 @@ const App = {
     document.getElementById('btn-add-consumable').addEventListener('click', () => {
       this.showConsumableModal();
     });
+
+    // Add hardware button
+    document.getElementById('btn-add-hardware-item').addEventListener('click', () => {
+      this.showHardwareModal();
+    });
+
+    // Add packaging and shipping rate buttons
+    document.getElementById('btn-add-packaging-item').addEventListener('click', () => {
+      this.showPackagingModal();
+    });
+    document.getElementById('btn-add-shipping-rate').addEventListener('click', () => {
+      this.showShippingRateModal();
+    });
+
+    // Add sales channel button
+    document.getElementById('btn-add-channel').addEventListener('click', () => {
+      this.showChannelModal();
+    });
   },
 
   // ============================================================
@@ -271,9 +309,11 @@ const App = {
     const allHistory = storage.getPrintHistory();
     const consumables = storage.getConsumables().filter(c => c.needsReplacement(80));
     const printers = storage.getPrinters();
+    const exchangeRates = storage.getExchangeRates();
 
     // Calculate average cost breakdown from all history
-    const avgBreakdown = this.calculateAverageBreakdown(allHistory);
+    const avgBreakdown = this.calculateAverageBreakdown(allHistory, exchangeRates);
+    const supportSpend = this.calculateSupportSpend(allHistory, exchangeRates);
 
     container.innerHTML = `
       <!-- Stats Cards -->
@@ -285,14 +325,26 @@ const App = {
         <div class="card stat-card">
           <div class="stat-card__label">Total Cost</div>
           <div class="stat-card__value">${Formatters.currency(stats.totalCost)}</div>
+          ${stats.totalUnits > stats.totalPrints ? `
+            <div class="stat-card__change">${Formatters.currency(stats.averageUnitCost)} per unit (${stats.totalUnits} units)</div>
+          ` : ''}
+          ${Object.entries(stats.unconvertedCosts).map(([code, total]) => `
+            <div class="stat-card__change">+ ${CONFIG.formatCurrency(total, code)} without a ${code} exchange rate</div>
+          `).join('')}
         </div>
         <div class="card stat-card">
           <div class="stat-card__label">Filament Used</div>
           <div class="stat-card__value">${Formatters.weight(stats.totalFilament)}</div>
+          ${stats.totalWaste > 0 ? `
+            <div class="stat-card__change">+${Formatters.weight(stats.totalWaste)} purge waste (${Formatters.percent(stats.wastePercent)})</div>
+          ` : ''}
         </div>
         <div class="card stat-card">
           <div class="stat-card__label">Print Time</div>
           <div class="stat-card__value">${Formatters.time(stats.totalTime)}</div>
+          ${avgBreakdown.overhead > 0 ? `
+            <div class="stat-card__change">${Formatters.currency(avgBreakdown.overhead)} shop overhead absorbed</div>
+          ` : ''}
         </div>
       </div>
 
@@ -340,6 +392,7 @@ const App = {
                     <tr>
                       <th>Name</th>
                       <th>Cost</th>
+                      <th>Per Unit</th>
                       <th>Date</th>
                     </tr>
                   </thead>
@@ -347,7 +400,8 @@ const App = {
                     ${recentHistory.map(job => `
                       <tr>
                         <td>${Helpers.escapeHtml(job.name)}</td>
-                        <td>${Formatters.currency(job.costs.total)}</td>
+                        <td>${job.getFormattedTotal()}</td>
+                        <td>${job.quantity > 1 ? `${job.formatCost(job.getCostPerUnit())} × ${job.quantity}` : '—'}</td>
                         <td>${job.getDisplayDate()}</td>
                       </tr>
                     `).join('')}
@@ -393,6 +447,36 @@ const App = {
         </div>
       </div>
 
+      <!-- Support Material -->
+      ${supportSpend.total > 0 ? `
+        <div class="card mt-6">
+          <div class="card__header">
+            <h3 class="card__title">Support Material</h3>
+            <span class="text-sm text-gray-500">${Formatters.currency(supportSpend.total)} on supports · ${Formatters.percent(supportSpend.percent)} of filament spend</span>
+          </div>
+          <div class="card__body">
+            <div class="grid grid--2">
+              ${[['By Material', supportSpend.byMaterial], ['By Printer', supportSpend.byPrinter]].map(([title, rows]) => `
+                <div>
+                  <h4 class="mb-2">${title}</h4>
+                  <table class="table">
+                    <tbody>
+                      ${rows.map(row => `
+                        <tr>
+                          <td>${Helpers.escapeHtml(row.label)}</td>
+                          <td class="font-semibold">${Formatters.currency(row.cost)}</td>
+                          <td class="text-sm text-gray-500">${Formatters.percent(row.percent)} of filament</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                  </table>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        </div>
+      ` : ''}
+
       <!-- Printer Utilization -->
       ${printers.length > 0 ? `
         <div class="card mt-6">
@@ -431,7 +515,7 @@ const App = {
     // Render charts after DOM is updated
     if (allHistory.length > 0) {
       ChartManager.createCostBreakdown('dashboard-cost-breakdown', avgBreakdown);
-      ChartManager.createSpendingOverTime('dashboard-spending-time', allHistory);
+      ChartManager.createSpendingOverTime('dashboard-spending-time', allHistory, exchangeRates);
     }
 
     if (printers.length > 0) {
@@ -442,15 +526,20 @@ const App = {
   /**
    * Calculate average cost breakdown from print history
    * @param {Array} history - Print history array
+   * @param {ExchangeRateTable|null} exchangeRates - Rates into the base currency (jobs without one are left out)
    * @returns {Object} Breakdown object
    */
-  calculateAverageBreakdown(history) {
+  calculateAverageBreakdown(history, exchangeRates = null) {
     const breakdown = {
       filament: 0,
+      waste: 0,
       electricity: 0,
       depreciation: 0,
       consumables: 0,
+      overhead: 0,
       labor: 0,
+      hardware: 0,
+      shipping: 0,
     };
 
     if (!history || history.length === 0) {
@@ -458,23 +547,78 @@ const App = {
     }
 
     history.forEach(job => {
-      if (job.costs) {
-        breakdown.filament += job.costs.filament || 0;
-        breakdown.electricity += job.costs.electricity || 0;
-        breakdown.depreciation += job.costs.depreciation || 0;
-        breakdown.consumables += job.costs.consumables || 0;
-        breakdown.labor += job.costs.labor || 0;
+      const rate = job.convertCost(1, exchangeRates);
+      if (job.costs && rate !== null) {
+        breakdown.filament += (job.costs.filament || 0) * rate;
+        breakdown.waste += (job.costs.waste || 0) * rate;
+        breakdown.electricity += (job.costs.electricity || 0) * rate;
+        breakdown.depreciation += (job.costs.depreciation || 0) * rate;
+        breakdown.consumables += (job.costs.consumables || 0) * rate;
+        breakdown.overhead += (job.costs.overhead || 0) * rate;
+        breakdown.labor += (job.costs.labor || 0) * rate;
+        breakdown.hardware += (job.costs.hardware || 0) * rate;
+        breakdown.shipping += (job.costs.shipping || 0) * rate;
       }
     });
 
     return breakdown;
   },
 
+  /**
+   * Total support and interface material spend from print history
+   * @param {Array} history - Print history array
+   * @param {ExchangeRateTable|null} exchangeRates - Rates into the base currency (jobs without one are left out)
+   * @returns {Object} { total, percent, byMaterial, byPrinter } rows are { label, cost, percent } of that group's filament spend
+   */
+  calculateSupportSpend(history, exchangeRates = null) {
+    const printers = storage.getPrinters();
+    const groups = { material: {}, printer: {} };
+    let total = 0;
+    let filamentTotal = 0;
+
+    const add = (group, key, label, filamentCost, supportCost) => {
+      groups[group][key] = groups[group][key] || { label, cost: 0, filamentCost: 0 };
+      groups[group][key].cost += supportCost;
+      groups[group][key].filamentCost += filamentCost;
+    };
+
+    history.forEach(job => {
+      const rate = job.convertCost(1, exchangeRates);
+      if (rate === null) return;
+      const printerName = printers.find(p => p.id === job.printerId)?.getDisplayName() || 'Deleted printer';
+      job.filamentsUsed.forEach(f => {
+        const cost = f.cost * rate;
+        const supportCost = f.role === 'support' || f.role === 'interface' ? cost : 0;
+        add('material', f.material || 'Unknown', f.material || 'Unknown', cost, supportCost);
+        add('printer', job.printerId || 'none', printerName, cost, supportCost);
+        total += supportCost;
+        filamentTotal += cost;
+      });
+    });
+
+    const toRows = group => Object.values(groups[group])
+      .filter(row => row.cost > 0)
+      .map(row => ({ label: row.label, cost: row.cost, percent: (row.cost / row.filamentCost) * 100 }))
+      .sort((a, b) => b.cost - a.cost);
+
+    return {
+      total,
+      percent: filamentTotal > 0 ? (total / filamentTotal) * 100 : 0,
+      byMaterial: toRows('material'),
+      byPrinter: toRows('printer'),
+    };
+  },
+
   renderCalculator() {
     const container = document.getElementById('calculator-content');
     const printers = storage.getPrinters();
     const filaments = storage.getFilaments();
     const settings = storage.getSettings();
+    const tariffSchedule = storage.getTariffSchedule();
+    const channels = storage.getSalesChannels();
+    const hardwareItems = storage.getHardwareItems();
+    const packagingItems = storage.getPackagingItems();
+    const shippingRates = storage.getShippingRateTables();
 
     container.innerHTML = `
       <div class="grid grid--2">
@@ -484,14 +628,81 @@ const App = {
             <h3 class="card__title">Print Details</h3>
           </div>
           <div class="card__body">
+            <div class="grid grid--2">
+              <div class="form-group">
+                <label class="form-label">Job Name <span class="tooltip-icon" title="Optional name to identify this print in your history">?</span></label>
+                <input type="text" class="form-input" id="calc-name" placeholder="My Print">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Tags <span class="tooltip-icon" title="Comma-separated tags such as miniature or vase. Failure rates are learned per tag from print outcomes.">?</span></label>
+                <input type="text" class="form-input" id="calc-tags" placeholder="e.g., miniature, supports">
+              </div>
+            </div>
+
             <div class="form-group">
-              <label class="form-label">Job Name <span class="tooltip-icon" title="Optional name to identify this print in your history">?</span></label>
-              <input type="text" class="form-input" id="calc-name" placeholder="My Print">
+              <label class="form-label form-label--required">Print Time (minutes) <span class="tooltip-icon" title="Print time for one plate from your slicer. Found in the sliced preview or G-code file.">?</span></label>
+              <input type="text" inputmode="decimal" class="form-input" id="calc-time" value="60">
+            </div>
+
+            <div class="grid grid--3">
+              <div class="form-group">
+                <label class="form-label">Units per Plate <span class="tooltip-icon" title="Copies of the part printed together on one plate. Print time and filament grams are for the whole plate.">?</span></label>
+                <input type="text" inputmode="numeric" class="form-input" id="calc-units-per-plate" value="1">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Plates <span class="tooltip-icon" title="How many times the plate is printed in this job.">?</span></label>
+                <input type="text" inputmode="numeric" class="form-input" id="calc-plates" value="1">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Setup per Plate <span class="tooltip-icon" title="Labor minutes to prepare, start and clear each plate, charged at the setup rate and shared across the units.">?</span></label>
+                <div class="input-group">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-setup-minutes" value="0">
+                  <span class="input-group__addon">min</span>
+                </div>
+              </div>
+            </div>
+
+            <div class="grid grid--2">
+              <div class="form-group">
+                <label class="form-label">Heat-up (minutes) <span class="tooltip-icon" title="Time the bed and nozzle spend heating, charged at the printer's heated wattage. Leave blank to estimate it from the filament's bed and nozzle temperatures, or enter 0 to skip.">?</span></label>
+                <input type="text" inputmode="decimal" class="form-input" id="calc-heatup" placeholder="Auto">
+              </div>
+              <div class="form-group">
+                <label class="form-label">Idle After Print (minutes) <span class="tooltip-icon" title="Time the printer stays powered after the print finishes (cooldown, waiting for plate removal), charged at its idle wattage.">?</span></label>
+                <input type="text" inputmode="decimal" class="form-input" id="calc-idle" value="0">
+              </div>
             </div>
 
             <div class="form-group">
-              <label class="form-label form-label--required">Print Time (minutes) <span class="tooltip-icon" title="Total print time from your slicer. Found in the sliced preview or G-code file.">?</span></label>
-              <input type="number" class="form-input" id="calc-time" min="0" step="1" value="60">
+              <label class="form-label">Energy <span class="tooltip-icon" title="Estimate energy from the printer's wattage, or enter what an energy-monitoring plug measured for this job. Measured energy replaces the estimate.">?</span></label>
+              <select class="form-select" id="calc-energy-mode">
+                <option value="estimate">Estimate from printer wattage</option>
+                <option value="measured">Measured kWh</option>
+                <option value="meter">Meter readings (start/end)</option>
+              </select>
+            </div>
+            <div class="form-group hidden" id="calc-energy-measured">
+              <label class="form-label">Measured Energy</label>
+              <div class="input-group">
+                <input type="text" inputmode="decimal" class="form-input" id="calc-measured-kwh" value="0">
+                <span class="input-group__addon">kWh</span>
+              </div>
+            </div>
+            <div class="grid grid--2 hidden" id="calc-energy-meter">
+              <div class="form-group">
+                <label class="form-label">Meter Start</label>
+                <div class="input-group">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-meter-start" value="0">
+                  <span class="input-group__addon">kWh</span>
+                </div>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Meter End</label>
+                <div class="input-group">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-meter-end" value="0">
+                  <span class="input-group__addon">kWh</span>
+                </div>
+              </div>
             </div>
 
             <div class="form-group">
@@ -503,7 +714,7 @@ const App = {
             </div>
 
             <div class="form-group">
-              <label class="form-label form-label--required">Filaments Used <span class="tooltip-icon" title="Select filament(s) and enter the weight in grams from your slicer. Add multiple for multi-color prints.">?</span></label>
+              <label class="form-label form-label--required">Filaments Used <span class="tooltip-icon" title="Select filament(s) and enter the weight in grams for one plate from your slicer. Add multiple for multi-color prints.">?</span></label>
               <div id="calc-filaments-list">
                 <!-- Filament entries will be added here dynamically -->
               </div>
@@ -519,30 +730,117 @@ const App = {
               <div class="form-group">
                 <label class="form-label">Electricity Rate <span class="tooltip-icon" title="Your electricity cost per kilowatt-hour. Check your utility bill or use your region's average rate.">?</span></label>
                 <div class="input-group">
-                  <input type="number" class="form-input" id="calc-electricity" min="0" step="0.01" value="${settings.electricityRate || 0.15}">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-electricity" value="${Formatters.inputNumber(settings.electricityRate || 0.15)}">
                   <span class="input-group__addon">/kWh</span>
                 </div>
               </div>
               <div class="form-group">
                 <label class="form-label">Failure Rate <span class="tooltip-icon" title="Percentage of prints that fail. A 5% rate means 1 in 20 prints fail. This adds a buffer to cover wasted materials from failed prints.">?</span></label>
                 <div class="input-group">
-                  <input type="number" class="form-input" id="calc-failure" min="0" max="100" step="1" value="${(settings.defaultFailureRate || 0.05) * 100}">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-failure" value="${Formatters.inputNumber((settings.defaultFailureRate || 0.05) * 100)}">
                   <span class="input-group__addon">%</span>
                 </div>
+                <div class="form-hint" id="calc-failure-hint"></div>
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Failure Point <span class="tooltip-icon" title="How far failed prints usually get. A print that fails in the first layers wastes little filament and machine time; only the wasted share is added to the failure buffer.">?</span></label>
+              <select class="form-select" id="calc-failure-point">
+                <option value="learned">Learned from history</option>
+                <option value="manual">Enter by hand</option>
+                <option value="full">Whole job wasted</option>
+              </select>
+              <div class="form-hint" id="calc-failure-point-hint"></div>
+            </div>
+
+            <div class="grid grid--4 hidden" id="calc-failure-manual">
+              ${Object.entries(CONFIG.FAILURE_POINTS).map(([key, point]) => `
+                <div class="form-group">
+                  <label class="form-label">${point.name} <span class="text-gray-500">${point.min}–${point.max}%</span></label>
+                  <div class="input-group">
+                    <input type="text" inputmode="decimal" class="form-input" data-failure-share="${key}" value="${Formatters.inputNumber(CONFIG.DEFAULTS.FAILURE_POINT_SHARES[key])}">
+                    <span class="input-group__addon">%</span>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+
+            ${tariffSchedule.isActive() ? `
+              <div class="form-group">
+                <label class="form-label">Planned Start <span class="tooltip-icon" title="When the print will start. Each part of the print is priced at the time-of-use band it falls in; hours outside every band use the electricity rate above.">?</span></label>
+                <input type="datetime-local" class="form-input" id="calc-start" value="${Formatters.dateTimeLocal(new Date())}">
+              </div>
+            ` : ''}
+
+            <div class="form-group">
+              <label class="form-label">Labor <span class="tooltip-icon" title="Time spent on this print (design, plate prep, supervision, post-processing), each task at its own hourly rate. Per-job tasks are counted once, per-unit tasks for every unit. Leave empty if not selling.">?</span></label>
+              <div id="calc-labor-list">
+                <!-- Labor tasks will be added here dynamically -->
+              </div>
+              <datalist id="calc-labor-task-names">
+                ${Object.values(CONFIG.LABOR_TASKS).map(task => `<option value="${task.name}">`).join('')}
+              </datalist>
+              <button type="button" class="btn btn--ghost btn--sm" id="btn-add-labor-task">
+                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+                Add Task
+              </button>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Setup Rate <span class="tooltip-icon" title="Hourly rate for the setup minutes per plate.">?</span></label>
+              <div class="input-group">
+                <input type="text" inputmode="decimal" class="form-input" id="calc-setup-rate" value="0">
+                <span class="input-group__addon">/hr</span>
+              </div>
+            </div>
+
+            <hr class="my-4">
+
+            <div class="form-group">
+              <label class="form-label">Bill of Materials <span class="tooltip-icon" title="Non-printed parts and finishing supplies (inserts, magnets, screws, paint), as the quantity for one unit. Stock is deducted when you save the job. Manage them on the Hardware page.">?</span></label>
+              <div id="calc-hardware-list">
+                <!-- Hardware entries will be added here dynamically -->
               </div>
+              ${hardwareItems.length > 0 ? `
+                <button type="button" class="btn btn--ghost btn--sm" id="btn-add-hardware">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+                  Add Hardware
+                </button>
+              ` : `
+                <div class="form-hint">No hardware yet. Add inserts, magnets and supplies on the <a href="#hardware">Hardware</a> page.</div>
+              `}
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Packaging <span class="tooltip-icon" title="Boxes, padding, labels and other supplies used to send this print. Manage them on the Shipping page.">?</span></label>
+              <div id="calc-packaging-list">
+                <!-- Packaging entries will be added here dynamically -->
+              </div>
+              ${packagingItems.length > 0 ? `
+                <button type="button" class="btn btn--ghost btn--sm" id="btn-add-packaging">
+                  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+                  Add Packaging
+                </button>
+              ` : `
+                <div class="form-hint">No packaging yet. Add boxes and supplies on the <a href="#shipping">Shipping</a> page.</div>
+              `}
             </div>
 
             <div class="grid grid--2">
               <div class="form-group">
-                <label class="form-label">Labor Rate <span class="tooltip-icon" title="Your hourly rate for time spent on this print (design, setup, post-processing). Set to 0 if not selling.">?</span></label>
-                <div class="input-group">
-                  <input type="number" class="form-input" id="calc-labor-rate" min="0" step="0.01" value="0">
-                  <span class="input-group__addon">/hr</span>
-                </div>
+                <label class="form-label">Shipping Rate <span class="tooltip-icon" title="Postage rate table. The parcel weight picks the rate band.">?</span></label>
+                <select class="form-select" id="calc-shipping-rate">
+                  <option value="">No postage</option>
+                  ${shippingRates.map(r => `<option value="${r.id}">${Helpers.escapeHtml(r.getDisplayName())}</option>`).join('')}
+                </select>
               </div>
               <div class="form-group">
-                <label class="form-label">Labor Time (hours) <span class="tooltip-icon" title="Hours spent on design, setup, monitoring, post-processing, etc.">?</span></label>
-                <input type="number" class="form-input" id="calc-labor-hours" min="0" step="0.1" value="0">
+                <label class="form-label">Parcel Weight <span class="tooltip-icon" title="Leave blank to use the filament weight plus the packaging weight.">?</span></label>
+                <div class="input-group">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-shipping-weight" placeholder="Auto">
+                  <span class="input-group__addon">g</span>
+                </div>
               </div>
             </div>
 
@@ -550,15 +848,55 @@ const App = {
               <div class="form-group">
                 <label class="form-label">Markup <span class="tooltip-icon" title="Profit margin percentage added on top of all costs. Use this when pricing prints for sale. 50% markup on a $10 cost = $15 price.">?</span></label>
                 <div class="input-group">
-                  <input type="number" class="form-input" id="calc-markup" min="0" max="1000" step="1" value="0">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-markup" value="0">
                   <span class="input-group__addon">%</span>
                 </div>
               </div>
               <div class="form-group">
                 <label class="form-label">Selling Price <span class="tooltip-icon" title="Enter your intended selling price to see profit or loss. Leave at 0 to skip profit calculation.">?</span></label>
                 <div class="input-group">
-                  <span class="input-group__addon">$</span>
-                  <input type="number" class="form-input" id="calc-selling-price" min="0" step="0.01" value="0">
+                  <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-selling-price" value="0">
+                </div>
+              </div>
+            </div>
+
+            <div class="grid grid--3">
+              <div class="form-group">
+                <label class="form-label">Solve Price For <span class="tooltip-icon" title="Work out the selling price that reaches a target after the sales channel's fees and tax, instead of adding markup on cost.">?</span></label>
+                <select class="form-select" id="calc-solve-target">
+                  <option value="">Off</option>
+                  ${Object.entries(CONFIG.PRICING_TARGETS).map(([key, t]) => `<option value="${key}">${t.name}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Target</label>
+                <div class="input-group">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-solve-value" value="40">
+                  <span class="input-group__addon" id="calc-solve-unit">%</span>
+                </div>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Round To</label>
+                <select class="form-select" id="calc-solve-rounding">
+                  ${Object.entries(CONFIG.PRICE_ROUNDING).map(([key, r]) => `<option value="${key}">${r.name}</option>`).join('')}
+                </select>
+              </div>
+            </div>
+
+            <div class="grid grid--2">
+              <div class="form-group">
+                <label class="form-label">Sales Channel <span class="tooltip-icon" title="Where you sell this print. Its fees and sales tax are taken out of the selling price to show your net payout and true profit.">?</span></label>
+                <select class="form-select" id="calc-channel">
+                  <option value="">None (no fees)</option>
+                  ${channels.map(c => `<option value="${c.id}">${Helpers.escapeHtml(c.name)}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Target Margin <span class="tooltip-icon" title="Profit as a share of the price before tax. Used to suggest a price for each sales channel.">?</span></label>
+                <div class="input-group">
+                  <input type="text" inputmode="decimal" class="form-input" id="calc-target-margin" value="${Formatters.inputNumber(settings.targetMarginPercent ?? CONFIG.DEFAULTS.TARGET_MARGIN_PERCENT)}">
+                  <span class="input-group__addon">%</span>
                 </div>
               </div>
             </div>
@@ -582,6 +920,18 @@ const App = {
             </div>
           </div>
           <div class="card__footer hidden" id="calc-actions">
+            <button class="btn btn--secondary" id="btn-quote-tiers">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="8" y1="6" x2="21" y2="6"/><line x1="8" y1="12" x2="21" y2="12"/><line x1="8" y1="18" x2="21" y2="18"/><line x1="3" y1="6" x2="3.01" y2="6"/><line x1="3" y1="12" x2="3.01" y2="12"/><line x1="3" y1="18" x2="3.01" y2="18"/></svg>
+              Quote Tiers
+            </button>
+            <button class="btn btn--secondary" id="btn-sensitivity">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="3" x2="12" y2="21"/><line x1="5" y1="7" x2="19" y2="7"/><line x1="8" y1="12" x2="16" y2="12"/><line x1="10" y1="17" x2="14" y2="17"/></svg>
+              Sensitivity
+            </button>
+            <button class="btn btn--secondary" id="btn-simulate">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="14" width="4" height="7"/><rect x="10" y="6" width="4" height="15"/><rect x="17" y="10" width="4" height="11"/></svg>
+              Uncertainty
+            </button>
             <button class="btn btn--success" id="btn-save-history">
               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg>
               Save to History
@@ -602,6 +952,48 @@ const App = {
     // Add filament button
     document.getElementById('btn-add-filament').addEventListener('click', () => {
       this.addFilamentRow();
+      this.updateLearnedFailureRate();
+    });
+
+    // Add labor task button
+    document.getElementById('btn-add-labor-task').addEventListener('click', () => {
+      this.addLaborTaskRow();
+    });
+
+    // Add hardware button (only present when the library has items)
+    document.getElementById('btn-add-hardware')?.addEventListener('click', () => {
+      this.addHardwareRow();
+    });
+
+    // Add packaging button (only present when the library has items)
+    document.getElementById('btn-add-packaging')?.addEventListener('click', () => {
+      this.addPackagingRow();
+    });
+
+    // Learned failure rate follows the printer, filaments and tags until edited by hand
+    const failureInput = document.getElementById('calc-failure');
+    failureInput.addEventListener('input', () => { failureInput.dataset.edited = 'true'; });
+    document.getElementById('calc-printer').addEventListener('change', () => this.updateLearnedFailureRate());
+    document.getElementById('calc-filaments-list').addEventListener('change', () => this.updateLearnedFailureRate());
+    document.getElementById('calc-tags').addEventListener('change', () => this.updateLearnedFailureRate());
+    this.updateLearnedFailureRate();
+
+    // Failure point mode toggle
+    document.getElementById('calc-failure-point').addEventListener('change', (e) => {
+      document.getElementById('calc-failure-manual').classList.toggle('hidden', e.target.value !== 'manual');
+      this.updateFailurePointHint();
+    });
+
+    // Energy mode toggle
+    document.getElementById('calc-energy-mode').addEventListener('change', (e) => {
+      document.getElementById('calc-energy-measured').classList.toggle('hidden', e.target.value !== 'measured');
+      document.getElementById('calc-energy-meter').classList.toggle('hidden', e.target.value !== 'meter');
+    });
+
+    // Pricing target unit
+    document.getElementById('calc-solve-target').addEventListener('change', (e) => {
+      const unit = CONFIG.PRICING_TARGETS[e.target.value]?.unit || '%';
+      document.getElementById('calc-solve-unit').textContent = unit === '%' ? '%' : `${CONFIG.CURRENCY.symbol} ${unit}`;
     });
 
     // Calculate button
@@ -609,36 +1001,178 @@ const App = {
       this.calculateCost();
     });
 
+    // Quote tiers button
+    document.getElementById('btn-quote-tiers').addEventListener('click', () => {
+      this.showQuoteModal();
+    });
+
+    // Sensitivity button
+    document.getElementById('btn-sensitivity').addEventListener('click', () => {
+      this.showSensitivityModal();
+    });
+
+    // Uncertainty button
+    document.getElementById('btn-simulate').addEventListener('click', () => {
+      this.showSimulationModal();
+    });
+
     // Save to history button
     document.getElementById('btn-save-history').addEventListener('click', () => {
       this.saveToHistory();
     });
   },
 
+  /**
+   * Get the tags entered in the calculator
+   * @returns {string[]} Trimmed, non-empty tags
+   */
+  getCalcTags() {
+    return document.getElementById('calc-tags').value
+      .split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+  },
+
+  /**
+   * Default the failure rate to the rate learned from print outcomes
+   * Falls back to the printer's default rate, then the global default, when
+   * history has too few outcomes. The hint shows the sample behind the rate.
+   */
+  updateLearnedFailureRate() {
+    const input = document.getElementById('calc-failure');
+    const hint = document.getElementById('calc-failure-hint');
+    const settings = storage.getSettings();
+    const printer = storage.getPrinter(document.getElementById('calc-printer').value);
+    const materials = [...new Set(this.getFilamentEntries().map(e => e.filament.material))];
+
+    const stats = new FailureStats(storage.getPrintHistory(), { minSamples: settings.failureMinSamples });
+    const learned = stats.getRate({ printerId: printer?.id, materials, tags: this.getCalcTags() });
+
+    let rate;
+    if (learned) {
+      rate = learned.rate;
+      hint.textContent = `Learned from ${learned.total} prints (${learned.failed} failed) on ${learned.label}`;
+    } else {
+      rate = printer ? printer.defaultFailureRate : (settings.defaultFailureRate ?? CONFIG.DEFAULTS.FAILURE_RATE);
+      const overall = stats.getOverall();
+      hint.textContent = `${printer ? 'Printer default' : 'Default'} · ${overall.total}/${stats.minSamples} outcomes recorded before a rate is learned`;
+    }
+
+    if (input.dataset.edited !== 'true') {
+      input.value = Formatters.inputNumber(Helpers.round(rate * 100, 1));
+    }
+    this.updateFailurePointHint();
+  },
+
+  /**
+   * Get where failed prints stop from the failure point input
+   * @returns {Array|null} Array of {percentCompleted, share}, or null when a failure wastes the whole job
+   */
+  getFailureDistributionFromForm() {
+    const mode = document.getElementById('calc-failure-point').value;
+
+    if (mode === 'manual') {
+      return Object.entries(CONFIG.FAILURE_POINTS).map(([key, point]) => ({
+        percentCompleted: (point.min + point.max) / 2,
+        share: Helpers.clamp(Helpers.parseNumber(document.querySelector(`[data-failure-share="${key}"]`).value, 0), 0, 100),
+      }));
+    }
+
+    if (mode === 'learned') {
+      const stats = new FailureStats(storage.getPrintHistory(), { minSamples: storage.getSetting('failureMinSamples') });
+      return stats.getFailurePoints({ printerId: document.getElementById('calc-printer').value })?.distribution || null;
+    }
+
+    return null;
+  },
+
+  updateFailurePointHint() {
+    const hint = document.getElementById('calc-failure-point-hint');
+    const mode = document.getElementById('calc-failure-point').value;
+
+    if (mode !== 'learned') {
+      hint.textContent = mode === 'manual' ? 'Share of failures stopping in each stage' : '';
+      return;
+    }
+
+    const stats = new FailureStats(storage.getPrintHistory(), { minSamples: storage.getSetting('failureMinSamples') });
+    const points = stats.getFailurePoints({ printerId: document.getElementById('calc-printer').value });
+    hint.textContent = points
+      ? `Failures stop at ${Formatters.percent(points.expectedCompletion * 100, 0)} on average (${points.total} failed prints on ${points.label})`
+      : `Record how far failed prints got (${stats.minSamples} needed) · whole job used until then`;
+  },
+
   filamentRowCount: 0,
 
   addFilamentRow() {
     const container = document.getElementById('calc-filaments-list');
     const filaments = storage.getFilaments();
+    const dryers = storage.getDryers();
+    const filamentCosting = storage.getSetting('filamentCosting') || 'latest';
     const rowId = this.filamentRowCount++;
 
     const row = document.createElement('div');
-    row.className = 'filament-row flex gap-2 mb-2';
+    row.className = 'filament-row mb-2';
     row.dataset.rowId = rowId;
     row.innerHTML = `
-      <select class="form-select" style="flex: 2;" data-filament-select="${rowId}">
-        ${filaments.length === 0 ? '<option value="">No filaments - add one first</option>' : ''}
-        ${filaments.map(f => `<option value="${f.id}">${Helpers.escapeHtml(f.getDisplayName())} (${Formatters.pricePerGram(f.getPricePerGram())})</option>`).join('')}
-      </select>
-      <div class="input-group" style="flex: 1;">
-        <input type="number" class="form-input" data-filament-grams="${rowId}" min="0" step="0.1" value="20" placeholder="g">
-        <span class="input-group__addon">g</span>
+      <div class="flex gap-2">
+        <select class="form-select" style="flex: 2;" data-filament-select="${rowId}">
+          ${filaments.length === 0 ? '<option value="">No filaments - add one first</option>' : ''}
+          ${filaments.map(f => `<option value="${f.id}">${Helpers.escapeHtml(f.getDisplayName())} (${Formatters.pricePerGram(f.getPricePerGram(filamentCosting), f.currency)})</option>`).join('')}
+        </select>
+        <select class="form-select" style="flex: 1;" data-filament-role="${rowId}" title="What this filament is used for">
+          ${Object.entries(CONFIG.FILAMENT_ROLES).map(([key, role]) => `<option value="${key}">${role.name}</option>`).join('')}
+        </select>
+        <div class="input-group" style="flex: 1;">
+          <input type="text" inputmode="decimal" class="form-input" data-filament-grams="${rowId}" value="20" placeholder="g">
+          <span class="input-group__addon">g</span>
+        </div>
+        <button type="button" class="btn btn--ghost btn--sm" onclick="App.toggleFilamentWaste(${rowId})" title="Purge, flush and prime tower waste">Waste</button>
+        ${dryers.length > 0 ? `<button type="button" class="btn btn--ghost btn--sm" onclick="App.toggleFilamentDrying(${rowId})" title="Dry this filament before printing">Dry</button>` : ''}
+        <button type="button" class="btn btn--ghost btn--sm" data-filament-remove onclick="App.removeFilamentRow(${rowId})" title="Remove" ${this.filamentRowCount <= 1 ? 'style="visibility: hidden;"' : ''}>
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+        </button>
+      </div>
+      <div class="grid grid--4 mt-2 hidden" data-filament-waste="${rowId}">
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" data-waste-purge value="0" title="Purge / poop grams per plate">
+          <span class="input-group__addon">g purge</span>
+        </div>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" data-waste-tower value="0" title="Prime tower grams per plate">
+          <span class="input-group__addon">g tower</span>
+        </div>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" data-waste-flush value="0" title="Flush volume per color change">
+          <span class="input-group__addon">mm³</span>
+        </div>
+        <div class="input-group">
+          <span class="input-group__addon">×</span>
+          <input type="text" inputmode="numeric" class="form-input" data-waste-changes value="0" title="Color changes into this filament per plate">
+          <span class="input-group__addon">changes</span>
+        </div>
+      </div>
+      <div class="grid grid--2 mt-2 hidden" data-filament-drying="${rowId}">
+        <select class="form-select" data-drying-dryer>
+          <option value="">No drying</option>
+          ${dryers.map(d => `<option value="${d.id}">${Helpers.escapeHtml(d.getDisplayName())} (${Formatters.power(d.wattage)})</option>`).join('')}
+        </select>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" data-drying-hours title="Leave blank for the material's usual drying time">
+          <span class="input-group__addon">h</span>
+        </div>
       </div>
-      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeFilamentRow(${rowId})" title="Remove" ${this.filamentRowCount <= 1 ? 'style="visibility: hidden;"' : ''}>
-        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
-      </button>
     `;
 
+    // Show the material's usual drying time as the default
+    const select = row.querySelector(`[data-filament-select="${rowId}"]`);
+    const updateDryingDefault = () => {
+      const material = storage.getFilament(select.value)?.material;
+      row.querySelector('[data-drying-hours]').placeholder = `Default ${CONFIG.MATERIALS[material]?.dryingHours ?? 0}h`;
+    };
+    select.addEventListener('change', updateDryingDefault);
+    updateDryingDefault();
+
     container.appendChild(row);
     this.updateFilamentRemoveButtons();
   },
@@ -648,13 +1182,22 @@ const App = {
     if (row) {
       row.remove();
       this.updateFilamentRemoveButtons();
+      this.updateLearnedFailureRate();
     }
   },
 
+  toggleFilamentWaste(rowId) {
+    document.querySelector(`[data-filament-waste="${rowId}"]`)?.classList.toggle('hidden');
+  },
+
+  toggleFilamentDrying(rowId) {
+    document.querySelector(`[data-filament-drying="${rowId}"]`)?.classList.toggle('hidden');
+  },
+
   updateFilamentRemoveButtons() {
     const rows = document.querySelectorAll('.filament-row');
     rows.forEach((row, index) => {
-      const removeBtn = row.querySelector('button');
+      const removeBtn = row.querySelector('[data-filament-remove]');
       if (removeBtn) {
         // Hide remove button if only one row
         removeBtn.style.visibility = rows.length <= 1 ? 'hidden' : 'visible';
@@ -676,9 +1219,21 @@ const App = {
         const grams = Helpers.parseNumber(gramsInput.value, 0);
 
         if (filament && grams > 0) {
+          const waste = row.querySelector(`[data-filament-waste="${rowId}"]`);
+          const drying = row.querySelector(`[data-filament-drying="${rowId}"]`);
+          const dryer = storage.getDryer(drying.querySelector('[data-drying-dryer]').value);
+          const dryingHours = drying.querySelector('[data-drying-hours]').value;
           entries.push({
             filament,
             grams,
+            role: row.querySelector(`[data-filament-role="${rowId}"]`).value,
+            waste: {
+              purgeGrams: Helpers.parseNumber(waste.querySelector('[data-waste-purge]').value, 0),
+              towerGrams: Helpers.parseNumber(waste.querySelector('[data-waste-tower]').value, 0),
+              flushVolumeMm3: Helpers.parseNumber(waste.querySelector('[data-waste-flush]').value, 0),
+              colorChanges: Helpers.parseNumber(waste.querySelector('[data-waste-changes]').value, 0),
+            },
+            drying: dryer ? { dryer, hours: dryingHours === '' ? null : Helpers.parseNumber(dryingHours, 0) } : null,
           });
         }
       }
@@ -687,45 +1242,245 @@ const App = {
     return entries;
   },
 
-  calculateCost() {
-    const printerId = document.getElementById('calc-printer').value;
-
-    if (!printerId) {
-      this.showToast('Please select a printer', 'error');
-      return;
-    }
+  laborTaskRowCount: 0,
 
-    const filamentEntries = this.getFilamentEntries();
+  addLaborTaskRow(task = {}) {
+    const container = document.getElementById('calc-labor-list');
+    const rowId = this.laborTaskRowCount++;
 
-    if (filamentEntries.length === 0) {
-      this.showToast('Please add at least one filament with grams > 0', 'error');
-      return;
-    }
+    const row = document.createElement('div');
+    row.className = 'labor-task-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <input type="text" class="form-input" style="flex: 2;" data-labor-name list="calc-labor-task-names" value="${Helpers.escapeHtml(task.name || '')}" placeholder="e.g., Post-processing">
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="decimal" class="form-input" data-labor-rate value="${Formatters.inputNumber(task.hourlyRate ?? 0)}">
+        <span class="input-group__addon">/hr</span>
+      </div>
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="decimal" class="form-input" data-labor-hours value="${Formatters.inputNumber(task.hours ?? 0)}">
+        <span class="input-group__addon">h</span>
+      </div>
+      <select class="form-select" style="flex: 1;" data-labor-basis>
+        ${Object.entries(CONFIG.LABOR_BASES).map(([key, basis]) => `<option value="${key}" ${task.basis === key ? 'selected' : ''}>${basis.name}</option>`).join('')}
+      </select>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeLaborTaskRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
 
-    const printer = storage.getPrinter(printerId);
+    container.appendChild(row);
+  },
 
-    if (!printer) {
-      this.showToast('Invalid printer selection', 'error');
-      return;
+  removeLaborTaskRow(rowId) {
+    const row = document.querySelector(`.labor-task-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
     }
+  },
 
-    const consumables = storage.getConsumablesForPrinter(printerId);
+  getLaborTasks() {
+    const tasks = [];
 
-    const params = {
-      printer,
-      filamentEntries,
-      consumables,
-      printTimeMinutes: Helpers.parseNumber(document.getElementById('calc-time').value, 0),
-      electricityRate: Helpers.parseNumber(document.getElementById('calc-electricity').value, 0.15),
-      failureRate: Helpers.parseNumber(document.getElementById('calc-failure').value, 5) / 100,
-      laborHourlyRate: Helpers.parseNumber(document.getElementById('calc-labor-rate').value, 0),
-      laborHours: Helpers.parseNumber(document.getElementById('calc-labor-hours').value, 0),
-      markupPercent: Helpers.parseNumber(document.getElementById('calc-markup').value, 0),
-    };
+    document.querySelectorAll('.labor-task-row').forEach(row => {
+      const hours = Helpers.parseNumber(row.querySelector('[data-labor-hours]').value, 0);
 
-    const result = costCalculator.calculate(params);
-    this.lastCalculation = { result, params };
-    this.displayCalculationResult(result);
+      if (hours > 0) {
+        tasks.push({
+          name: row.querySelector('[data-labor-name]').value.trim(),
+          hourlyRate: Helpers.parseNumber(row.querySelector('[data-labor-rate]').value, 0),
+          hours,
+          basis: row.querySelector('[data-labor-basis]').value,
+        });
+      }
+    });
+
+    return tasks;
+  },
+
+  hardwareRowCount: 0,
+
+  addHardwareRow() {
+    const container = document.getElementById('calc-hardware-list');
+    const items = storage.getHardwareItems();
+    const rowId = this.hardwareRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'hardware-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <select class="form-select" style="flex: 2;" data-hardware-select>
+        ${items.map(h => `<option value="${h.id}">${Helpers.escapeHtml(h.getDisplayName())} (${Formatters.currency(h.unitPrice)}/${h.unit}, ${Formatters.number(h.inStock, h.unit === 'pcs' ? 0 : 1)} in stock)</option>`).join('')}
+      </select>
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="decimal" class="form-input" data-hardware-quantity value="1">
+        <span class="input-group__addon">per unit</span>
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeHardwareRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeHardwareRow(rowId) {
+    const row = document.querySelector(`.hardware-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+    }
+  },
+
+  getHardwareEntries() {
+    const entries = [];
+
+    document.querySelectorAll('.hardware-row').forEach(row => {
+      const item = storage.getHardwareItem(row.querySelector('[data-hardware-select]').value);
+      const quantity = Helpers.parseNumber(row.querySelector('[data-hardware-quantity]').value, 0);
+
+      if (item && quantity > 0) {
+        entries.push({ item, quantity });
+      }
+    });
+
+    return entries;
+  },
+
+  packagingRowCount: 0,
+
+  addPackagingRow() {
+    const container = document.getElementById('calc-packaging-list');
+    const items = storage.getPackagingItems();
+    const rowId = this.packagingRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'packaging-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <select class="form-select" style="flex: 2;" data-packaging-select>
+        ${items.map(p => `<option value="${p.id}">${Helpers.escapeHtml(p.getDisplayName())} (${Formatters.currency(p.unitPrice)})</option>`).join('')}
+      </select>
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="numeric" class="form-input" data-packaging-quantity value="1">
+        <span class="input-group__addon">×</span>
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removePackagingRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removePackagingRow(rowId) {
+    const row = document.querySelector(`.packaging-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+    }
+  },
+
+  getPackagingEntries() {
+    const entries = [];
+
+    document.querySelectorAll('.packaging-row').forEach(row => {
+      const item = storage.getPackagingItem(row.querySelector('[data-packaging-select]').value);
+      const quantity = Helpers.parseNumber(row.querySelector('[data-packaging-quantity]').value, 0);
+
+      if (item && quantity > 0) {
+        entries.push({ item, quantity });
+      }
+    });
+
+    return entries;
+  },
+
+  calculateCost() {
+    const printerId = document.getElementById('calc-printer').value;
+
+    if (!printerId) {
+      this.showToast('Please select a printer', 'error');
+      return;
+    }
+
+    const filamentEntries = this.getFilamentEntries();
+
+    if (filamentEntries.length === 0) {
+      this.showToast('Please add at least one filament with grams > 0', 'error');
+      return;
+    }
+
+    const printer = storage.getPrinter(printerId);
+
+    if (!printer) {
+      this.showToast('Invalid printer selection', 'error');
+      return;
+    }
+
+    const consumables = storage.getConsumablesForPrinter(printerId);
+    const startInput = document.getElementById('calc-start');
+    const heatUpValue = document.getElementById('calc-heatup').value.trim();
+    const shippingWeightValue = document.getElementById('calc-shipping-weight').value.trim();
+    const energyMode = document.getElementById('calc-energy-mode').value;
+    let measuredKwh = null;
+    let meterReadings = null;
+
+    if (energyMode === 'measured') {
+      measuredKwh = Helpers.parseNumber(document.getElementById('calc-measured-kwh').value, 0);
+    } else if (energyMode === 'meter') {
+      meterReadings = {
+        meterStart: Helpers.parseNumber(document.getElementById('calc-meter-start').value, 0),
+        meterEnd: Helpers.parseNumber(document.getElementById('calc-meter-end').value, 0),
+      };
+      if (meterReadings.meterEnd < meterReadings.meterStart) {
+        this.showToast('Meter end reading must be at least the start reading', 'error');
+        return;
+      }
+      measuredKwh = meterReadings.meterEnd - meterReadings.meterStart;
+    }
+
+    const params = {
+      printer,
+      filamentEntries,
+      consumables,
+      printTimeMinutes: Helpers.parseNumber(document.getElementById('calc-time').value, 0),
+      unitsPerPlate: Math.max(1, Helpers.parseInt(document.getElementById('calc-units-per-plate').value, 1)),
+      plates: Math.max(1, Helpers.parseInt(document.getElementById('calc-plates').value, 1)),
+      setupMinutesPerPlate: Helpers.parseNumber(document.getElementById('calc-setup-minutes').value, 0),
+      setupHourlyRate: Helpers.parseNumber(document.getElementById('calc-setup-rate').value, 0),
+      heatUpMinutes: heatUpValue === '' ? null : Helpers.parseNumber(heatUpValue, 0),
+      idleMinutes: Helpers.parseNumber(document.getElementById('calc-idle').value, 0),
+      measuredKwh,
+      electricityRate: Helpers.parseNumber(document.getElementById('calc-electricity').value, 0.15),
+      tariffSchedule: storage.getTariffSchedule(),
+      overheadPool: storage.getOverheadPool(),
+      currency: CONFIG.CURRENCY.code,
+      exchangeRates: storage.getExchangeRates(),
+      filamentCosting: storage.getSetting('filamentCosting') || 'latest',
+      startTime: startInput?.value ? new Date(startInput.value) : null,
+      failureRate: Helpers.clamp(Helpers.parseNumber(document.getElementById('calc-failure').value, 5), 0, 100) / 100,
+      failureDistribution: this.getFailureDistributionFromForm(),
+      laborTasks: this.getLaborTasks(),
+      markupPercent: Math.max(0, Helpers.parseNumber(document.getElementById('calc-markup').value, 0)),
+      hardware: this.getHardwareEntries(),
+      packaging: this.getPackagingEntries(),
+      shippingRateTable: storage.getShippingRateTable(document.getElementById('calc-shipping-rate').value),
+      shippingWeightGrams: shippingWeightValue === '' ? null : Helpers.parseNumber(shippingWeightValue, 0),
+    };
+
+    const result = costCalculator.calculate(params);
+
+    const missingRates = result.params.exchangeRates.filter(rate => rate.rate === null).map(rate => rate.currency);
+    const channel = storage.getSalesChannel(document.getElementById('calc-channel').value);
+    if (channel && !this.convertChannelFees(channel, result) && !missingRates.includes(channel.currency)) {
+      missingRates.push(channel.currency);
+    }
+    if (missingRates.length > 0) {
+      this.showToast(`No exchange rate for ${missingRates.join(', ')}. Add one in Settings.`, 'error');
+      return;
+    }
+
+    this.lastCalculation = { result, params, meterReadings };
+    this.displayCalculationResult(result);
   },
 
   displayCalculationResult(result) {
@@ -742,12 +1497,23 @@ const App = {
         <div class="cost-breakdown__row cost-breakdown__row--indent">
           <span class="cost-breakdown__label">
             <span class="cost-breakdown__dot" style="background-color: ${f.colorHex || CONFIG.CHART_COLORS.filament}"></span>
-            ${Helpers.escapeHtml(f.name)} (${Formatters.weight(f.grams)})
+            ${Helpers.escapeHtml(f.name)} (${Formatters.weight(f.grams)}${f.role !== 'model' ? `, ${CONFIG.FILAMENT_ROLES[f.role].name.toLowerCase()}` : ''})
           </span>
           <span class="cost-breakdown__value">${CONFIG.formatCurrency(f.cost)}</span>
         </div>
       `).join('');
 
+      // Support material split, when any row is support or interface
+      const { byRole } = result.breakdown.filament;
+      if (byRole.support.cost + byRole.interface.cost > 0) {
+        filamentRows += Object.entries(byRole).filter(([, r]) => r.grams > 0).map(([role, r]) => `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label text-gray-500">${CONFIG.FILAMENT_ROLES[role].name} material (${Formatters.weight(r.grams)})</span>
+            <span class="cost-breakdown__value text-gray-500">${CONFIG.formatCurrency(r.cost)}</span>
+          </div>
+        `).join('');
+      }
+
       // Add subtotal row for filament
       filamentRows = `
         <div class="cost-breakdown__row">
@@ -763,7 +1529,7 @@ const App = {
       // Single filament
       const singleFilament = filamentItems[0];
       const filamentLabel = singleFilament
-        ? `${Helpers.escapeHtml(singleFilament.name)} (${Formatters.weight(singleFilament.grams)})`
+        ? `${Helpers.escapeHtml(singleFilament.name)} (${Formatters.weight(singleFilament.grams)}${singleFilament.role !== 'model' ? `, ${CONFIG.FILAMENT_ROLES[singleFilament.role].name.toLowerCase()}` : ''})`
         : `Filament (${Formatters.weight(result.breakdown.filament.grams)})`;
 
       filamentRows = `
@@ -777,16 +1543,65 @@ const App = {
       `;
     }
 
+    const waste = result.breakdown.waste;
+    if (waste.cost > 0) {
+      filamentRows += `
+        <div class="cost-breakdown__row">
+          <span class="cost-breakdown__label">
+            <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.waste}"></span>
+            Purge & Tower Waste (${Formatters.weight(waste.grams)}, ${Formatters.percent(waste.percent)})
+          </span>
+          <span class="cost-breakdown__value">${formatted.waste}</span>
+        </div>
+        ${waste.items.length > 1 ? waste.items.map(w => `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">${Helpers.escapeHtml(w.name)} (${Formatters.weight(w.grams)})</span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(w.cost)}</span>
+          </div>
+        `).join('') : ''}
+      `;
+    }
+
     container.innerHTML = `
       <div class="cost-breakdown">
         ${filamentRows}
         <div class="cost-breakdown__row">
           <span class="cost-breakdown__label">
             <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.electricity}"></span>
-            Electricity (${Formatters.energy(result.breakdown.electricity.kwh)})
+            Electricity (${Formatters.energy(result.breakdown.electricity.kwh)}${result.breakdown.electricity.source === 'measured' ? ' measured' : ''})
           </span>
           <span class="cost-breakdown__value">${formatted.electricity}</span>
         </div>
+        ${result.breakdown.electricity.source === 'measured' ? `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">Wattage estimate (${Formatters.energy(result.breakdown.electricity.estimatedKwh)})</span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(result.breakdown.electricity.estimatedCost)}</span>
+          </div>
+        ` : ''}
+        ${result.breakdown.electricity.phases.length > 1 ? result.breakdown.electricity.phases.map(phase => `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">
+              ${phase.label} (${Formatters.time(phase.minutes)}, ${Formatters.energy(phase.kwh)})
+            </span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(phase.cost)}</span>
+          </div>
+        `).join('') : ''}
+        ${result.breakdown.electricity.bands.map(band => `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">
+              ${Helpers.escapeHtml(band.name)} (${Formatters.energy(band.kwh)} @ ${Formatters.electricityRate(band.rate)})
+            </span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(band.cost)}</span>
+          </div>
+        `).join('')}
+        ${result.breakdown.electricity.drying.items.map(item => `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">
+              Drying ${Helpers.escapeHtml(item.name)} (${Formatters.time(item.hours * 60)} in ${Helpers.escapeHtml(item.dryerName)}, ${Formatters.energy(item.kwh)})
+            </span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(item.energyCost)}</span>
+          </div>
+        `).join('')}
         <div class="cost-breakdown__row">
           <span class="cost-breakdown__label">
             <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.depreciation}"></span>
@@ -794,6 +1609,22 @@ const App = {
           </span>
           <span class="cost-breakdown__value">${formatted.depreciation}</span>
         </div>
+        <div class="cost-breakdown__row cost-breakdown__row--indent">
+          <span class="cost-breakdown__label">Printer (${result.breakdown.depreciation.methodName})</span>
+          <span class="cost-breakdown__value">${CONFIG.formatCurrency(result.breakdown.depreciation.printerCost)}</span>
+        </div>
+        ${result.breakdown.depreciation.amsMethodName ? `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">AMS (${result.breakdown.depreciation.amsMethodName})</span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(result.breakdown.depreciation.amsCost)}</span>
+          </div>
+        ` : ''}
+        ${result.breakdown.depreciation.dryerCost > 0 ? `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">Dryer</span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(result.breakdown.depreciation.dryerCost)}</span>
+          </div>
+        ` : ''}
         <div class="cost-breakdown__row">
           <span class="cost-breakdown__label">
             <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.consumables}"></span>
@@ -801,14 +1632,71 @@ const App = {
           </span>
           <span class="cost-breakdown__value">${formatted.consumables}</span>
         </div>
+        ${result.breakdown.overhead.cost > 0 ? `
+          <div class="cost-breakdown__row">
+            <span class="cost-breakdown__label">
+              <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.overhead}"></span>
+              Shop Overhead (${CONFIG.formatCurrency(result.breakdown.overhead.ratePerHour)}/h)
+            </span>
+            <span class="cost-breakdown__value">${formatted.overhead}</span>
+          </div>
+        ` : ''}
         ${result.breakdown.labor.cost > 0 ? `
           <div class="cost-breakdown__row">
             <span class="cost-breakdown__label">
               <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.labor}"></span>
-              Labor
+              Labor (${Formatters.time((result.breakdown.labor.hours + result.breakdown.labor.setupHours) * 60)})
             </span>
             <span class="cost-breakdown__value">${formatted.labor}</span>
           </div>
+          ${result.breakdown.labor.items.map(task => `
+            <div class="cost-breakdown__row cost-breakdown__row--indent">
+              <span class="cost-breakdown__label">${Helpers.escapeHtml(task.name)} (${Formatters.time(task.hours * 60)}${task.basis === 'unit' && result.quantity > 1 ? ` × ${result.quantity}` : ''} at ${CONFIG.formatCurrency(task.hourlyRate)}/hr)</span>
+              <span class="cost-breakdown__value">${CONFIG.formatCurrency(task.cost)}</span>
+            </div>
+          `).join('')}
+          ${result.breakdown.labor.setupHours > 0 ? `
+            <div class="cost-breakdown__row cost-breakdown__row--indent">
+              <span class="cost-breakdown__label">Plate setup (${Formatters.time(result.breakdown.labor.setupHours * 60)} at ${CONFIG.formatCurrency(result.breakdown.labor.setupHourlyRate)}/hr)</span>
+              <span class="cost-breakdown__value">${CONFIG.formatCurrency(result.breakdown.labor.setupCost)}</span>
+            </div>
+          ` : ''}
+        ` : ''}
+        ${result.breakdown.hardware.cost > 0 ? `
+          <div class="cost-breakdown__row">
+            <span class="cost-breakdown__label">
+              <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.hardware}"></span>
+              Hardware &amp; Supplies
+            </span>
+            <span class="cost-breakdown__value">${formatted.hardware}</span>
+          </div>
+          ${result.breakdown.hardware.items.map(item => `
+            <div class="cost-breakdown__row cost-breakdown__row--indent">
+              <span class="cost-breakdown__label">${Helpers.escapeHtml(item.name)} (${Formatters.number(item.quantity, Number.isInteger(item.quantity) ? 0 : 1)} ${item.unit})</span>
+              <span class="cost-breakdown__value">${CONFIG.formatCurrency(item.cost)}</span>
+            </div>
+          `).join('')}
+        ` : ''}
+        ${result.breakdown.shipping.cost > 0 ? `
+          <div class="cost-breakdown__row">
+            <span class="cost-breakdown__label">
+              <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.shipping}"></span>
+              Packaging &amp; Shipping (${Formatters.weight(result.breakdown.shipping.weightGrams)})
+            </span>
+            <span class="cost-breakdown__value">${formatted.shipping}</span>
+          </div>
+          ${result.breakdown.shipping.items.map(item => `
+            <div class="cost-breakdown__row cost-breakdown__row--indent">
+              <span class="cost-breakdown__label">${Helpers.escapeHtml(item.name)}${item.quantity !== 1 ? ` × ${item.quantity}` : ''}</span>
+              <span class="cost-breakdown__value">${CONFIG.formatCurrency(item.cost)}</span>
+            </div>
+          `).join('')}
+          ${result.breakdown.shipping.rateTableId ? `
+            <div class="cost-breakdown__row cost-breakdown__row--indent">
+              <span class="cost-breakdown__label">${Helpers.escapeHtml(result.breakdown.shipping.rateTableName)} (up to ${Formatters.weight(result.breakdown.shipping.band.maxGrams)})${result.breakdown.shipping.overweight ? ' <span class="badge badge--warning">Over max weight</span>' : ''}</span>
+              <span class="cost-breakdown__value">${CONFIG.formatCurrency(result.breakdown.shipping.postage)}</span>
+            </div>
+          ` : ''}
         ` : ''}
         <div class="cost-breakdown__divider"></div>
         <div class="cost-breakdown__row">
@@ -818,7 +1706,7 @@ const App = {
         <div class="cost-breakdown__row">
           <span class="cost-breakdown__label">
             <span class="cost-breakdown__dot" style="background-color: ${CONFIG.CHART_COLORS.failureBuffer}"></span>
-            Failure Buffer (${Formatters.percent(result.failureRate * 100)})
+            Failure Buffer (${Formatters.percent(result.failureRate * 100)}${result.breakdown.failure.expectedCompletion !== null ? `, fails at ~${Formatters.percent(result.breakdown.failure.expectedCompletion * 100, 0)}` : ''})
           </span>
           <span class="cost-breakdown__value">${formatted.failureBuffer}</span>
         </div>
@@ -833,10 +1721,22 @@ const App = {
         ` : ''}
         <div class="cost-breakdown__divider"></div>
         <div class="cost-breakdown__row cost-breakdown__total">
-          <span class="cost-breakdown__label">Total</span>
+          <span class="cost-breakdown__label">Total${result.quantity > 1 ? ` (${result.quantity} units)` : ''}</span>
           <span class="cost-breakdown__value">${formatted.total}</span>
         </div>
-        ${this.getProfitLossHtml(result.total)}
+        ${result.quantity > 1 ? `
+          <div class="cost-breakdown__row">
+            <span class="cost-breakdown__label">Per Unit</span>
+            <span class="cost-breakdown__value font-semibold">${CONFIG.formatCurrency(result.unitCost)}</span>
+          </div>
+        ` : ''}
+        ${this.getSolvedPriceHtml(result)}
+        ${this.getProfitLossHtml(result)}
+        ${result.params.exchangeRates.length > 0 ? `
+          <div class="form-hint mt-2">
+            Converted at ${result.params.exchangeRates.map(rate => `1 ${rate.currency} = ${Formatters.number(rate.rate, 4)} ${result.params.currency} (from ${Formatters.date(rate.effectiveDate)})`).join(', ')}
+          </div>
+        ` : ''}
       </div>
 
       <div class="mt-6">
@@ -851,75 +1751,213 @@ const App = {
     this.renderCostChart(result);
   },
 
-  getProfitLossHtml(totalCost) {
-    const sellingPrice = Helpers.parseNumber(document.getElementById('calc-selling-price').value, 0);
+  /**
+   * Get a sales channel with its fixed fees in a calculation's currency
+   * Fees convert at the rate in effect when the job runs, like the prices in the result.
+   * @param {SalesChannel} channel - Sales channel
+   * @param {Object} result - Calculation result
+   * @returns {SalesChannel|null} Converted channel, or null if no rate applies
+   */
+  convertChannelFees(channel, result) {
+    return channel.toBaseCurrency(storage.getExchangeRates(), result.params.startTime || new Date(), result.params.currency);
+  },
 
-    if (sellingPrice <= 0) {
-      return '';
-    }
+  /**
+   * Get the sales channel picked in the calculator
+   * @param {Object} result - Calculation result
+   * @returns {SalesChannel|null} Channel with fees in the result's currency, or null for a direct sale
+   */
+  getChannelFromForm(result) {
+    const channel = storage.getSalesChannel(document.getElementById('calc-channel').value);
+    return channel && this.convertChannelFees(channel, result);
+  },
+
+  /**
+   * Get the sale entered in the calculator after channel tax and fees
+   * Profit is measured against the cost before markup.
+   * @param {Object} result - Calculation result
+   * @returns {Object|null} Sale details, or null without a selling price
+   */
+  getSaleFromForm(result) {
+    const price = Helpers.parseNumber(document.getElementById('calc-selling-price').value, 0);
+    if (price <= 0) return null;
+
+    const cost = result.total - result.markupAmount;
+    const channel = this.getChannelFromForm(result);
+    const sale = channel
+      ? channel.getProfit(price, cost)
+      : { price, netPrice: price, tax: 0, fees: 0, feeItems: [], netPayout: price, profit: price - cost };
+
+    return {
+      ...sale,
+      channelId: channel ? channel.id : null,
+      channelName: channel ? channel.name : null,
+      marginPercent: sale.netPrice > 0 ? (sale.profit / sale.netPrice) * 100 : 0,
+    };
+  },
 
-    const profit = sellingPrice - totalCost;
-    const profitPercent = totalCost > 0 ? (profit / totalCost) * 100 : 0;
-    const isProfit = profit >= 0;
+  /**
+   * Solve for the selling price from the pricing target in the calculator
+   * @param {Object} result - Calculation result
+   * @returns {Object|null} Solved price, or null when the solver is off or the target is unreachable
+   */
+  getSolvedPriceFromForm(result) {
+    const target = document.getElementById('calc-solve-target').value;
+    if (!target) return null;
+
+    return costCalculator.solvePrice(result, {
+      target,
+      value: Helpers.parseNumber(document.getElementById('calc-solve-value').value, 0),
+      channel: this.getChannelFromForm(result),
+      rounding: document.getElementById('calc-solve-rounding').value,
+    });
+  },
+
+  getSolvedPriceHtml(result) {
+    const target = document.getElementById('calc-solve-target').value;
+    if (!target) return '';
+
+    const solved = this.getSolvedPriceFromForm(result);
+    const targetInfo = CONFIG.PRICING_TARGETS[target];
+    const value = Helpers.parseNumber(document.getElementById('calc-solve-value').value, 0);
+    const targetLabel = targetInfo.unit === '%'
+      ? `${Formatters.percent(value, 0)} ${targetInfo.name.toLowerCase()}`
+      : `${CONFIG.formatCurrency(value)} ${targetInfo.unit}`;
+
+    if (!solved) {
+      return `
+        <div class="cost-breakdown__divider"></div>
+        <div class="alert alert--warning mt-2">A ${targetLabel} is unreachable with this channel's fees.</div>
+      `;
+    }
 
     return `
       <div class="cost-breakdown__divider"></div>
       <div class="cost-breakdown__row">
-        <span class="cost-breakdown__label">Selling Price</span>
-        <span class="cost-breakdown__value">${CONFIG.formatCurrency(sellingPrice)}</span>
+        <span class="cost-breakdown__label">Price for ${targetLabel}</span>
+        <span class="cost-breakdown__value font-semibold">${CONFIG.formatCurrency(solved.price)}</span>
+      </div>
+      ${result.quantity > 1 ? `
+        <div class="cost-breakdown__row cost-breakdown__row--indent">
+          <span class="cost-breakdown__label">Per Unit</span>
+          <span class="cost-breakdown__value">${CONFIG.formatCurrency(solved.unitPrice)}</span>
+        </div>
+      ` : ''}
+      <div class="cost-breakdown__row cost-breakdown__row--indent">
+        <span class="cost-breakdown__label">Profit ${CONFIG.formatCurrency(solved.profit)} · ${Formatters.percent(solved.marginPercent)} margin · ${CONFIG.formatCurrency(solved.hourlyEarnings)}/h</span>
+        <button type="button" class="btn btn--ghost btn--sm" onclick="App.applySolvedPrice()">Use Price</button>
       </div>
-      <div class="cost-breakdown__row cost-breakdown__profit ${isProfit ? 'cost-breakdown__profit--positive' : 'cost-breakdown__profit--negative'}">
-        <span class="cost-breakdown__label">${isProfit ? 'Profit' : 'Loss'} (${Formatters.percent(Math.abs(profitPercent))})</span>
-        <span class="cost-breakdown__value">${isProfit ? '+' : '-'}${CONFIG.formatCurrency(Math.abs(profit))}</span>
+    `;
+  },
+
+  applySolvedPrice() {
+    const solved = this.lastCalculation && this.getSolvedPriceFromForm(this.lastCalculation.result);
+    if (!solved) return;
+
+    document.getElementById('calc-selling-price').value = Formatters.inputNumber(Helpers.round(solved.price, 2));
+    this.displayCalculationResult(this.lastCalculation.result);
+  },
+
+  getProfitLossHtml(result) {
+    const sale = this.getSaleFromForm(result);
+    let html = '';
+
+    if (sale) {
+      const isProfit = sale.profit >= 0;
+
+      html += `
+        <div class="cost-breakdown__divider"></div>
+        <div class="cost-breakdown__row">
+          <span class="cost-breakdown__label">Selling Price${sale.channelName ? ` (${Helpers.escapeHtml(sale.channelName)})` : ''}</span>
+          <span class="cost-breakdown__value">${CONFIG.formatCurrency(sale.price)}</span>
+        </div>
+        ${sale.tax > 0 ? `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">Sales Tax / VAT</span>
+            <span class="cost-breakdown__value">-${CONFIG.formatCurrency(sale.tax)}</span>
+          </div>
+        ` : ''}
+        ${sale.feeItems.filter(f => f.amount > 0).map(fee => `
+          <div class="cost-breakdown__row cost-breakdown__row--indent">
+            <span class="cost-breakdown__label">${Helpers.escapeHtml(fee.name || 'Fee')}</span>
+            <span class="cost-breakdown__value">-${CONFIG.formatCurrency(fee.amount)}</span>
+          </div>
+        `).join('')}
+        ${sale.channelId ? `
+          <div class="cost-breakdown__row">
+            <span class="cost-breakdown__label">Net Payout</span>
+            <span class="cost-breakdown__value">${CONFIG.formatCurrency(sale.netPayout)}</span>
+          </div>
+        ` : ''}
+        <div class="cost-breakdown__row cost-breakdown__profit ${isProfit ? 'cost-breakdown__profit--positive' : 'cost-breakdown__profit--negative'}">
+          <span class="cost-breakdown__label">${isProfit ? 'Profit' : 'Loss'} (${Formatters.percent(Math.abs(sale.marginPercent))} margin)</span>
+          <span class="cost-breakdown__value">${isProfit ? '+' : '-'}${CONFIG.formatCurrency(Math.abs(sale.profit))}</span>
+        </div>
+      `;
+    }
+
+    return html + this.getChannelComparisonHtml(result, sale);
+  },
+
+  getChannelComparisonHtml(result, sale) {
+    const channels = storage.getSalesChannels();
+    if (channels.length === 0) return '';
+
+    const cost = result.total - result.markupAmount;
+    const targetMargin = Helpers.clamp(Helpers.parseNumber(document.getElementById('calc-target-margin').value, CONFIG.DEFAULTS.TARGET_MARGIN_PERCENT), 0, 99);
+
+    return `
+      <h4 class="mt-6 mb-2">Sales Channels</h4>
+      <div class="table-container">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Channel</th>
+              <th>Net Payout</th>
+              <th>Profit</th>
+              <th>Price for ${Formatters.percent(targetMargin, 0)}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${channels.map(channel => {
+              const converted = this.convertChannelFees(channel, result);
+              if (!converted) {
+                return `
+                  <tr>
+                    <td>${Helpers.escapeHtml(channel.name)}</td>
+                    <td colspan="3" class="text-gray-500">No exchange rate for ${channel.currency}</td>
+                  </tr>
+                `;
+              }
+
+              const channelSale = sale ? converted.getProfit(sale.price, cost) : null;
+              const targetPrice = converted.getPriceForMargin(cost, targetMargin);
+              return `
+                <tr>
+                  <td>${Helpers.escapeHtml(channel.name)}</td>
+                  <td>${channelSale ? CONFIG.formatCurrency(channelSale.netPayout) : '—'}</td>
+                  <td class="${channelSale ? (channelSale.profit >= 0 ? 'text-success' : 'text-error') : ''}">${channelSale ? CONFIG.formatCurrency(channelSale.profit) : '—'}</td>
+                  <td>${targetPrice !== null ? CONFIG.formatCurrency(targetPrice) : 'Unreachable'}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
       </div>
     `;
   },
 
   renderCostChart(result) {
-    const ctx = document.getElementById('cost-chart').getContext('2d');
-
-    new Chart(ctx, {
-      type: 'doughnut',
-      data: {
-        labels: ['Filament', 'Electricity', 'Depreciation', 'Consumables', 'Labor'],
-        datasets: [{
-          data: [
-            result.breakdown.filament.cost,
-            result.breakdown.electricity.cost,
-            result.breakdown.depreciation.cost,
-            result.breakdown.consumables.totalCost,
-            result.breakdown.labor.cost,
-          ],
-          backgroundColor: [
-            CONFIG.CHART_COLORS.filament,
-            CONFIG.CHART_COLORS.electricity,
-            CONFIG.CHART_COLORS.depreciation,
-            CONFIG.CHART_COLORS.consumables,
-            CONFIG.CHART_COLORS.labor,
-          ],
-          borderWidth: 2,
-          borderColor: '#ffffff',
-        }],
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: {
-            position: 'bottom',
-          },
-          tooltip: {
-            callbacks: {
-              label: (context) => {
-                const value = context.raw;
-                const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
-                return `${context.label}: ${Formatters.currency(value)} (${percentage}%)`;
-              },
-            },
-          },
-        },
-      },
+    ChartManager.createCostBreakdown('cost-chart', {
+      filament: result.breakdown.filament.cost,
+      waste: result.breakdown.waste.cost,
+      electricity: result.breakdown.electricity.cost,
+      depreciation: result.breakdown.depreciation.cost,
+      consumables: result.breakdown.consumables.totalCost,
+      overhead: result.breakdown.overhead.cost,
+      labor: result.breakdown.labor.cost,
+      hardware: result.breakdown.hardware.cost,
+      shipping: result.breakdown.shipping.cost,
     });
   },
 
@@ -930,29 +1968,213 @@ const App = {
     }
 
     const name = document.getElementById('calc-name').value || 'Untitled Print';
-    const printJob = costCalculator.createPrintJob(this.lastCalculation.result, { name });
+    const sale = this.getSaleFromForm(this.lastCalculation.result);
+    const printJob = costCalculator.createPrintJob(this.lastCalculation.result, {
+      name,
+      ...this.lastCalculation.meterReadings,
+      quote: this.lastCalculation.quote,
+      tags: this.getCalcTags(),
+      sale: sale && {
+        price: sale.price,
+        channelId: sale.channelId,
+        channelName: sale.channelName,
+        tax: sale.tax,
+        fees: sale.fees,
+        netPayout: sale.netPayout,
+        profit: sale.profit,
+      },
+    });
+
+    // Ask which physical spools the filament came from when any are tracked
+    if (this.getSpoolChoices(printJob.filamentsUsed).length > 0) {
+      this.showSpoolsUsedModal(printJob);
+      return;
+    }
+
+    this.finishSaveToHistory(printJob);
+  },
 
+  /**
+   * Save a job to history and take what it used out of stock
+   * @param {PrintJob} printJob - Job to save
+   * @param {Array} spoolsUsed - Array of {filamentId, spoolId, label, grams} objects
+   */
+  finishSaveToHistory(printJob, spoolsUsed = []) {
+    printJob.spoolsUsed = spoolsUsed;
     storage.savePrintJob(printJob);
+    this.useFilamentStock(printJob.filamentsUsed, spoolsUsed);
+    this.usePrinterTime(printJob.printerId, printJob.printTimeMinutes);
+    const lowStock = this.useHardwareStock(printJob.hardwareUsed);
+
     this.showToast('Saved to history', 'success');
+    if (lowStock.length > 0) {
+      this.showToast(`Low stock: ${lowStock.map(h => h.getDisplayName()).join(', ')}`, 'warning', 5000);
+    }
     document.getElementById('calc-actions').classList.add('hidden');
   },
 
-  renderPrinters() {
-    const container = document.getElementById('printers-content');
-    const printers = storage.getPrinters();
+  /**
+   * Add a job's print time to its printer's hours, which usage-based depreciation runs on
+   * @param {string} printerId - Printer ID
+   * @param {number} minutes - Print time in minutes (all plates)
+   */
+  usePrinterTime(printerId, minutes) {
+    const printer = storage.getPrinter(printerId);
+    if (!printer || minutes <= 0) return;
 
-    if (printers.length === 0) {
-      container.innerHTML = `
-        <div class="card">
-          <div class="card__body">
-            <div class="empty-state">
-              <svg class="empty-state__icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9V2h12v7"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>
+    printer.addPrintTime(minutes);
+    storage.savePrinter(printer);
+  },
+
+  /**
+   * Draw a job's filament (model and waste) from stock, moving FIFO costing on to newer purchases
+   * @param {Array} filamentsUsed - Array of {id, grams, wasteGrams} objects
+   * @param {Array} spoolsUsed - Array of {filamentId, spoolId, grams} objects
+   */
+  useFilamentStock(filamentsUsed, spoolsUsed = []) {
+    filamentsUsed.forEach(({ id, grams, wasteGrams }) => {
+      const filament = storage.getFilament(id);
+      if (!filament) return;
+
+      filament.useFilament(grams + wasteGrams);
+      storage.saveFilament(filament);
+    });
+
+    spoolsUsed.forEach(({ filamentId, spoolId, grams }) => {
+      const filament = storage.getFilament(filamentId);
+      const spool = filament?.getSpool(spoolId);
+      if (!spool) return;
+
+      spool.use(grams);
+      storage.saveFilament(filament);
+    });
+  },
+
+  /**
+   * Get the tracked filaments a job used, with the spools it could have come from
+   * Grams include waste; a filament used in several rows is combined.
+   * @param {Array} filamentsUsed - Array of {id, grams, wasteGrams} objects
+   * @returns {Array} Array of { filament, grams, spools }
+   */
+  getSpoolChoices(filamentsUsed) {
+    const grams = {};
+    filamentsUsed.forEach(f => {
+      grams[f.id] = (grams[f.id] || 0) + f.grams + f.wasteGrams;
+    });
+
+    return Object.keys(grams)
+      .map(id => storage.getFilament(id))
+      .filter(filament => filament && filament.getActiveSpools().length > 0)
+      .map(filament => ({ filament, grams: grams[filament.id], spools: filament.getActiveSpools() }));
+  },
+
+  showSpoolsUsedModal(printJob) {
+    this._pendingPrintJob = printJob;
+    const choices = this.getSpoolChoices(printJob.filamentsUsed);
+
+    const content = `
+      <p class="text-sm text-gray-500 mb-4">Enter how much came off each spool. It is suggested from opened spools first; change it if you switched spools during the print. Closing cancels the save; Skip Spools saves the job without them.</p>
+      ${choices.map(({ filament, grams, spools }) => {
+        // Suggest filling from opened spools first
+        let left = grams;
+        return `
+          <h4 class="mb-2">${Helpers.escapeHtml(filament.getDisplayName())} <span class="text-sm text-gray-500">${Formatters.weight(grams)} used</span></h4>
+          ${spools.map(spool => {
+            const suggested = Math.min(left, spool.netWeight);
+            left -= suggested;
+            return `
+              <div class="flex gap-2 mb-2 items-center">
+                <span style="flex: 2;">
+                  ${Helpers.escapeHtml(spool.getDisplayName())}
+                  <span class="text-sm text-gray-500">${[spool.location && Helpers.escapeHtml(spool.location), `${Formatters.weight(spool.netWeight)} left`].filter(Boolean).join(' · ')}</span>
+                </span>
+                <div class="input-group" style="flex: 1;">
+                  <input type="text" inputmode="decimal" class="form-input" data-spool-used data-filament-id="${filament.id}" data-spool-id="${spool.id}" value="${Formatters.inputNumber(Helpers.round(suggested, 1) || '')}">
+                  <span class="input-group__addon">g</span>
+                </div>
+              </div>
+            `;
+          }).join('')}
+        `;
+      }).join('<hr class="my-4">')}
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.saveSpoolsUsed(false)">Skip Spools</button>
+      <button class="btn btn--primary" onclick="App.saveSpoolsUsed(true)">Save</button>
+    `;
+
+    this.showModal('Spools Used', content, { footer, onClose: () => this.cancelSpoolsUsed() });
+  },
+
+  cancelSpoolsUsed() {
+    this._pendingPrintJob = null;
+    this.closeModal();
+  },
+
+  saveSpoolsUsed(withSpools) {
+    const printJob = this._pendingPrintJob;
+    if (!printJob) return;
+
+    const spoolsUsed = withSpools
+      ? Array.from(document.querySelectorAll('[data-spool-used]'))
+        .map(input => {
+          const spool = storage.getFilament(input.dataset.filamentId)?.getSpool(input.dataset.spoolId);
+          return {
+            filamentId: input.dataset.filamentId,
+            spoolId: input.dataset.spoolId,
+            label: spool ? spool.getDisplayName() : '',
+            grams: Helpers.parseNumber(input.value, 0),
+          };
+        })
+        .filter(used => used.grams > 0)
+      : [];
+
+    this._pendingPrintJob = null;
+    this.closeModal();
+    this.finishSaveToHistory(printJob, spoolsUsed);
+  },
+
+  /**
+   * Deduct a job's bill of materials from hardware stock
+   * @param {Array} hardwareUsed - Array of {id, quantity} objects
+   * @returns {HardwareItem[]} Items that are now low on stock
+   */
+  useHardwareStock(hardwareUsed) {
+    const lowStock = [];
+
+    hardwareUsed.forEach(({ id, quantity }) => {
+      const item = storage.getHardwareItem(id);
+      if (!item) return;
+
+      item.useStock(quantity);
+      storage.saveHardwareItem(item);
+      if (item.isLowStock()) {
+        lowStock.push(item);
+      }
+    });
+
+    return lowStock;
+  },
+
+  renderPrinters() {
+    const container = document.getElementById('printers-content');
+    const printers = storage.getPrinters();
+    const history = storage.getPrintHistory();
+
+    if (printers.length === 0) {
+      container.innerHTML = `
+        <div class="card">
+          <div class="card__body">
+            <div class="empty-state">
+              <svg class="empty-state__icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 9V2h12v7"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>
               <h3 class="empty-state__title">No printers yet</h3>
               <p class="empty-state__description">Add your first 3D printer to start calculating costs.</p>
               <button class="btn btn--primary" onclick="App.showPrinterModal()">Add Printer</button>
             </div>
           </div>
         </div>
+        ${this.getDryersHtml()}
       `;
       return;
     }
@@ -972,11 +2194,11 @@ const App = {
                 </div>
                 <div class="flex justify-between">
                   <span class="text-gray-500">Purchase Price</span>
-                  <span>${Formatters.currency(printer.purchasePrice)}</span>
+                  <span>${CONFIG.formatCurrency(printer.purchasePrice, printer.currency)}</span>
                 </div>
                 <div class="flex justify-between">
-                  <span class="text-gray-500">Depreciation</span>
-                  <span>${Formatters.pricePerHour(printer.getDepreciationPerHour() + printer.getAmsDepreciationPerHour())}</span>
+                  <span class="text-gray-500">Depreciation (${printer.getDepreciationMethodName()})</span>
+                  <span>${Formatters.pricePerHour(printer.getDepreciationPerHour() + printer.getAmsDepreciationPerHour(), printer.currency)}</span>
                 </div>
                 <div class="flex justify-between">
                   <span class="text-gray-500">Hours Used</span>
@@ -985,7 +2207,7 @@ const App = {
                 ${printer.hasAms && printer.ams ? `
                 <div class="flex justify-between">
                   <span class="text-gray-500">AMS</span>
-                  <span>${printer.ams.name} (${Formatters.currency(printer.ams.purchasePrice)})</span>
+                  <span>${printer.ams.name} (${CONFIG.formatCurrency(printer.ams.purchasePrice, printer.currency)})</span>
                 </div>
                 ` : ''}
               </div>
@@ -996,20 +2218,218 @@ const App = {
                   <div class="progress__bar" style="width: ${printer.getLifetimePercentage()}%"></div>
                 </div>
               </div>
+              ${this.getWattageSuggestionHtml(printer, history)}
             </div>
             <div class="card__footer flex justify-end gap-2">
+              <button class="btn btn--ghost btn--sm" onclick="App.showPrinterROIModal('${printer.id}')">ROI</button>
               <button class="btn btn--ghost btn--sm" onclick="App.showPrinterModal('${printer.id}')">Edit</button>
               <button class="btn btn--ghost btn--sm text-error" onclick="App.deletePrinter('${printer.id}')">Delete</button>
             </div>
           </div>
         `).join('')}
       </div>
+      ${this.getPrinterROIHtml(printers, history)}
+      ${this.getDryersHtml()}
+    `;
+  },
+
+  /**
+   * Get the return-on-investment summary table for the printers page
+   * @param {Printer[]} printers - Printers
+   * @param {PrintJob[]} history - Print history
+   * @returns {string} HTML (empty until a job has a recorded sale)
+   */
+  getPrinterROIHtml(printers, history) {
+    const exchangeRates = storage.getExchangeRates();
+    const rows = printers
+      .map(printer => ({ printer, summary: new PrinterROI(printer, history, { exchangeRates }).getSummary() }))
+      .filter(row => row.summary.sales > 0);
+
+    if (rows.length === 0) return '';
+
+    return `
+      <div class="card mt-6">
+        <div class="card__header">
+          <h3 class="card__title">Return on Investment</h3>
+        </div>
+        <div class="card__body">
+          <div class="table-container">
+            <table class="table">
+              <thead>
+                <tr>
+                  <th>Printer</th>
+                  <th>Sales</th>
+                  <th>Revenue</th>
+                  <th>Variable Cost</th>
+                  <th>Contribution</th>
+                  <th>Paid Back</th>
+                  <th>Payback Date</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rows.map(({ printer, summary }) => `
+                  <tr>
+                    <td class="font-medium">${Helpers.escapeHtml(printer.getDisplayName())}</td>
+                    <td>${summary.sales}</td>
+                    <td>${Formatters.currency(summary.revenue)}</td>
+                    <td>${Formatters.currency(summary.variableCost)}</td>
+                    <td class="${summary.contribution < 0 ? 'text-error' : ''}">${Formatters.currency(summary.contribution)}</td>
+                    <td>${Formatters.percent(summary.paidBackPercent, 0)} of ${Formatters.currency(summary.investment)}</td>
+                    <td>${this.getPaybackLabel(summary)}</td>
+                    <td><button class="btn btn--ghost btn--sm" onclick="App.showPrinterROIModal('${printer.id}')">Details</button></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          <div class="form-hint mt-2">Revenue is the payout after tax and channel fees. Variable cost leaves out machine depreciation, which is what sales are paying back.</div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Describe when a printer paid (or will pay) for itself
+   * @param {Object} summary - PrinterROI#getSummary result
+   * @returns {string} HTML label
+   */
+  getPaybackLabel(summary) {
+    if (!summary.paybackDate) {
+      return '<span class="text-gray-500">Not on track</span>';
+    }
+    if (summary.projected) {
+      return `<span class="text-warning">~${Formatters.date(summary.paybackDate)} (projected)</span>`;
+    }
+    return `<span class="text-success">${Formatters.date(summary.paybackDate)}</span>`;
+  },
+
+  showPrinterROIModal(printerId) {
+    const printer = storage.getPrinter(printerId);
+    if (!printer) return;
+
+    const roi = new PrinterROI(printer, storage.getPrintHistory(), { exchangeRates: storage.getExchangeRates() });
+    const summary = roi.getSummary();
+
+    const content = summary.sales === 0 ? `
+      <div class="empty-state">
+        <p class="text-gray-500">No sales recorded on this printer yet. Enter a selling price when saving a job to track its return.</p>
+      </div>
+    ` : `
+      <div class="grid grid--4 mb-4">
+        <div class="card stat-card">
+          <div class="stat-card__label">Revenue</div>
+          <div class="stat-card__value">${Formatters.currency(summary.revenue)}</div>
+          <div class="stat-card__change">${summary.sales} sale${summary.sales === 1 ? '' : 's'}</div>
+        </div>
+        <div class="card stat-card">
+          <div class="stat-card__label">Variable Cost</div>
+          <div class="stat-card__value">${Formatters.currency(summary.variableCost)}</div>
+        </div>
+        <div class="card stat-card">
+          <div class="stat-card__label">Net Contribution</div>
+          <div class="stat-card__value">${Formatters.currency(summary.contribution)}</div>
+          <div class="stat-card__change">${Formatters.percent(summary.paidBackPercent, 0)} of ${Formatters.currency(summary.investment)}</div>
+        </div>
+        <div class="card stat-card">
+          <div class="stat-card__label">${summary.projected ? 'Projected Payback' : 'Payback'}</div>
+          <div class="stat-card__value">${summary.paybackDate ? Formatters.date(summary.paybackDate) : '-'}</div>
+          ${summary.roiPercent !== null ? `<div class="stat-card__change">ROI ${Formatters.percent(summary.roiPercent)}</div>` : ''}
+        </div>
+      </div>
+      <div style="height: 320px;">
+        <canvas id="printer-roi-chart"></canvas>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.closeModal()">Close</button>
+    `;
+
+    this.showModal(`Return on Investment: ${Helpers.escapeHtml(printer.getDisplayName())}`, content, { footer, size: 'lg' });
+    ChartManager.createPrinterROI('printer-roi-chart', roi);
+  },
+
+  getDryersHtml() {
+    const dryers = storage.getDryers();
+
+    return `
+      <div class="card mt-6">
+        <div class="card__header">
+          <h3 class="card__title">Filament Dryers</h3>
+        </div>
+        <div class="card__body">
+          ${dryers.length > 0 ? `
+            <div class="table-container">
+              <table class="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Power</th>
+                    <th>Purchase Price</th>
+                    <th>Depreciation</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${dryers.map(dryer => `
+                    <tr>
+                      <td class="font-medium">${Helpers.escapeHtml(dryer.getDisplayName())}</td>
+                      <td>${Formatters.power(dryer.wattage)}</td>
+                      <td>${CONFIG.formatCurrency(dryer.purchasePrice, dryer.currency)}</td>
+                      <td>${Formatters.pricePerHour(dryer.getDepreciationPerHour(), dryer.currency)}</td>
+                      <td>
+                        <button class="btn btn--ghost btn--sm" onclick="App.showDryerModal('${dryer.id}')">Edit</button>
+                        <button class="btn btn--ghost btn--sm text-error" onclick="App.deleteDryer('${dryer.id}')">Delete</button>
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          ` : `
+            <p class="text-gray-500">Add a dryer to cost drying Nylon, PC, TPU and other moisture-sensitive filaments before printing.</p>
+          `}
+        </div>
+      </div>
+    `;
+  },
+
+  getWattageSuggestionHtml(printer, history) {
+    const suggestion = printer.getWattageSuggestion(history);
+    if (!suggestion) return '';
+
+    const jobsLabel = `${suggestion.sampleSize} measured job${suggestion.sampleSize > 1 ? 's' : ''}`;
+
+    return `
+      <div class="alert alert--info mt-4 text-sm">
+        <div>${jobsLabel} suggest ${Formatters.power(suggestion.suggestedWatts)} while printing
+          (profile: ${Formatters.power(suggestion.currentWatts)}, ${suggestion.differencePercent >= 0 ? '+' : ''}${Formatters.percent(suggestion.differencePercent)}).</div>
+        ${suggestion.reliable ? `
+          <button class="btn btn--ghost btn--sm mt-2" onclick="App.applyWattageSuggestion('${printer.id}')">Use ${Formatters.power(suggestion.suggestedWatts)}</button>
+        ` : `
+          <div class="text-gray-500 mt-1">Measure at least ${CONFIG.DEFAULTS.ENERGY_MIN_SAMPLES} jobs before updating the profile.</div>
+        `}
+      </div>
     `;
   },
 
+  applyWattageSuggestion(printerId) {
+    const printer = storage.getPrinter(printerId);
+    const suggestion = printer?.getWattageSuggestion(storage.getPrintHistory());
+    if (!suggestion) return;
+
+    printer.powerConsumption.printing = Math.round(suggestion.suggestedWatts);
+    printer.updatedAt = new Date().toISOString();
+    storage.savePrinter(printer);
+    this.showToast(`Printing power set to ${Formatters.power(printer.powerConsumption.printing)}`, 'success');
+    this.renderPage('printers');
+  },
+
   renderFilaments() {
     const container = document.getElementById('filaments-content');
     const filaments = storage.getFilaments();
+    const filamentCosting = storage.getSetting('filamentCosting') || 'latest';
 
     if (filaments.length === 0) {
       container.innerHTML = `
@@ -1043,12 +2463,24 @@ const App = {
               <div class="flex flex-col gap-2 text-sm">
                 <div class="flex justify-between">
                   <span class="text-gray-500">Spool Price</span>
-                  <span>${Formatters.currency(filament.spoolPrice)} / ${Formatters.weight(filament.spoolWeight)}</span>
+                  <span>${CONFIG.formatCurrency(filament.spoolPrice, filament.currency)} / ${Formatters.weight(filament.spoolWeight)}</span>
                 </div>
                 <div class="flex justify-between">
-                  <span class="text-gray-500">Price per Gram</span>
-                  <span>${Formatters.pricePerGram(filament.getPricePerGram())}</span>
+                  <span class="text-gray-500">Price per Gram${filament.purchases.length > 0 ? ` (${CONFIG.FILAMENT_COSTING_METHODS[filamentCosting].name})` : ''}</span>
+                  <span>${Formatters.pricePerGram(filament.getPricePerGram(filamentCosting), filament.currency)}</span>
                 </div>
+                ${filament.purchases.length > 0 ? `
+                  <div class="flex justify-between">
+                    <span class="text-gray-500">Purchases</span>
+                    <span>${filament.purchases.length} · ${Formatters.weight(filament.getPurchasedGramsLeft())} left</span>
+                  </div>
+                ` : ''}
+                ${filament.spools.length > 0 ? `
+                  <div class="flex justify-between">
+                    <span class="text-gray-500">Spools</span>
+                    <span>${filament.getActiveSpools().length} of ${filament.spools.length} · ${Formatters.weight(filament.getSpoolGrams())} left</span>
+                  </div>
+                ` : ''}
                 <div class="flex justify-between">
                   <span class="text-gray-500">Density</span>
                   <span>${filament.density} g/cm³</span>
@@ -1060,6 +2492,7 @@ const App = {
               </div>
             </div>
             <div class="card__footer flex justify-end gap-2">
+              <button class="btn btn--ghost btn--sm" onclick="App.showSpoolsModal('${filament.id}')">Spools</button>
               <button class="btn btn--ghost btn--sm" onclick="App.showFilamentModal('${filament.id}')">Edit</button>
               <button class="btn btn--ghost btn--sm text-error" onclick="App.deleteFilament('${filament.id}')">Delete</button>
             </div>
@@ -1107,11 +2540,11 @@ const App = {
                 <div class="flex flex-col gap-2 text-sm">
                   <div class="flex justify-between">
                     <span class="text-gray-500">Unit Price</span>
-                    <span>${Formatters.currency(consumable.unitPrice)}</span>
+                    <span>${CONFIG.formatCurrency(consumable.unitPrice, consumable.currency)}</span>
                   </div>
                   <div class="flex justify-between">
                     <span class="text-gray-500">Cost per Hour</span>
-                    <span>${Formatters.pricePerHour(consumable.getCostPerHour())}</span>
+                    <span>${Formatters.pricePerHour(consumable.getCostPerHour(), consumable.currency)}</span>
                   </div>
                   <div class="flex justify-between">
                     <span class="text-gray-500">Hours Used</span>
@@ -1140,6 +2573,211 @@ const App = {
     `;
   },
 
+  renderChannels() {
+    const container = document.getElementById('channels-content');
+    const channels = storage.getSalesChannels();
+
+    if (channels.length === 0) {
+      container.innerHTML = `
+        <div class="card">
+          <div class="card__body">
+            <div class="empty-state">
+              <svg class="empty-state__icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>
+              <h3 class="empty-state__title">No sales channels yet</h3>
+              <p class="empty-state__description">Add the marketplaces and payment providers you sell through to see your real payout.</p>
+              <button class="btn btn--primary" onclick="App.showChannelModal()">Add Channel</button>
+            </div>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="grid grid--auto-fit">
+        ${channels.map(channel => `
+          <div class="card" data-channel-id="${channel.id}">
+            <div class="card__body">
+              <div class="flex items-start justify-between mb-3">
+                <h3 class="m-0">${Helpers.escapeHtml(channel.name)}</h3>
+                <span class="badge badge--gray">${channel.getFeeSummary()}</span>
+              </div>
+
+              <div class="flex flex-col gap-2 text-sm">
+                ${channel.fees.map(fee => `
+                  <div class="flex justify-between">
+                    <span class="text-gray-500">${Helpers.escapeHtml(fee.name || 'Fee')}</span>
+                    <span>${[fee.percent > 0 ? Formatters.percent(fee.percent, 2, 0) : '', fee.fixed > 0 ? Formatters.currency(fee.fixed, channel.currency) : ''].filter(Boolean).join(' + ') || '—'}</span>
+                  </div>
+                `).join('')}
+                <div class="flex justify-between">
+                  <span class="text-gray-500">Tax</span>
+                  <span>${channel.getTaxSummary()}</span>
+                </div>
+              </div>
+            </div>
+            <div class="card__footer flex justify-end gap-2">
+              <button class="btn btn--ghost btn--sm" onclick="App.showChannelModal('${channel.id}')">Edit</button>
+              <button class="btn btn--ghost btn--sm text-error" onclick="App.deleteChannel('${channel.id}')">Delete</button>
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  renderHardware() {
+    const container = document.getElementById('hardware-content');
+    const items = storage.getHardwareItems();
+
+    if (items.length === 0) {
+      container.innerHTML = `
+        <div class="card">
+          <div class="card__body">
+            <div class="empty-state">
+              <svg class="empty-state__icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 16V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16z"/></svg>
+              <h3 class="empty-state__title">No hardware yet</h3>
+              <p class="empty-state__description">Track inserts, magnets, screws, paint and other parts that go into your products.</p>
+              <button class="btn btn--primary" onclick="App.showHardwareModal()">Add Hardware</button>
+            </div>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="card">
+        <div class="card__body">
+          <div class="table-container">
+            <table class="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Category</th>
+                  <th>Unit Price</th>
+                  <th>In Stock</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${items.map(item => {
+                  const status = item.getStockStatus();
+                  return `
+                    <tr>
+                      <td>
+                        <div class="font-medium">${Helpers.escapeHtml(item.getDisplayName())}</div>
+                        ${item.supplier ? `<div class="text-sm text-gray-500">${Helpers.escapeHtml(item.supplier)}</div>` : ''}
+                      </td>
+                      <td><span class="badge badge--gray">${item.getCategoryName()}</span></td>
+                      <td>${Formatters.currency(item.unitPrice)}/${item.unit}</td>
+                      <td>
+                        ${Formatters.number(item.inStock, Number.isInteger(item.inStock) ? 0 : 1)} ${item.unit}
+                        <span class="badge badge--${status.class}">${status.label}</span>
+                      </td>
+                      <td>
+                        <button class="btn btn--ghost btn--sm" onclick="App.showHardwareModal('${item.id}')">Edit</button>
+                        <button class="btn btn--ghost btn--sm text-error" onclick="App.deleteHardwareItem('${item.id}')">Delete</button>
+                      </td>
+                    </tr>
+                  `;
+                }).join('')}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  renderShipping() {
+    const container = document.getElementById('shipping-content');
+    const items = storage.getPackagingItems();
+    const tables = storage.getShippingRateTables();
+
+    container.innerHTML = `
+      <div class="card mb-6">
+        <div class="card__header">
+          <h3 class="card__title">Packaging</h3>
+        </div>
+        <div class="card__body">
+          ${items.length > 0 ? `
+            <div class="table-container">
+              <table class="table">
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Type</th>
+                    <th>Size</th>
+                    <th>Weight</th>
+                    <th>Unit Price</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${items.map(item => `
+                    <tr>
+                      <td class="font-medium">${Helpers.escapeHtml(item.getDisplayName())}</td>
+                      <td><span class="badge badge--gray">${item.getTypeName()}</span></td>
+                      <td>${item.getDimensionsLabel() || '—'}</td>
+                      <td>${Formatters.weight(item.weightGrams)}</td>
+                      <td>${Formatters.currency(item.unitPrice)}</td>
+                      <td>
+                        <button class="btn btn--ghost btn--sm" onclick="App.showPackagingModal('${item.id}')">Edit</button>
+                        <button class="btn btn--ghost btn--sm text-error" onclick="App.deletePackagingItem('${item.id}')">Delete</button>
+                      </td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          ` : `
+            <div class="empty-state">
+              <p class="text-gray-500">No packaging yet. Add the boxes, mailers and padding you ship with.</p>
+              <button class="btn btn--primary" onclick="App.showPackagingModal()">Add Packaging</button>
+            </div>
+          `}
+        </div>
+      </div>
+
+      <div class="card">
+        <div class="card__header">
+          <h3 class="card__title">Shipping Rates</h3>
+        </div>
+        <div class="card__body">
+          ${tables.length > 0 ? `
+            <div class="grid grid--auto-fit">
+              ${tables.map(table => `
+                <div class="card">
+                  <div class="card__body">
+                    <h4 class="m-0 mb-3">${Helpers.escapeHtml(table.getDisplayName())}</h4>
+                    <div class="flex flex-col gap-2 text-sm">
+                      ${table.bands.map(band => `
+                        <div class="flex justify-between">
+                          <span class="text-gray-500">Up to ${Formatters.weight(band.maxGrams)}</span>
+                          <span>${Formatters.currency(band.rate)}</span>
+                        </div>
+                      `).join('') || '<span class="text-gray-500">No weight bands</span>'}
+                    </div>
+                  </div>
+                  <div class="card__footer flex justify-end gap-2">
+                    <button class="btn btn--ghost btn--sm" onclick="App.showShippingRateModal('${table.id}')">Edit</button>
+                    <button class="btn btn--ghost btn--sm text-error" onclick="App.deleteShippingRateTable('${table.id}')">Delete</button>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          ` : `
+            <div class="empty-state">
+              <p class="text-gray-500">No shipping rates yet. Add a carrier's postage by weight band.</p>
+              <button class="btn btn--primary" onclick="App.showShippingRateModal()">Add Rate Table</button>
+            </div>
+          `}
+        </div>
+      </div>
+    `;
+  },
+
   renderHistory() {
     const container = document.getElementById('history-content');
     const history = storage.getPrintHistory();
@@ -1182,13 +2820,27 @@ const App = {
                     <tr>
                       <td>
                         <div class="font-medium">${Helpers.escapeHtml(job.name)}</div>
-                        <span class="badge badge--${statusInfo.class}">${statusInfo.label}</span>
+                        <span class="badge badge--${statusInfo.class}">${statusInfo.label}${job.percentCompleted !== null ? ` at ${Formatters.percent(job.percentCompleted, 0)}` : ''}</span>
+                        ${job.tags.map(tag => `<span class="badge badge--gray">${Helpers.escapeHtml(tag)}</span>`).join(' ')}
                       </td>
                       <td>${job.getFormattedTime()}</td>
-                      <td>${job.getFormattedWeight()}</td>
-                      <td class="font-semibold">${job.getFormattedTotal()}</td>
+                      <td>
+                        ${job.getFormattedWeight()}
+                        ${job.filamentWasteGrams > 0 ? `<div class="text-sm text-gray-500">+${Formatters.weight(job.filamentWasteGrams)} waste (${Formatters.percent(job.getWastePercent())})</div>` : ''}
+                        ${job.spoolsUsed.length > 0 ? `<div class="text-sm text-gray-500">from ${job.spoolsUsed.map(s => `${Helpers.escapeHtml(s.label)} (${Formatters.weight(s.grams)})`).join(', ')}</div>` : ''}
+                      </td>
+                      <td>
+                        <div class="font-semibold">${job.getFormattedTotal()}</div>
+                        ${job.quantity > 1 ? `<div class="text-sm text-gray-500">${job.formatCost(job.getCostPerUnit())}/unit × ${job.quantity}</div>` : ''}
+                        ${job.costs.overhead > 0 ? `<div class="text-sm text-gray-500">incl. ${job.formatCost(job.costs.overhead)} overhead</div>` : ''}
+                      </td>
                       <td>${job.getDisplayDate()}</td>
                       <td>
+                        ${!job.hasOutcome() ? `
+                          <button class="btn btn--ghost btn--sm text-success" onclick="App.markPrintJobCompleted('${job.id}')">Done</button>
+                          <button class="btn btn--ghost btn--sm text-error" onclick="App.showFailureModal('${job.id}')">Failed</button>
+                        ` : ''}
+                        ${job.quote ? `<button class="btn btn--ghost btn--sm" onclick="App.showJobQuoteModal('${job.id}')">Quote</button>` : ''}
                         <button class="btn btn--ghost btn--sm text-error" onclick="App.deletePrintJob('${job.id}')">Delete</button>
                       </td>
                     </tr>
@@ -1199,13 +2851,66 @@ const App = {
           </div>
         </div>
       </div>
+      ${this.getFailureRatesHtml(history)}
     `;
   },
 
-  renderCompare() {
-    const container = document.getElementById('compare-content');
+  getFailureRatesHtml(history) {
+    const stats = new FailureStats(history, { minSamples: storage.getSetting('failureMinSamples') });
+    const overall = stats.getOverall();
+    if (overall.total === 0) return '';
+
     const printers = storage.getPrinters();
-    const filaments = storage.getFilaments();
+    const labels = {
+      printer: key => printers.find(p => p.id === key)?.getDisplayName() || 'Deleted printer',
+      material: key => key,
+      tag: key => key,
+    };
+
+    const renderTable = (title, dimension) => {
+      const rows = stats.getBreakdown(dimension);
+      return `
+        <div>
+          <h4 class="mb-2">${title}</h4>
+          ${rows.length === 0 ? '<p class="text-sm text-gray-500">No outcomes yet</p>' : `
+            <table class="table">
+              <tbody>
+                ${rows.map(row => `
+                  <tr>
+                    <td>${Helpers.escapeHtml(labels[dimension](row.key))}</td>
+                    <td class="font-semibold">${Formatters.percent(row.rate * 100)}</td>
+                    <td class="text-sm ${row.sufficient ? 'text-gray-500' : 'text-warning'}">${row.failed}/${row.total}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+      `;
+    };
+
+    return `
+      <div class="card mt-6">
+        <div class="card__header">
+          <h3 class="card__title">Failure Rates</h3>
+          <span class="text-sm text-gray-500">${Formatters.percent(overall.rate * 100)} overall · ${overall.failed} of ${overall.total} prints failed</span>
+        </div>
+        <div class="card__body">
+          <div class="grid grid--3">
+            ${renderTable('By Printer', 'printer')}
+            ${renderTable('By Material', 'material')}
+            ${renderTable('By Tag', 'tag')}
+          </div>
+          <p class="form-hint mt-4">Rates need ${stats.minSamples} outcomes before the calculator uses them; smaller samples are highlighted.</p>
+        </div>
+      </div>
+    `;
+  },
+
+  renderCompare() {
+    const container = document.getElementById('compare-content');
+    const printers = storage.getPrinters();
+    const filaments = storage.getFilaments();
     const settings = storage.getSettings();
 
     // Check if we have enough data to compare
@@ -1239,25 +2944,25 @@ const App = {
             <div class="grid grid--2">
               <div class="form-group">
                 <label class="form-label">Print Time (minutes)</label>
-                <input type="number" class="form-input" id="compare-time" min="1" value="60">
+                <input type="text" inputmode="decimal" class="form-input" id="compare-time" value="60">
               </div>
               <div class="form-group">
                 <label class="form-label">Filament (grams)</label>
-                <input type="number" class="form-input" id="compare-grams" min="1" value="20">
+                <input type="text" inputmode="decimal" class="form-input" id="compare-grams" value="20">
               </div>
             </div>
             <div class="grid grid--2">
               <div class="form-group">
                 <label class="form-label">Electricity Rate</label>
                 <div class="input-group">
-                  <input type="number" class="form-input" id="compare-electricity" min="0" step="0.01" value="${settings.electricityRate || 0.15}">
+                  <input type="text" inputmode="decimal" class="form-input" id="compare-electricity" value="${Formatters.inputNumber(settings.electricityRate || 0.15)}">
                   <span class="input-group__addon">/kWh</span>
                 </div>
               </div>
               <div class="form-group">
                 <label class="form-label">Failure Rate</label>
                 <div class="input-group">
-                  <input type="number" class="form-input" id="compare-failure" min="0" max="100" value="${(settings.defaultFailureRate || 0.05) * 100}">
+                  <input type="text" inputmode="decimal" class="form-input" id="compare-failure" value="${Formatters.inputNumber((settings.defaultFailureRate || 0.05) * 100)}">
                   <span class="input-group__addon">%</span>
                 </div>
               </div>
@@ -1344,6 +3049,253 @@ const App = {
   // Store comparison scenarios
   compareScenarios: [],
 
+  // ============================================================
+  // Break-Even Planner
+  // ============================================================
+
+  renderBreakEven() {
+    const container = document.getElementById('breakeven-content');
+    const history = storage.getPrintHistory();
+    const channels = storage.getSalesChannels();
+
+    if (history.length === 0) {
+      container.innerHTML = `
+        <div class="card">
+          <div class="card__body">
+            <div class="empty-state">
+              <svg class="empty-state__icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 17 9 11 13 15 21 7"/></svg>
+              <h3 class="empty-state__title">No Saved Jobs</h3>
+              <p class="empty-state__description">Save a calculation to history to use it as the cost of each unit.</p>
+              <button class="btn btn--primary" onclick="App.navigateTo('calculator')">Go to Calculator</button>
+            </div>
+          </div>
+        </div>
+      `;
+      return;
+    }
+
+    const plan = storage.getSetting('breakEvenPlan') || {};
+    const job = history.find(j => j.id === plan.jobId) || history[0];
+    const price = plan.jobId === job.id && plan.price ? plan.price : this.getBreakEvenDefaultPrice(job);
+
+    container.innerHTML = `
+      <div class="grid grid--2 mb-6">
+        <div class="card">
+          <div class="card__header">
+            <h3 class="card__title">Plan</h3>
+          </div>
+          <div class="card__body">
+            <h4 class="mb-2">One-Time Costs</h4>
+            <div class="form-hint mb-2">Design hours, model licenses, jigs or a new printer bought for this product</div>
+            <div id="breakeven-fixed-list"></div>
+            <button type="button" class="btn btn--ghost btn--sm mb-4" id="btn-add-breakeven-fixed">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+              Add Cost
+            </button>
+
+            <div class="form-group">
+              <label class="form-label">Cost per Unit From</label>
+              <select class="form-select" id="breakeven-job">
+                ${history.map(j => `
+                  <option value="${j.id}" ${j.id === job.id ? 'selected' : ''}>${Helpers.escapeHtml(j.name)} (${Formatters.currency(j.getCostPerUnitBeforeMarkup())}/unit)</option>
+                `).join('')}
+              </select>
+            </div>
+
+            <div class="grid grid--2">
+              <div class="form-group">
+                <label class="form-label">Selling Price per Unit</label>
+                <div class="input-group">
+                  <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+                  <input type="text" inputmode="decimal" class="form-input" id="breakeven-price" value="${Formatters.inputNumber(Helpers.round(price, 2))}">
+                </div>
+              </div>
+              <div class="form-group">
+                <label class="form-label">Sales Channel</label>
+                <select class="form-select" id="breakeven-channel">
+                  <option value="">None (no fees)</option>
+                  ${channels.map(c => `
+                    <option value="${c.id}" ${c.id === plan.channelId ? 'selected' : ''}>${Helpers.escapeHtml(c.name)}</option>
+                  `).join('')}
+                </select>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div class="card">
+          <div class="card__header">
+            <h3 class="card__title">What If</h3>
+            <button class="btn btn--ghost btn--sm" onclick="App.resetBreakEvenSliders()">Reset</button>
+          </div>
+          <div class="card__body">
+            ${[
+              { id: 'price', label: 'Selling price', min: -50, max: 50 },
+              { id: 'cost', label: 'Cost per unit', min: -50, max: 50 },
+              { id: 'fixed', label: 'One-time costs', min: -50, max: 100 },
+            ].map(slider => `
+              <div class="form-group">
+                <label class="form-label" for="breakeven-whatif-${slider.id}">
+                  ${slider.label} <span class="text-gray-500" id="breakeven-whatif-${slider.id}-value">+0%</span>
+                </label>
+                <input type="range" class="form-range" id="breakeven-whatif-${slider.id}" min="${slider.min}" max="${slider.max}" step="1" value="0" data-breakeven-whatif>
+              </div>
+            `).join('')}
+            <div class="form-hint">Sliders adjust the plan without changing it</div>
+          </div>
+        </div>
+      </div>
+
+      <div id="breakeven-results" class="mb-6"></div>
+
+      <div class="card">
+        <div class="card__header">
+          <h3 class="card__title">Cumulative Profit</h3>
+        </div>
+        <div class="card__body">
+          <div style="height: 320px;">
+            <canvas id="breakeven-chart"></canvas>
+          </div>
+        </div>
+      </div>
+    `;
+
+    (plan.fixedCosts || []).forEach(item => this.addBreakEvenFixedRow(item));
+    if (!plan.fixedCosts?.length) {
+      this.addBreakEvenFixedRow();
+    }
+
+    document.getElementById('btn-add-breakeven-fixed').addEventListener('click', () => {
+      this.addBreakEvenFixedRow();
+    });
+    document.getElementById('breakeven-job').addEventListener('change', (e) => {
+      document.getElementById('breakeven-price').value = Formatters.inputNumber(Helpers.round(this.getBreakEvenDefaultPrice(storage.getPrintJob(e.target.value)), 2));
+    });
+    container.oninput = () => this.updateBreakEven();
+    container.onchange = () => this.updateBreakEven();
+
+    this.updateBreakEven();
+  },
+
+  /**
+   * Get the starting selling price for a job: its recorded sale, else its quoted total
+   * @param {PrintJob} job - Saved job
+   * @returns {number} Price per unit
+   */
+  getBreakEvenDefaultPrice(job) {
+    const quantity = Math.max(1, job.quantity);
+    return job.sale ? job.sale.price / quantity : job.costs.total / quantity;
+  },
+
+  breakEvenFixedRowCount: 0,
+
+  addBreakEvenFixedRow(item = {}) {
+    const container = document.getElementById('breakeven-fixed-list');
+    const rowId = this.breakEvenFixedRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'breakeven-fixed-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <input type="text" class="form-input" style="flex: 2;" data-fixed-name value="${Helpers.escapeHtml(item.name || '')}" placeholder="e.g., Model license">
+      <div class="input-group" style="flex: 1;">
+        <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+        <input type="text" inputmode="decimal" class="form-input" data-fixed-amount value="${Formatters.inputNumber(item.amount ?? 0)}">
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeBreakEvenFixedRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeBreakEvenFixedRow(rowId) {
+    const row = document.querySelector(`.breakeven-fixed-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this.updateBreakEven();
+    }
+  },
+
+  resetBreakEvenSliders() {
+    document.querySelectorAll('[data-breakeven-whatif]').forEach(slider => {
+      slider.value = 0;
+    });
+    this.updateBreakEven();
+  },
+
+  updateBreakEven() {
+    const job = storage.getPrintJob(document.getElementById('breakeven-job').value);
+    if (!job) return;
+
+    const fixedCosts = Array.from(document.querySelectorAll('.breakeven-fixed-row'))
+      .map(row => ({
+        name: row.querySelector('[data-fixed-name]').value.trim(),
+        amount: Helpers.parseNumber(row.querySelector('[data-fixed-amount]').value, 0),
+      }))
+      .filter(item => item.name || item.amount > 0);
+    const price = Helpers.parseNumber(document.getElementById('breakeven-price').value, 0);
+    const channel = storage.getSalesChannel(document.getElementById('breakeven-channel').value);
+
+    // Remember the plan (sliders are not saved)
+    storage.saveSetting('breakEvenPlan', { fixedCosts, jobId: job.id, price, channelId: channel ? channel.id : null });
+
+    const whatIf = {};
+    ['price', 'cost', 'fixed'].forEach(key => {
+      const percent = Helpers.parseNumber(document.getElementById(`breakeven-whatif-${key}`).value, 0);
+      whatIf[key] = 1 + percent / 100;
+      document.getElementById(`breakeven-whatif-${key}-value`).textContent = `${percent >= 0 ? '+' : ''}${Formatters.percent(percent, 0)}`;
+    });
+
+    const unitPrice = price * whatIf.price;
+    const costPerUnit = job.getCostPerUnitBeforeMarkup() * whatIf.cost;
+    const totalFixed = fixedCosts.reduce((sum, item) => sum + item.amount, 0) * whatIf.fixed;
+
+    // Each sale pays out the price less tax and channel fees (fixed fees at today's rate)
+    const feesChannel = channel && channel.toBaseCurrency(storage.getExchangeRates());
+    const netPerUnit = feesChannel ? feesChannel.getSaleBreakdown(unitPrice).netPayout : unitPrice;
+
+    const analysis = costCalculator.breakEvenAnalysis({
+      fixedCosts: totalFixed,
+      costPerUnit,
+      pricePerUnit: netPerUnit,
+    });
+
+    document.getElementById('breakeven-results').innerHTML = `
+      ${channel && !feesChannel ? `
+        <div class="alert alert--warning mb-4">No exchange rate for ${channel.currency}, so ${Helpers.escapeHtml(channel.name)} fees are left out. Add one in Settings.</div>
+      ` : ''}
+      ${!analysis.profitable ? `
+        <div class="alert alert--warning mb-4">
+          ${feesChannel ? `After ${Helpers.escapeHtml(channel.name)} tax and fees, each sale pays ${Formatters.currency(netPerUnit)}. ` : ''}${analysis.message}.
+        </div>
+      ` : ''}
+      <div class="grid grid--4">
+        <div class="card stat-card">
+          <div class="stat-card__label">Break-Even Quantity</div>
+          <div class="stat-card__value">${analysis.profitable ? `${Formatters.number(analysis.breakEvenQuantity)} units` : 'Never'}</div>
+        </div>
+        <div class="card stat-card">
+          <div class="stat-card__label">Margin per Unit</div>
+          <div class="stat-card__value ${analysis.marginPerUnit < 0 ? 'text-error' : ''}">${Formatters.currency(analysis.marginPerUnit)}</div>
+          <div class="stat-card__change">${Formatters.currency(netPerUnit)} ${feesChannel ? 'net payout' : 'price'} - ${Formatters.currency(costPerUnit)} cost</div>
+        </div>
+        <div class="card stat-card">
+          <div class="stat-card__label">One-Time Costs</div>
+          <div class="stat-card__value">${Formatters.currency(totalFixed)}</div>
+        </div>
+        <div class="card stat-card">
+          <div class="stat-card__label">Revenue to Break Even</div>
+          <div class="stat-card__value">${analysis.profitable ? Formatters.currency(analysis.breakEvenQuantity * unitPrice) : '-'}</div>
+        </div>
+      </div>
+    `;
+
+    const maxQuantity = analysis.profitable ? Math.max(10, analysis.breakEvenQuantity * 2) : 100;
+    ChartManager.createBreakEven('breakeven-chart', analysis, maxQuantity);
+  },
+
   renderCompareScenarios() {
     if (!this.compareScenarios || this.compareScenarios.length === 0) {
       return `
@@ -1456,7 +3408,7 @@ const App = {
     const printTime = Helpers.parseNumber(document.getElementById('compare-time').value, 60);
     const filamentGrams = Helpers.parseNumber(document.getElementById('compare-grams').value, 20);
     const electricityRate = Helpers.parseNumber(document.getElementById('compare-electricity').value, 0.15);
-    const failureRate = Helpers.parseNumber(document.getElementById('compare-failure').value, 5) / 100;
+    const failureRate = Helpers.clamp(Helpers.parseNumber(document.getElementById('compare-failure').value, 5), 0, 100) / 100;
 
     const printer = storage.getPrinter(printerId);
     const filament = storage.getFilament(filamentId);
@@ -1476,8 +3428,6 @@ const App = {
       filamentGrams,
       electricityRate,
       failureRate,
-      laborHourlyRate: 0,
-      laborHours: 0,
       markupPercent: 0,
     });
 
@@ -1564,6 +3514,7 @@ const App = {
     const container = document.getElementById('modal-container');
     this._modalHasChanges = false;
     this._modalConfirmClose = options.confirmClose ?? false;
+    this._modalOnClose = options.onClose || null; // replaces closing via × or Escape
 
     container.innerHTML = `
       <div class="modal-backdrop open" id="modal-backdrop">
@@ -1600,7 +3551,9 @@ const App = {
   },
 
   tryCloseModal() {
-    if (this._modalConfirmClose && this._modalHasChanges) {
+    if (this._modalOnClose) {
+      this._modalOnClose();
+    } else if (this._modalConfirmClose && this._modalHasChanges) {
       if (confirm('You have unsaved changes. Are you sure you want to close?')) {
         this.closeModal();
       }
@@ -1614,6 +3567,7 @@ const App = {
     container.innerHTML = '';
     this._modalHasChanges = false;
     this._modalConfirmClose = false;
+    this._modalOnClose = null;
     document.removeEventListener('keydown', this._escapeHandler);
   },
 
@@ -1671,6 +3625,9 @@ const App = {
 
   showSettingsModal() {
     const settings = storage.getSettings();
+    const tariffSchedule = storage.getTariffSchedule();
+    const overheadPool = storage.getOverheadPool();
+    const exchangeRates = storage.getExchangeRates();
     const regions = CONFIG.getElectricityRatesByRegion();
 
     let optionsHtml = '';
@@ -1691,24 +3648,114 @@ const App = {
         </select>
       </div>
 
+      <div class="form-group">
+        <label class="form-label">Base Currency</label>
+        <select class="form-select" id="settings-currency">
+          ${this.getCurrencyOptionsHtml(CONFIG.CURRENCY.code)}
+        </select>
+        <div class="form-hint">Costs and prices are calculated and shown in this currency. Rates, labor and other prices without their own currency are entered in it.</div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Number &amp; Date Format</label>
+        <select class="form-select" id="settings-locale">
+          <option value="">Browser default</option>
+          ${Object.entries(CONFIG.LOCALES).map(([key, name]) => `<option value="${key}" ${settings.locale === key ? 'selected' : ''}>${name}</option>`).join('')}
+        </select>
+        <div class="form-hint">How numbers, dates and currencies are written (e.g. 1,234.50 or 1.234,50). Inputs accept either a dot or a comma as the decimal separator.</div>
+      </div>
+
       <div class="form-group">
         <label class="form-label">Custom Electricity Rate (overrides location)</label>
         <div class="input-group">
-          <input type="number" class="form-input" id="settings-electricity" min="0" step="0.01" value="${settings.electricityRate || 0.15}">
+          <input type="text" inputmode="decimal" class="form-input" id="settings-electricity" value="${Formatters.inputNumber(settings.electricityRate || 0.15)}">
           <span class="input-group__addon">/kWh</span>
         </div>
       </div>
 
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Default Failure Rate</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="settings-failure" value="${Formatters.inputNumber((settings.defaultFailureRate || 0.05) * 100)}">
+            <span class="input-group__addon">%</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Learn Failure Rate After</label>
+          <div class="input-group">
+            <input type="text" inputmode="numeric" class="form-input" id="settings-failure-samples" value="${Formatters.inputNumber(settings.failureMinSamples ?? CONFIG.DEFAULTS.FAILURE_MIN_SAMPLES)}">
+            <span class="input-group__addon">outcomes</span>
+          </div>
+          <div class="form-hint">Completed or failed prints needed before the calculator uses a learned rate</div>
+        </div>
+      </div>
+
       <div class="form-group">
-        <label class="form-label">Default Failure Rate</label>
+        <label class="form-label">Filament Costing</label>
+        <select class="form-select" id="settings-filament-costing">
+          ${Object.entries(CONFIG.FILAMENT_COSTING_METHODS).map(([key, method]) => `<option value="${key}" ${(settings.filamentCosting || 'latest') === key ? 'selected' : ''}>${method.name}</option>`).join('')}
+        </select>
+        <div class="form-hint" id="settings-filament-costing-hint">${CONFIG.FILAMENT_COSTING_METHODS[settings.filamentCosting || 'latest'].description}. Applies to filaments with purchases logged; others use their spool price.</div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Default Target Margin</label>
         <div class="input-group">
-          <input type="number" class="form-input" id="settings-failure" min="0" max="100" step="1" value="${(settings.defaultFailureRate || 0.05) * 100}">
+          <input type="text" inputmode="decimal" class="form-input" id="settings-target-margin" value="${Formatters.inputNumber(settings.targetMarginPercent ?? CONFIG.DEFAULTS.TARGET_MARGIN_PERCENT)}">
           <span class="input-group__addon">%</span>
         </div>
       </div>
 
       <hr class="my-4">
 
+      <h4 class="mb-2">Time-of-Use Tariff</h4>
+      <div class="form-group">
+        <label class="form-checkbox">
+          <input type="checkbox" id="settings-tou-enabled" ${tariffSchedule.enabled ? 'checked' : ''}>
+          <span>My electricity price changes by time of day</span>
+        </label>
+        <div class="form-hint">Add peak, shoulder and off-peak bands. Hours not covered by any band use the electricity rate above.</div>
+      </div>
+      <div id="settings-tariff-bands"></div>
+      <button type="button" class="btn btn--ghost btn--sm" id="btn-add-tariff-band">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Band
+      </button>
+
+      <hr class="my-4">
+
+      <h4 class="mb-2">Shop Overhead</h4>
+      <div class="form-hint mb-2">Monthly fixed costs such as rent, software, insurance and internet, spread over your expected print hours and charged per machine hour.</div>
+      <div id="settings-overhead-items"></div>
+      <button type="button" class="btn btn--ghost btn--sm mb-4" id="btn-add-overhead-item">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Cost
+      </button>
+      <div class="form-group">
+        <label class="form-label">Expected Print Hours per Month</label>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" id="settings-overhead-hours" value="${Formatters.inputNumber(overheadPool.expectedMonthlyHours)}">
+          <span class="input-group__addon">hours</span>
+        </div>
+        <div class="form-hint">All printers together. Overhead rate: <strong id="settings-overhead-rate">${CONFIG.formatCurrency(overheadPool.getRatePerHour())}</strong> per print hour</div>
+      </div>
+
+      <hr class="my-4">
+
+      <h4 class="mb-2">Exchange Rates</h4>
+      <div class="form-hint mb-2">For printers, filaments and consumables bought in another currency. Each rate is the value of one unit in the base currency and applies from its date until a newer rate for the same currency.</div>
+      ${exchangeRates.isBase() ? '' : `
+        <div class="alert alert--warning mb-2">These rates are against ${exchangeRates.base}, not the base currency ${CONFIG.CURRENCY.code}, and are not used. Add a rate for ${CONFIG.CURRENCY.code} to convert them when you save.</div>
+      `}
+      <div id="settings-exchange-rates"></div>
+      <button type="button" class="btn btn--ghost btn--sm" id="btn-add-exchange-rate">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Rate
+      </button>
+
+      <hr class="my-4">
+
       <div class="alert alert--warning">
         <strong>Danger Zone</strong>
         <p class="m-0 mt-2">
@@ -1722,72 +3769,383 @@ const App = {
       <button class="btn btn--primary" onclick="App.saveSettings()">Save Settings</button>
     `;
 
-    this.showModal('Settings', content, { footer, confirmClose: true });
+    this.showModal('Settings', content, { footer, size: 'lg', confirmClose: true });
 
     // Update rate when location changes
     document.getElementById('settings-location').addEventListener('change', (e) => {
       const rate = CONFIG.getElectricityRate(e.target.value);
-      document.getElementById('settings-electricity').value = rate;
+      document.getElementById('settings-electricity').value = Formatters.inputNumber(rate);
     });
-  },
-
-  saveSettings() {
-    const location = document.getElementById('settings-location').value;
-    const electricityRate = Helpers.parseNumber(document.getElementById('settings-electricity').value, 0.15);
-    const failureRate = Helpers.parseNumber(document.getElementById('settings-failure').value, 5) / 100;
 
-    storage.saveSetting('location', location);
-    storage.saveSetting('electricityRate', electricityRate);
-    storage.saveSetting('defaultFailureRate', failureRate);
+    // Tariff band editor
+    tariffSchedule.bands.forEach(band => this.addTariffBandRow(band));
+    document.getElementById('btn-add-tariff-band').addEventListener('click', () => {
+      this.addTariffBandRow();
+      this._modalHasChanges = true;
+    });
 
-    this.closeModal();
-    this.showToast('Settings saved', 'success');
+    // Overhead cost editor
+    overheadPool.items.forEach(item => this.addOverheadItemRow(item));
+    document.getElementById('btn-add-overhead-item').addEventListener('click', () => {
+      this.addOverheadItemRow();
+      this._modalHasChanges = true;
+    });
+    document.getElementById('settings-overhead-items').addEventListener('input', () => this.updateOverheadRate());
+    document.getElementById('settings-overhead-hours').addEventListener('input', () => this.updateOverheadRate());
+
+    // Exchange rate editor
+    this._exchangeRatesBase = exchangeRates.base || CONFIG.CURRENCY.code;
+    exchangeRates.rates.forEach(rate => this.addExchangeRateRow(rate));
+    document.getElementById('btn-add-exchange-rate').addEventListener('click', () => {
+      this.addExchangeRateRow();
+      this._modalHasChanges = true;
+    });
+    document.getElementById('settings-filament-costing').addEventListener('change', (e) => {
+      document.getElementById('settings-filament-costing-hint').textContent =
+        `${CONFIG.FILAMENT_COSTING_METHODS[e.target.value].description}. Applies to filaments with purchases logged; others use their spool price.`;
+    });
   },
 
-  clearAllData() {
-    if (confirm('Are you sure you want to delete ALL data? This cannot be undone!')) {
-      storage.clearAll();
-      this.closeModal();
-      this.showToast('All data cleared', 'success');
-      this.renderPage(this.currentPage);
-    }
+  /**
+   * Get <option> tags for a currency select
+   * @param {string|null} selected - Selected currency code
+   * @param {boolean} withBase - Start with a "base currency" option (value '')
+   * @returns {string} HTML
+   */
+  getCurrencyOptionsHtml(selected, withBase = false) {
+    return `
+      ${withBase ? `<option value="">Base currency (${CONFIG.CURRENCY.code})</option>` : ''}
+      ${Object.entries(CONFIG.CURRENCIES).map(([code, currency]) =>
+        `<option value="${code}" ${code === selected ? 'selected' : ''}>${code} - ${currency.name}</option>`
+      ).join('')}
+    `;
   },
 
-  showPrinterModal(printerId = null) {
-    const printer = printerId ? storage.getPrinter(printerId) : new Printer();
-    const isEdit = !!printerId;
-
-    // Build preset options grouped by manufacturer
-    const presets = CONFIG.getPrinterPresetsByManufacturer();
-    let presetOptionsHtml = '<option value="">-- Select a preset (optional) --</option>';
-    for (const [manufacturer, printers] of Object.entries(presets)) {
-      presetOptionsHtml += `<optgroup label="${manufacturer}">`;
-      printers.forEach(p => {
-        presetOptionsHtml += `<option value="${p.key}">${p.name} (${p.buildVolume})</option>`;
+  /**
+   * Keep price addons in a form showing the symbol of its currency select
+   * @param {string} prefix - Element ID prefix of the select ('printer', 'filament', 'consumable', 'dryer', 'channel')
+   */
+  bindCurrencySelect(prefix) {
+    document.getElementById(`${prefix}-currency`).addEventListener('change', (e) => {
+      const symbol = CONFIG.getCurrency(e.target.value || null).symbol;
+      document.querySelectorAll(`[data-currency-symbol="${prefix}"]`).forEach(el => {
+        el.textContent = symbol;
       });
-      presetOptionsHtml += '</optgroup>';
-    }
+    });
+  },
 
-    const content = `
-      ${!isEdit ? `
-        <div class="form-group">
-          <label class="form-label">Load from Preset</label>
-          <select class="form-select" id="printer-preset">
-            ${presetOptionsHtml}
-          </select>
-          <div class="form-hint">Select a printer to auto-fill specs, or enter manually below</div>
-        </div>
-        <hr class="my-4">
-      ` : ''}
+  exchangeRateRowCount: 0,
 
-      <div class="form-group">
-        <label class="form-label form-label--required">Name</label>
-        <input type="text" class="form-input" id="printer-name" value="${Helpers.escapeHtml(printer.name)}" placeholder="e.g., My Prusa MK3S+">
+  addExchangeRateRow(rate = {}) {
+    const container = document.getElementById('settings-exchange-rates');
+    const rowId = this.exchangeRateRowCount++;
+    const base = this._exchangeRatesBase || CONFIG.CURRENCY.code;
+
+    const row = document.createElement('div');
+    row.className = 'exchange-rate-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.dataset.rateId = rate.id || '';
+    row.innerHTML = `
+      <select class="form-select" style="flex: 2;" data-exchange-currency>
+        ${this.getCurrencyOptionsHtml(rate.currency || Object.keys(CONFIG.CURRENCIES).find(code => code !== base))}
+      </select>
+      <div class="input-group" style="flex: 2;">
+        <input type="text" inputmode="decimal" class="form-input" data-exchange-rate value="${Formatters.inputNumber(rate.rate ?? 1)}">
+        <span class="input-group__addon">${base}</span>
       </div>
+      <input type="date" class="form-input" style="flex: 2;" data-exchange-date value="${rate.effectiveDate || Formatters.isoDate(new Date())}" title="Effective from">
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeExchangeRateRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
 
-      <div class="grid grid--2">
-        <div class="form-group">
-          <label class="form-label">Manufacturer</label>
+    container.appendChild(row);
+  },
+
+  removeExchangeRateRow(rowId) {
+    const row = document.querySelector(`.exchange-rate-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+    }
+  },
+
+  getExchangeRatesFromForm() {
+    const rates = Array.from(document.querySelectorAll('.exchange-rate-row')).map(row => ({
+      id: row.dataset.rateId || undefined,
+      currency: row.querySelector('[data-exchange-currency]').value,
+      rate: Helpers.parseNumber(row.querySelector('[data-exchange-rate]').value, 0),
+      effectiveDate: row.querySelector('[data-exchange-date]').value,
+    }));
+
+    return new ExchangeRateTable({
+      base: this._exchangeRatesBase,
+      rates: rates.filter(rate => rate.rate > 0 && rate.effectiveDate),
+    });
+  },
+
+  overheadItemRowCount: 0,
+
+  addOverheadItemRow(item = {}) {
+    const container = document.getElementById('settings-overhead-items');
+    const rowId = this.overheadItemRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'overhead-item-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.dataset.itemId = item.id || '';
+    row.innerHTML = `
+      <input type="text" class="form-input" style="flex: 2;" data-overhead-name value="${Helpers.escapeHtml(item.name || '')}" placeholder="e.g., Rent">
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="decimal" class="form-input" data-overhead-cost value="${Formatters.inputNumber(item.monthlyCost ?? 0)}">
+        <span class="input-group__addon">/month</span>
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeOverheadItemRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeOverheadItemRow(rowId) {
+    const row = document.querySelector(`.overhead-item-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+      this.updateOverheadRate();
+    }
+  },
+
+  getOverheadPoolFromForm() {
+    const items = Array.from(document.querySelectorAll('.overhead-item-row')).map(row => ({
+      id: row.dataset.itemId || undefined,
+      name: row.querySelector('[data-overhead-name]').value.trim(),
+      monthlyCost: Helpers.parseNumber(row.querySelector('[data-overhead-cost]').value, 0),
+    }));
+
+    return new OverheadPool({
+      items: items.filter(item => item.name || item.monthlyCost > 0),
+      expectedMonthlyHours: Helpers.parseNumber(document.getElementById('settings-overhead-hours').value, CONFIG.DEFAULTS.OVERHEAD_MONTHLY_HOURS),
+    });
+  },
+
+  updateOverheadRate() {
+    const rate = document.getElementById('settings-overhead-rate');
+    if (rate) {
+      rate.textContent = CONFIG.formatCurrency(this.getOverheadPoolFromForm().getRatePerHour());
+    }
+  },
+
+  tariffBandRowCount: 0,
+
+  addTariffBandRow(band = {}) {
+    const container = document.getElementById('settings-tariff-bands');
+    const rowId = this.tariffBandRowCount++;
+    const dayMask = band.dayMask ?? TariffSchedule.ALL_DAYS;
+
+    const row = document.createElement('div');
+    row.className = 'tariff-band-row card p-4 mb-2';
+    row.dataset.rowId = rowId;
+    row.dataset.bandId = band.id || '';
+    row.innerHTML = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Band Name</label>
+          <input type="text" class="form-input" data-band-name value="${Helpers.escapeHtml(band.name || '')}" placeholder="e.g., Peak">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Rate</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" data-band-rate value="${Formatters.inputNumber(band.rate ?? 0)}">
+            <span class="input-group__addon">/kWh</span>
+          </div>
+        </div>
+      </div>
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">From</label>
+          <input type="time" class="form-input" data-band-start value="${band.start || '00:00'}">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Until</label>
+          <input type="time" class="form-input" data-band-end value="${band.end || '00:00'}">
+        </div>
+      </div>
+      <div class="flex items-center justify-between flex-wrap gap-2">
+        <div class="flex flex-wrap gap-3">
+          ${CONFIG.WEEKDAYS.map((day, i) => `
+            <label class="form-checkbox">
+              <input type="checkbox" data-band-day="${i}" ${dayMask & (1 << i) ? 'checked' : ''}>
+              <span>${day}</span>
+            </label>
+          `).join('')}
+        </div>
+        <button type="button" class="btn btn--ghost btn--sm text-error" onclick="App.removeTariffBandRow(${rowId})">Remove</button>
+      </div>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeTariffBandRow(rowId) {
+    const row = document.querySelector(`.tariff-band-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+    }
+  },
+
+  getTariffScheduleFromForm() {
+    const bands = [];
+
+    document.querySelectorAll('.tariff-band-row').forEach(row => {
+      let dayMask = 0;
+      row.querySelectorAll('[data-band-day]').forEach(checkbox => {
+        if (checkbox.checked) {
+          dayMask |= 1 << Number(checkbox.dataset.bandDay);
+        }
+      });
+
+      bands.push({
+        id: row.dataset.bandId || undefined,
+        name: row.querySelector('[data-band-name]').value,
+        rate: Helpers.parseNumber(row.querySelector('[data-band-rate]').value, 0),
+        start: row.querySelector('[data-band-start]').value,
+        end: row.querySelector('[data-band-end]').value,
+        dayMask,
+      });
+    });
+
+    return new TariffSchedule({
+      enabled: document.getElementById('settings-tou-enabled').checked,
+      bands,
+    });
+  },
+
+  saveSettings() {
+    const oldBase = CONFIG.CURRENCY.code;
+    const currency = document.getElementById('settings-currency').value;
+    const exchangeRates = this.getExchangeRatesFromForm();
+    const baseChanged = currency !== oldBase;
+
+    if (baseChanged) {
+      const ratesConverted = exchangeRates.rebase(currency, oldBase);
+      const message = [
+        `Change the base currency from ${oldBase} to ${currency}?`,
+        `Printers, filaments, consumables, dryers and channel fees without their own currency will stay priced in ${oldBase}.`,
+        ratesConverted
+          ? `Exchange rates will be converted to ${currency}.`
+          : `Exchange rates can't be converted without a rate for ${currency}, so they won't be used until you add one.`,
+        `The electricity rate, overhead costs, hardware, packaging, shipping rates and labor rates have no currency of their own and are not converted. Update them to ${currency} afterwards.`,
+      ].join('\n\n');
+      if (!confirm(message)) return;
+    }
+
+    const location = document.getElementById('settings-location').value;
+    const electricityRate = Helpers.parseNumber(document.getElementById('settings-electricity').value, 0.15);
+    const failureRate = Helpers.clamp(Helpers.parseNumber(document.getElementById('settings-failure').value, 5), 0, 100) / 100;
+
+    storage.saveSetting('location', location);
+    storage.saveSetting('electricityRate', electricityRate);
+    storage.saveSetting('defaultFailureRate', failureRate);
+    storage.saveSetting('failureMinSamples', Math.max(1, Helpers.parseInt(document.getElementById('settings-failure-samples').value, CONFIG.DEFAULTS.FAILURE_MIN_SAMPLES)));
+    storage.saveSetting('targetMarginPercent', Helpers.clamp(Helpers.parseNumber(document.getElementById('settings-target-margin').value, CONFIG.DEFAULTS.TARGET_MARGIN_PERCENT), 0, 99));
+    storage.saveSetting('filamentCosting', document.getElementById('settings-filament-costing').value);
+    storage.saveTariffSchedule(this.getTariffScheduleFromForm());
+    storage.saveOverheadPool(this.getOverheadPoolFromForm());
+    storage.saveExchangeRates(exchangeRates);
+
+    if (baseChanged) {
+      this.pinBaseCurrencyPrices(oldBase);
+    }
+
+    const locale = document.getElementById('settings-locale').value || null;
+    const formatChanged = baseChanged || locale !== (storage.getSetting('locale') || null);
+    storage.saveSetting('currency', currency);
+    storage.saveSetting('locale', locale);
+    CONFIG.setCurrency(currency);
+    Formatters.setLocale(locale);
+
+    this.closeModal();
+    this.showToast('Settings saved', 'success');
+    if (formatChanged) {
+      this.renderPage(this.currentPage);
+    }
+  },
+
+  /**
+   * Pin printers, filaments, consumables, dryers and channel fees without a currency to the old base
+   * currency, so their prices keep their value when the base currency changes
+   * @param {string} oldBase - Base currency code before the change
+   */
+  pinBaseCurrencyPrices(oldBase) {
+    storage.getPrinters().filter(printer => !printer.currency).forEach(printer => {
+      printer.currency = oldBase;
+      storage.savePrinter(printer);
+    });
+    storage.getFilaments().filter(filament => !filament.currency).forEach(filament => {
+      filament.currency = oldBase;
+      storage.saveFilament(filament);
+    });
+    storage.getConsumables().filter(consumable => !consumable.currency).forEach(consumable => {
+      consumable.currency = oldBase;
+      storage.saveConsumable(consumable);
+    });
+    storage.getDryers().filter(dryer => !dryer.currency).forEach(dryer => {
+      dryer.currency = oldBase;
+      storage.saveDryer(dryer);
+    });
+    storage.getSalesChannels().filter(channel => !channel.currency).forEach(channel => {
+      channel.currency = oldBase;
+      storage.saveSalesChannel(channel);
+    });
+  },
+
+  clearAllData() {
+    if (confirm('Are you sure you want to delete ALL data? This cannot be undone!')) {
+      storage.clearAll();
+      this.closeModal();
+      this.showToast('All data cleared', 'success');
+      this.renderPage(this.currentPage);
+    }
+  },
+
+  showPrinterModal(printerId = null) {
+    const printer = printerId ? storage.getPrinter(printerId) : new Printer();
+    const isEdit = !!printerId;
+
+    // Build preset options grouped by manufacturer
+    const presets = CONFIG.getPrinterPresetsByManufacturer();
+    let presetOptionsHtml = '<option value="">-- Select a preset (optional) --</option>';
+    for (const [manufacturer, printers] of Object.entries(presets)) {
+      presetOptionsHtml += `<optgroup label="${manufacturer}">`;
+      printers.forEach(p => {
+        presetOptionsHtml += `<option value="${p.key}">${p.name} (${p.buildVolume})</option>`;
+      });
+      presetOptionsHtml += '</optgroup>';
+    }
+
+    const content = `
+      ${!isEdit ? `
+        <div class="form-group">
+          <label class="form-label">Load from Preset</label>
+          <select class="form-select" id="printer-preset">
+            ${presetOptionsHtml}
+          </select>
+          <div class="form-hint">Select a printer to auto-fill specs, or enter manually below</div>
+        </div>
+        <hr class="my-4">
+      ` : ''}
+
+      <div class="form-group">
+        <label class="form-label form-label--required">Name</label>
+        <input type="text" class="form-input" id="printer-name" value="${Helpers.escapeHtml(printer.name)}" placeholder="e.g., My Prusa MK3S+">
+      </div>
+
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Manufacturer</label>
           <input type="text" class="form-input" id="printer-manufacturer" value="${Helpers.escapeHtml(printer.manufacturer)}" placeholder="e.g., Prusa">
         </div>
         <div class="form-group">
@@ -1800,45 +4158,54 @@ const App = {
       <div class="grid grid--3">
         <div class="form-group">
           <label class="form-label">Printing (W)</label>
-          <input type="number" class="form-input" id="printer-power-printing" min="0" value="${printer.powerConsumption.printing}">
+          <input type="text" inputmode="decimal" class="form-input" id="printer-power-printing" value="${Formatters.inputNumber(printer.powerConsumption.printing)}">
         </div>
         <div class="form-group">
           <label class="form-label">Idle (W)</label>
-          <input type="number" class="form-input" id="printer-power-idle" min="0" value="${printer.powerConsumption.idle}">
+          <input type="text" inputmode="decimal" class="form-input" id="printer-power-idle" value="${Formatters.inputNumber(printer.powerConsumption.idle)}">
         </div>
         <div class="form-group">
           <label class="form-label">Heated (W)</label>
-          <input type="number" class="form-input" id="printer-power-heated" min="0" value="${printer.powerConsumption.heated}">
+          <input type="text" inputmode="decimal" class="form-input" id="printer-power-heated" value="${Formatters.inputNumber(printer.powerConsumption.heated)}">
         </div>
       </div>
 
       <h4 class="mt-4 mb-2">Depreciation</h4>
-      <div class="grid grid--2">
+      <div class="grid grid--3">
         <div class="form-group">
           <label class="form-label">Purchase Price</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="printer-price" min="0" step="0.01" value="${printer.purchasePrice}">
-            <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+            <input type="text" inputmode="decimal" class="form-input" id="printer-price" value="${Formatters.inputNumber(printer.purchasePrice)}">
+            <span class="input-group__addon" data-currency-symbol="printer">${CONFIG.getCurrency(printer.currency).symbol}</span>
           </div>
         </div>
+        <div class="form-group">
+          <label class="form-label">Currency <span class="tooltip-icon" title="Currency the printer and AMS were bought in. Converted into the base currency with the exchange rates in Settings.">?</span></label>
+          <select class="form-select" id="printer-currency">
+            ${this.getCurrencyOptionsHtml(printer.currency, true)}
+          </select>
+        </div>
         <div class="form-group">
           <label class="form-label">Expected Lifetime</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="printer-lifetime" min="1" value="${printer.estimatedLifetimeHours}">
+            <input type="text" inputmode="decimal" class="form-input" id="printer-lifetime" value="${Formatters.inputNumber(printer.estimatedLifetimeHours)}">
             <span class="input-group__addon">hours</span>
           </div>
         </div>
       </div>
 
+      ${this.getDepreciationFieldsHtml('printer', printer, printer.currency)}
+
       <div class="form-group">
         <label class="form-label">Current Hours Used</label>
-        <input type="number" class="form-input" id="printer-hours" min="0" step="0.1" value="${printer.currentHours}">
+        <input type="text" inputmode="decimal" class="form-input" id="printer-hours" value="${Formatters.inputNumber(printer.currentHours)}">
+        <div class="form-hint">Saving a job to history adds its print time here and to the AMS.</div>
       </div>
 
       <div class="form-group">
         <label class="form-label">Default Failure Rate</label>
         <div class="input-group">
-          <input type="number" class="form-input" id="printer-failure" min="0" max="100" step="1" value="${printer.defaultFailureRate * 100}">
+          <input type="text" inputmode="decimal" class="form-input" id="printer-failure" value="${Formatters.inputNumber(printer.defaultFailureRate * 100)}">
           <span class="input-group__addon">%</span>
         </div>
       </div>
@@ -1871,15 +4238,15 @@ const App = {
           <div class="form-group">
             <label class="form-label">AMS Power (Working)</label>
             <div class="input-group">
-              <input type="number" class="form-input" id="printer-ams-power" min="0" step="0.01" value="${printer.ams?.powerConsumption?.working || 0}" readonly>
+              <input type="text" inputmode="decimal" class="form-input" id="printer-ams-power" value="${Formatters.inputNumber(printer.ams?.powerConsumption?.working || 0)}" readonly>
               <span class="input-group__addon">W</span>
             </div>
           </div>
           <div class="form-group">
             <label class="form-label">AMS Purchase Price</label>
             <div class="input-group">
-              <input type="number" class="form-input" id="printer-ams-price" min="0" step="0.01" value="${printer.ams?.purchasePrice || 0}">
-              <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+              <input type="text" inputmode="decimal" class="form-input" id="printer-ams-price" value="${Formatters.inputNumber(printer.ams?.purchasePrice || 0)}">
+              <span class="input-group__addon" data-currency-symbol="printer">${CONFIG.getCurrency(printer.currency).symbol}</span>
             </div>
           </div>
         </div>
@@ -1888,15 +4255,17 @@ const App = {
           <div class="form-group">
             <label class="form-label">AMS Lifetime</label>
             <div class="input-group">
-              <input type="number" class="form-input" id="printer-ams-lifetime" min="1" value="${printer.ams?.estimatedLifetimeHours || 5000}">
+              <input type="text" inputmode="decimal" class="form-input" id="printer-ams-lifetime" value="${Formatters.inputNumber(printer.ams?.estimatedLifetimeHours || 5000)}">
               <span class="input-group__addon">hours</span>
             </div>
           </div>
           <div class="form-group">
             <label class="form-label">AMS Hours Used</label>
-            <input type="number" class="form-input" id="printer-ams-hours" min="0" step="0.1" value="${printer.ams?.currentHours || 0}">
+            <input type="text" inputmode="decimal" class="form-input" id="printer-ams-hours" value="${Formatters.inputNumber(printer.ams?.currentHours || 0)}">
           </div>
         </div>
+
+        ${this.getDepreciationFieldsHtml('printer-ams', printer.ams || {}, printer.currency)}
       </div>
     `;
 
@@ -1907,6 +4276,13 @@ const App = {
 
     this.showModal(isEdit ? 'Edit Printer' : 'Add Printer', content, { footer, size: 'lg', confirmClose: true });
 
+    // Depreciation method fields
+    ['printer', 'printer-ams'].forEach(prefix => {
+      document.getElementById(`${prefix}-depreciation-method`).addEventListener('change', () => {
+        this.updateDepreciationFields(prefix);
+      });
+    });
+
     // AMS checkbox toggle
     document.getElementById('printer-has-ams').addEventListener('change', (e) => {
       const amsSettings = document.getElementById('ams-settings');
@@ -1929,6 +4305,8 @@ const App = {
       document.getElementById('printer-ams-lifetime').value = amsPreset.estimatedLifetimeHours;
     });
 
+    this.bindCurrencySelect('printer');
+
     // Add preset selector event listener (only for new printers)
     if (!isEdit) {
       document.getElementById('printer-preset').addEventListener('change', (e) => {
@@ -1952,6 +4330,76 @@ const App = {
     }
   },
 
+  /**
+   * Get the depreciation method fields for a printer or AMS
+   * @param {string} prefix - Element ID prefix ('printer' or 'printer-ams')
+   * @param {Object} asset - Printer or AMS settings
+   * @param {string|null} currency - Currency the asset was bought in (null = base currency)
+   * @returns {string} HTML
+   */
+  getDepreciationFieldsHtml(prefix, asset, currency = null) {
+    const method = asset.depreciationMethod || 'straight-line';
+
+    return `
+      <div class="form-group">
+        <label class="form-label">Depreciation Method</label>
+        <select class="form-select" id="${prefix}-depreciation-method">
+          ${Object.entries(CONFIG.DEPRECIATION_METHODS).map(([key, m]) => `
+            <option value="${key}" ${method === key ? 'selected' : ''}>${m.name}</option>
+          `).join('')}
+        </select>
+        <div class="form-hint" id="${prefix}-depreciation-hint">${CONFIG.DEPRECIATION_METHODS[method]?.description || ''}</div>
+      </div>
+
+      <div class="grid grid--3">
+        <div class="form-group ${method === 'straight-line' ? 'hidden' : ''}" id="${prefix}-salvage-group">
+          <label class="form-label">Resale Value</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="${prefix}-salvage" value="${Formatters.inputNumber(asset.salvageValue ?? 0)}">
+            <span class="input-group__addon" data-currency-symbol="printer">${CONFIG.getCurrency(currency).symbol}</span>
+          </div>
+        </div>
+        <div class="form-group ${method === 'calendar' ? '' : 'hidden'}" data-calendar-group="${prefix}">
+          <label class="form-label">Purchase Date</label>
+          <input type="date" class="form-input" id="${prefix}-purchase-date" value="${asset.purchaseDate ? Formatters.isoDate(asset.purchaseDate) : ''}">
+        </div>
+        <div class="form-group ${method === 'calendar' ? '' : 'hidden'}" data-calendar-group="${prefix}">
+          <label class="form-label">Depreciate Over</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="${prefix}-depreciation-years" value="${Formatters.inputNumber(asset.depreciationYears ?? CONFIG.DEFAULTS.DEPRECIATION_YEARS)}">
+            <span class="input-group__addon">years</span>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  updateDepreciationFields(prefix) {
+    const method = document.getElementById(`${prefix}-depreciation-method`).value;
+
+    document.getElementById(`${prefix}-depreciation-hint`).textContent = CONFIG.DEPRECIATION_METHODS[method]?.description || '';
+    document.getElementById(`${prefix}-salvage-group`).classList.toggle('hidden', method === 'straight-line');
+    document.querySelectorAll(`[data-calendar-group="${prefix}"]`).forEach(group => {
+      group.classList.toggle('hidden', method !== 'calendar');
+    });
+  },
+
+  /**
+   * Read the depreciation method fields for a printer or AMS
+   * @param {string} prefix - Element ID prefix ('printer' or 'printer-ams')
+   * @returns {Object} { depreciationMethod, salvageValue, purchaseDate, depreciationYears }
+   */
+  getDepreciationFromForm(prefix) {
+    const purchaseDate = document.getElementById(`${prefix}-purchase-date`).value;
+
+    return {
+      depreciationMethod: document.getElementById(`${prefix}-depreciation-method`).value,
+      salvageValue: Helpers.parseNumber(document.getElementById(`${prefix}-salvage`).value, 0),
+      purchaseDate: purchaseDate ? new Date(purchaseDate).toISOString() : null,
+      depreciationYears: Helpers.parseNumber(document.getElementById(`${prefix}-depreciation-years`).value, CONFIG.DEFAULTS.DEPRECIATION_YEARS),
+    };
+  },
+
   savePrinter(printerId) {
     const hasAms = document.getElementById('printer-has-ams').checked;
     const amsType = document.getElementById('printer-ams-type').value;
@@ -1968,9 +4416,11 @@ const App = {
         heated: Helpers.parseNumber(document.getElementById('printer-power-heated').value, 200),
       },
       purchasePrice: Helpers.parseNumber(document.getElementById('printer-price').value, 0),
+      currency: document.getElementById('printer-currency').value || null,
       estimatedLifetimeHours: Helpers.parseNumber(document.getElementById('printer-lifetime').value, 5000),
       currentHours: Helpers.parseNumber(document.getElementById('printer-hours').value, 0),
-      defaultFailureRate: Helpers.parseNumber(document.getElementById('printer-failure').value, 5) / 100,
+      ...this.getDepreciationFromForm('printer'),
+      defaultFailureRate: Helpers.clamp(Helpers.parseNumber(document.getElementById('printer-failure').value, 5), 0, 100) / 100,
       notes: document.getElementById('printer-notes').value,
       hasAms: hasAms,
     };
@@ -1986,6 +4436,7 @@ const App = {
         purchasePrice: Helpers.parseNumber(document.getElementById('printer-ams-price').value, 0),
         estimatedLifetimeHours: Helpers.parseNumber(document.getElementById('printer-ams-lifetime').value, 5000),
         currentHours: Helpers.parseNumber(document.getElementById('printer-ams-hours').value, 0),
+        ...this.getDepreciationFromForm('printer-ams'),
       };
     }
 
@@ -2010,6 +4461,104 @@ const App = {
     }
   },
 
+  showDryerModal(dryerId = null) {
+    const dryer = dryerId ? storage.getDryer(dryerId) : new Dryer();
+    const isEdit = !!dryerId;
+
+    const content = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Brand</label>
+          <input type="text" class="form-input" id="dryer-brand" value="${Helpers.escapeHtml(dryer.brand)}" placeholder="e.g., Sunlu">
+        </div>
+        <div class="form-group">
+          <label class="form-label form-label--required">Name</label>
+          <input type="text" class="form-input" id="dryer-name" value="${Helpers.escapeHtml(dryer.name)}" placeholder="e.g., FilaDryer S2">
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label form-label--required">Power</label>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" id="dryer-wattage" value="${Formatters.inputNumber(dryer.wattage)}">
+          <span class="input-group__addon">W</span>
+        </div>
+      </div>
+
+      <div class="grid grid--3">
+        <div class="form-group">
+          <label class="form-label">Purchase Price</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="dryer-price" value="${Formatters.inputNumber(dryer.purchasePrice)}">
+            <span class="input-group__addon" data-currency-symbol="dryer">${CONFIG.getCurrency(dryer.currency).symbol}</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Currency</label>
+          <select class="form-select" id="dryer-currency">
+            ${this.getCurrencyOptionsHtml(dryer.currency, true)}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Lifetime</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="dryer-lifetime" value="${Formatters.inputNumber(dryer.estimatedLifetimeHours)}">
+            <span class="input-group__addon">hours</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Notes</label>
+        <textarea class="form-textarea" id="dryer-notes" rows="2">${Helpers.escapeHtml(dryer.notes)}</textarea>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Cancel</button>
+      <button class="btn btn--primary" onclick="App.saveDryer('${dryer.id}')">${isEdit ? 'Save Changes' : 'Add Dryer'}</button>
+    `;
+
+    this.showModal(isEdit ? 'Edit Dryer' : 'Add Dryer', content, { footer, confirmClose: true });
+
+    this.bindCurrencySelect('dryer');
+  },
+
+  saveDryer(dryerId) {
+    const existing = storage.getDryer(dryerId);
+    const name = document.getElementById('dryer-name').value.trim();
+
+    if (!name) {
+      this.showToast('Please enter a dryer name', 'error');
+      return;
+    }
+
+    const dryer = new Dryer({
+      id: dryerId,
+      name,
+      brand: document.getElementById('dryer-brand').value.trim(),
+      wattage: Helpers.parseNumber(document.getElementById('dryer-wattage').value, 50),
+      purchasePrice: Helpers.parseNumber(document.getElementById('dryer-price').value, 0),
+      currency: document.getElementById('dryer-currency').value || null,
+      estimatedLifetimeHours: Helpers.parseNumber(document.getElementById('dryer-lifetime').value, 5000),
+      notes: document.getElementById('dryer-notes').value,
+      createdAt: existing?.createdAt,
+    });
+
+    storage.saveDryer(dryer);
+    this.closeModal();
+    this.showToast('Dryer saved', 'success');
+    this.renderPage('printers');
+  },
+
+  deleteDryer(dryerId) {
+    if (confirm('Are you sure you want to delete this dryer?')) {
+      storage.deleteDryer(dryerId);
+      this.showToast('Dryer deleted', 'success');
+      this.renderPage('printers');
+    }
+  },
+
   showFilamentModal(filamentId = null) {
     const filament = filamentId ? storage.getFilament(filamentId) : new Filament();
     const isEdit = !!filamentId;
@@ -2049,36 +4598,50 @@ const App = {
       </div>
 
       <h4 class="mt-4 mb-2">Pricing</h4>
-      <div class="grid grid--2">
+      <div class="grid grid--3">
         <div class="form-group">
           <label class="form-label form-label--required">Spool Price</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="filament-price" min="0" step="0.01" value="${filament.spoolPrice}">
-            <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+            <input type="text" inputmode="decimal" class="form-input" id="filament-price" value="${Formatters.inputNumber(filament.spoolPrice)}">
+            <span class="input-group__addon" data-currency-symbol="filament">${CONFIG.getCurrency(filament.currency).symbol}</span>
           </div>
         </div>
+        <div class="form-group">
+          <label class="form-label">Currency</label>
+          <select class="form-select" id="filament-currency">
+            ${this.getCurrencyOptionsHtml(filament.currency, true)}
+          </select>
+        </div>
         <div class="form-group">
           <label class="form-label form-label--required">Spool Weight</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="filament-weight" min="1" value="${filament.spoolWeight}">
+            <input type="text" inputmode="decimal" class="form-input" id="filament-weight" value="${Formatters.inputNumber(filament.spoolWeight)}">
             <span class="input-group__addon">g</span>
           </div>
         </div>
       </div>
 
+      <h4 class="mt-4 mb-2">Purchases</h4>
+      <div class="form-hint mb-2">Log each time you buy this filament to cost it from what you actually paid (see Filament Costing in Settings). Price paid is for all spools in the purchase, in the filament's currency. Logged spools are added to stock.${filament.consumedGrams > 0 ? ` Saved jobs have used ${Formatters.weight(filament.consumedGrams)} so far.` : ''}</div>
+      <div id="filament-purchases"></div>
+      <button type="button" class="btn btn--ghost btn--sm" id="btn-add-filament-purchase">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Purchase
+      </button>
+
       <h4 class="mt-4 mb-2">Properties</h4>
       <div class="grid grid--2">
         <div class="form-group">
           <label class="form-label">Diameter</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="filament-diameter" min="0" step="0.01" value="${filament.diameter}">
+            <input type="text" inputmode="decimal" class="form-input" id="filament-diameter" value="${Formatters.inputNumber(filament.diameter)}">
             <span class="input-group__addon">mm</span>
           </div>
         </div>
         <div class="form-group">
           <label class="form-label">Density</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="filament-density" min="0" step="0.01" value="${filament.density}">
+            <input type="text" inputmode="decimal" class="form-input" id="filament-density" value="${Formatters.inputNumber(filament.density)}">
             <span class="input-group__addon">g/cm³</span>
           </div>
         </div>
@@ -2101,13 +4664,78 @@ const App = {
     document.getElementById('filament-material').addEventListener('change', (e) => {
       const material = e.target.value;
       if (CONFIG.MATERIALS[material]) {
-        document.getElementById('filament-density').value = CONFIG.MATERIALS[material].density;
+        document.getElementById('filament-density').value = Formatters.inputNumber(CONFIG.MATERIALS[material].density);
       }
     });
+
+    this.bindCurrencySelect('filament');
+
+    this.filamentPurchaseRowCount = 0;
+    filament.purchases.forEach(purchase => this.addFilamentPurchaseRow(purchase));
+    document.getElementById('btn-add-filament-purchase').addEventListener('click', () => {
+      this.addFilamentPurchaseRow();
+      this._modalHasChanges = true;
+    });
+  },
+
+  filamentPurchaseRowCount: 0,
+
+  addFilamentPurchaseRow(purchase = {}) {
+    const container = document.getElementById('filament-purchases');
+    const rowId = this.filamentPurchaseRowCount++;
+    const currency = document.getElementById('filament-currency')?.value || null;
+
+    const row = document.createElement('div');
+    row.className = 'filament-purchase-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.dataset.purchaseId = purchase.id || '';
+    row.innerHTML = `
+      <input type="date" class="form-input" style="flex: 2;" data-purchase-date value="${purchase.date || Formatters.isoDate(new Date())}" title="Purchase date">
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="decimal" class="form-input" data-purchase-spools value="${Formatters.inputNumber(purchase.spools ?? 1)}" title="Spools">
+        <span class="input-group__addon">spools</span>
+      </div>
+      <div class="input-group" style="flex: 2;">
+        <input type="text" inputmode="decimal" class="form-input" data-purchase-price value="${Formatters.inputNumber(purchase.pricePaid ?? '')}" placeholder="Price paid">
+        <span class="input-group__addon" data-currency-symbol="filament">${CONFIG.getCurrency(currency).symbol}</span>
+      </div>
+      <div class="input-group" style="flex: 2;">
+        <input type="text" inputmode="decimal" class="form-input" data-purchase-shipping value="${Formatters.inputNumber(purchase.shipping || '')}" placeholder="Shipping">
+        <span class="input-group__addon" data-currency-symbol="filament">${CONFIG.getCurrency(currency).symbol}</span>
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeFilamentPurchaseRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeFilamentPurchaseRow(rowId) {
+    const row = document.querySelector(`.filament-purchase-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+    }
+  },
+
+  getFilamentPurchasesFromForm() {
+    return Array.from(document.querySelectorAll('.filament-purchase-row'))
+      .map(row => ({
+        id: row.dataset.purchaseId || undefined,
+        date: row.querySelector('[data-purchase-date]').value,
+        spools: Helpers.parseNumber(row.querySelector('[data-purchase-spools]').value, 0),
+        pricePaid: Helpers.parseNumber(row.querySelector('[data-purchase-price]').value, 0),
+        shipping: Helpers.parseNumber(row.querySelector('[data-purchase-shipping]').value, 0),
+      }))
+      .filter(purchase => purchase.spools > 0 && purchase.date);
   },
 
   saveFilament(filamentId) {
+    // Keep stock and consumption, which the form does not edit
+    const existing = storage.getFilament(filamentId);
     const filament = new Filament({
+      ...(existing ? existing.toJSON() : {}),
       id: filamentId,
       name: document.getElementById('filament-name').value,
       manufacturer: document.getElementById('filament-manufacturer').value,
@@ -2115,10 +4743,25 @@ const App = {
       color: document.getElementById('filament-color').value,
       colorHex: document.getElementById('filament-color-hex').value,
       spoolPrice: Helpers.parseNumber(document.getElementById('filament-price').value, 25),
+      currency: document.getElementById('filament-currency').value || null,
       spoolWeight: Helpers.parseNumber(document.getElementById('filament-weight').value, 1000),
       diameter: Helpers.parseNumber(document.getElementById('filament-diameter').value, 1.75),
       density: Helpers.parseNumber(document.getElementById('filament-density').value, 1.24),
       notes: document.getElementById('filament-notes').value,
+      updatedAt: new Date().toISOString(),
+    });
+
+    // Log purchase edits through the filament so its stock follows them
+    const purchases = this.getFilamentPurchasesFromForm();
+    filament.purchases
+      .filter(old => !purchases.some(p => p.id === old.id))
+      .forEach(old => filament.removePurchase(old.id));
+    purchases.forEach(p => {
+      if (filament.purchases.some(old => old.id === p.id)) {
+        filament.updatePurchase(p);
+      } else {
+        filament.addPurchase(p);
+      }
     });
 
     storage.saveFilament(filament);
@@ -2135,6 +4778,181 @@ const App = {
     }
   },
 
+  showSpoolsModal(filamentId) {
+    const filament = storage.getFilament(filamentId);
+    if (!filament) return;
+
+    const content = filament.spools.length > 0 ? `
+      <div class="table-container">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Spool</th>
+              <th>Location</th>
+              <th>Opened</th>
+              <th>Left</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${filament.spools.map(spool => `
+              <tr class="${spool.isEmpty() ? 'text-gray-500' : ''}">
+                <td class="font-medium">${Helpers.escapeHtml(spool.getDisplayName())}</td>
+                <td>${Helpers.escapeHtml(spool.location) || '—'}</td>
+                <td>${spool.openedDate ? Formatters.date(spool.openedDate) : 'Sealed'}</td>
+                <td>${spool.isEmpty() ? 'Empty' : Formatters.weight(spool.netWeight)}</td>
+                <td>
+                  <button class="btn btn--ghost btn--sm" onclick="App.showWeighSpoolModal('${filament.id}', '${spool.id}')">Weigh</button>
+                  <button class="btn btn--ghost btn--sm" onclick="App.showSpoolModal('${filament.id}', '${spool.id}')">Edit</button>
+                  <button class="btn btn--ghost btn--sm text-error" onclick="App.deleteSpool('${filament.id}', '${spool.id}')">Delete</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    ` : `
+      <p class="text-gray-500">Add each physical spool of ${Helpers.escapeHtml(filament.getDisplayName())} to track how much is left on it. Weigh a spool on a kitchen scale to update it, and pick the spools a print used when you save it to history.</p>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.closeModal()">Close</button>
+      <button class="btn btn--primary" onclick="App.showSpoolModal('${filament.id}')">Add Spool</button>
+    `;
+
+    this.showModal(`Spools: ${Helpers.escapeHtml(filament.getDisplayName())}`, content, { footer, size: 'lg' });
+  },
+
+  showSpoolModal(filamentId, spoolId = null) {
+    const filament = storage.getFilament(filamentId);
+    if (!filament) return;
+    const spool = (spoolId && filament.getSpool(spoolId)) || new Spool({ netWeight: filament.spoolWeight });
+
+    const content = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Label</label>
+          <input type="text" class="form-input" id="spool-label" value="${Helpers.escapeHtml(spool.label)}" placeholder="e.g., B3 (blank = ${spool.getDisplayName()})">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Location</label>
+          <input type="text" class="form-input" id="spool-location" value="${Helpers.escapeHtml(spool.location)}" placeholder="e.g., Dry box 2">
+        </div>
+      </div>
+
+      <div class="grid grid--3">
+        <div class="form-group">
+          <label class="form-label">Filament Left</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="spool-net" value="${Formatters.inputNumber(spool.netWeight)}">
+            <span class="input-group__addon">g</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Empty Spool Weight</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="spool-tare" value="${Formatters.inputNumber(spool.tareWeight)}">
+            <span class="input-group__addon">g</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Opened</label>
+          <input type="date" class="form-input" id="spool-opened" value="${spool.openedDate || ''}">
+        </div>
+      </div>
+      <div class="form-hint">The empty spool weight (tare) is subtracted from scale readings. Many manufacturers list it; otherwise weigh an empty spool of the same brand.</div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.showSpoolsModal('${filament.id}')">Back</button>
+      <button class="btn btn--primary" onclick="App.saveSpool('${filament.id}', '${spool.id}')">${spoolId ? 'Save Changes' : 'Add Spool'}</button>
+    `;
+
+    this.showModal(spoolId ? 'Edit Spool' : 'Add Spool', content, { footer, confirmClose: true });
+  },
+
+  saveSpool(filamentId, spoolId) {
+    const filament = storage.getFilament(filamentId);
+    if (!filament) return;
+
+    const data = {
+      label: document.getElementById('spool-label').value.trim(),
+      location: document.getElementById('spool-location').value.trim(),
+      netWeight: Math.max(0, Helpers.parseNumber(document.getElementById('spool-net').value, 0)),
+      tareWeight: Math.max(0, Helpers.parseNumber(document.getElementById('spool-tare').value, CONFIG.DEFAULTS.SPOOL_TARE_GRAMS)),
+      openedDate: document.getElementById('spool-opened').value || null,
+    };
+
+    const spool = filament.getSpool(spoolId);
+    if (spool) {
+      Object.assign(spool, data, { updatedAt: new Date().toISOString() });
+    } else {
+      filament.addSpool({ id: spoolId, ...data });
+    }
+
+    storage.saveFilament(filament);
+    this.showToast('Spool saved', 'success');
+    this.renderPage('filaments');
+    this.showSpoolsModal(filament.id);
+  },
+
+  deleteSpool(filamentId, spoolId) {
+    const filament = storage.getFilament(filamentId);
+    if (!filament || !confirm('Are you sure you want to delete this spool?')) return;
+
+    filament.removeSpool(spoolId);
+    storage.saveFilament(filament);
+    this.showToast('Spool deleted', 'success');
+    this.renderPage('filaments');
+    this.showSpoolsModal(filament.id);
+  },
+
+  showWeighSpoolModal(filamentId, spoolId) {
+    const filament = storage.getFilament(filamentId);
+    const spool = filament?.getSpool(spoolId);
+    if (!spool) return;
+
+    const content = `
+      <div class="form-group">
+        <label class="form-label form-label--required">Scale Reading</label>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" id="spool-gross" value="${Formatters.inputNumber(Helpers.round(spool.getGrossWeight(), 1))}">
+          <span class="input-group__addon">g</span>
+        </div>
+        <div class="form-hint">Weight of ${Helpers.escapeHtml(spool.getDisplayName())} with its filament. Empty spool: ${Formatters.weight(spool.tareWeight)}</div>
+      </div>
+      <div class="cost-breakdown__row">
+        <span class="cost-breakdown__label">Filament left</span>
+        <span class="cost-breakdown__value font-semibold" id="spool-gross-net">${Formatters.weight(spool.netWeight)}</span>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.showSpoolsModal('${filament.id}')">Back</button>
+      <button class="btn btn--primary" onclick="App.saveSpoolWeight('${filament.id}', '${spool.id}')">Save Weight</button>
+    `;
+
+    this.showModal('Weigh Spool', content, { footer });
+
+    document.getElementById('spool-gross').addEventListener('input', (e) => {
+      const net = Math.max(0, Helpers.parseNumber(e.target.value, 0) - spool.tareWeight);
+      document.getElementById('spool-gross-net').textContent = Formatters.weight(net);
+      this._modalHasChanges = true;
+    });
+  },
+
+  saveSpoolWeight(filamentId, spoolId) {
+    const filament = storage.getFilament(filamentId);
+    const spool = filament?.getSpool(spoolId);
+    if (!spool) return;
+
+    const net = spool.weigh(Helpers.parseNumber(document.getElementById('spool-gross').value, spool.getGrossWeight()));
+    storage.saveFilament(filament);
+    this.showToast(`${spool.getDisplayName()}: ${Formatters.weight(net)} left`, 'success');
+    this.renderPage('filaments');
+    this.showSpoolsModal(filament.id);
+  },
+
   showConsumableModal(consumableId = null) {
     const consumable = consumableId ? storage.getConsumable(consumableId) : new Consumable();
     const isEdit = !!consumableId;
@@ -2170,18 +4988,24 @@ const App = {
         <input type="text" class="form-input" id="consumable-name" value="${Helpers.escapeHtml(consumable.name)}" placeholder="Leave blank to use type name">
       </div>
 
-      <div class="grid grid--2">
+      <div class="grid grid--3">
         <div class="form-group">
           <label class="form-label form-label--required">Unit Price</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="consumable-price" min="0" step="0.01" value="${consumable.unitPrice}">
-            <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+            <input type="text" inputmode="decimal" class="form-input" id="consumable-price" value="${Formatters.inputNumber(consumable.unitPrice)}">
+            <span class="input-group__addon" data-currency-symbol="consumable">${CONFIG.getCurrency(consumable.currency).symbol}</span>
           </div>
         </div>
+        <div class="form-group">
+          <label class="form-label">Currency</label>
+          <select class="form-select" id="consumable-currency">
+            ${this.getCurrencyOptionsHtml(consumable.currency, true)}
+          </select>
+        </div>
         <div class="form-group">
           <label class="form-label form-label--required">Expected Lifetime</label>
           <div class="input-group">
-            <input type="number" class="form-input" id="consumable-lifetime" min="1" value="${consumable.estimatedLifetimeHours}">
+            <input type="text" inputmode="decimal" class="form-input" id="consumable-lifetime" value="${Formatters.inputNumber(consumable.estimatedLifetimeHours)}">
             <span class="input-group__addon">hours</span>
           </div>
         </div>
@@ -2189,12 +5013,12 @@ const App = {
 
       <div class="form-group">
         <label class="form-label">Current Hours Used</label>
-        <input type="number" class="form-input" id="consumable-hours" min="0" step="0.1" value="${consumable.currentHours}">
+        <input type="text" inputmode="decimal" class="form-input" id="consumable-hours" value="${Formatters.inputNumber(consumable.currentHours)}">
       </div>
 
       <div class="form-group">
         <label class="form-label">Quantity in Stock</label>
-        <input type="number" class="form-input" id="consumable-quantity" min="0" value="${consumable.quantity}">
+        <input type="text" inputmode="decimal" class="form-input" id="consumable-quantity" value="${Formatters.inputNumber(consumable.quantity)}">
       </div>
 
       <div class="form-group">
@@ -2214,10 +5038,12 @@ const App = {
     document.getElementById('consumable-type').addEventListener('change', (e) => {
       const type = e.target.value;
       if (CONFIG.CONSUMABLE_TYPES[type]) {
-        document.getElementById('consumable-price').value = CONFIG.CONSUMABLE_TYPES[type].defaultPrice;
+        document.getElementById('consumable-price').value = Formatters.inputNumber(CONFIG.CONSUMABLE_TYPES[type].defaultPrice);
         document.getElementById('consumable-lifetime').value = CONFIG.CONSUMABLE_TYPES[type].defaultLifetimeHours;
       }
     });
+
+    this.bindCurrencySelect('consumable');
   },
 
   saveConsumable(consumableId) {
@@ -2227,6 +5053,7 @@ const App = {
       type: document.getElementById('consumable-type').value,
       printerId: document.getElementById('consumable-printer').value || null,
       unitPrice: Helpers.parseNumber(document.getElementById('consumable-price').value, 10),
+      currency: document.getElementById('consumable-currency').value || null,
       estimatedLifetimeHours: Helpers.parseNumber(document.getElementById('consumable-lifetime').value, 500),
       currentHours: Helpers.parseNumber(document.getElementById('consumable-hours').value, 0),
       quantity: Helpers.parseInt(document.getElementById('consumable-quantity').value, 1),
@@ -2257,6 +5084,1032 @@ const App = {
     }
   },
 
+  showChannelModal(channelId = null) {
+    const channel = channelId ? storage.getSalesChannel(channelId) : new SalesChannel();
+    const isEdit = !!channelId;
+
+    const presetOptions = Object.entries(CONFIG.CHANNEL_PRESETS).map(([key, preset]) =>
+      `<option value="${key}">${preset.name}</option>`
+    ).join('');
+
+    const content = `
+      ${!isEdit ? `
+        <div class="form-group">
+          <label class="form-label">Start from Preset</label>
+          <select class="form-select" id="channel-preset">
+            <option value="">Custom</option>
+            ${presetOptions}
+          </select>
+          <div class="form-hint">Preset fees are typical published rates. Check them against your own account.</div>
+        </div>
+      ` : ''}
+
+      <div class="form-group">
+        <label class="form-label form-label--required">Name</label>
+        <input type="text" class="form-input" id="channel-name" value="${Helpers.escapeHtml(channel.name)}" placeholder="e.g., Etsy Shop">
+      </div>
+
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Sales Tax / VAT</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="channel-tax-rate" value="${Formatters.inputNumber(channel.taxRate)}">
+            <span class="input-group__addon">%</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Tax Is</label>
+          <select class="form-select" id="channel-tax-mode">
+            <option value="added" ${channel.taxMode === 'added' ? 'selected' : ''}>Added on top of the price</option>
+            <option value="included" ${channel.taxMode === 'included' ? 'selected' : ''}>Included in the price</option>
+          </select>
+        </div>
+      </div>
+
+      <h4 class="mb-2">Fees</h4>
+      <div class="form-hint mb-2">Percentage fees are charged on the full amount the buyer pays, including tax.</div>
+      <div class="form-group">
+        <label class="form-label">Per Order Fee Currency</label>
+        <select class="form-select" id="channel-currency">
+          ${this.getCurrencyOptionsHtml(channel.currency, true)}
+        </select>
+      </div>
+      <div id="channel-fees"></div>
+      <button type="button" class="btn btn--ghost btn--sm mb-4" id="btn-add-channel-fee">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Fee
+      </button>
+
+      <div class="form-group">
+        <label class="form-label">Notes</label>
+        <textarea class="form-textarea" id="channel-notes" rows="2">${Helpers.escapeHtml(channel.notes)}</textarea>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Cancel</button>
+      <button class="btn btn--primary" onclick="App.saveChannel('${channel.id}')">${isEdit ? 'Save Changes' : 'Add Channel'}</button>
+    `;
+
+    this.showModal(isEdit ? 'Edit Sales Channel' : 'Add Sales Channel', content, { footer, confirmClose: true });
+
+    channel.fees.forEach(fee => this.addChannelFeeRow(fee));
+    this.bindCurrencySelect('channel');
+    document.getElementById('btn-add-channel-fee').addEventListener('click', () => {
+      this.addChannelFeeRow();
+      this._modalHasChanges = true;
+    });
+
+    // Fill name and fees from preset
+    if (!isEdit) {
+      document.getElementById('channel-preset').addEventListener('change', (e) => {
+        const preset = CONFIG.CHANNEL_PRESETS[e.target.value];
+        if (!preset) return;
+
+        document.getElementById('channel-name').value = preset.name;
+        document.getElementById('channel-currency').value = preset.currency || '';
+        document.getElementById('channel-fees').innerHTML = '';
+        preset.fees.forEach(fee => this.addChannelFeeRow(fee));
+      });
+    }
+  },
+
+  channelFeeRowCount: 0,
+
+  addChannelFeeRow(fee = {}) {
+    const container = document.getElementById('channel-fees');
+    const rowId = this.channelFeeRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'channel-fee-row grid grid--4 items-end';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <div class="form-group">
+        <label class="form-label">Fee</label>
+        <input type="text" class="form-input" data-fee-name value="${Helpers.escapeHtml(fee.name || '')}" placeholder="e.g., Transaction fee">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Percent</label>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" data-fee-percent value="${Formatters.inputNumber(fee.percent ?? 0)}">
+          <span class="input-group__addon">%</span>
+        </div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Per Order</label>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" data-fee-fixed value="${Formatters.inputNumber(fee.fixed ?? 0)}">
+          <span class="input-group__addon" data-currency-symbol="channel">${CONFIG.getCurrency(document.getElementById('channel-currency').value || null).symbol}</span>
+        </div>
+      </div>
+      <div class="form-group">
+        <button type="button" class="btn btn--ghost btn--sm text-error" onclick="App.removeChannelFeeRow(${rowId})">Remove</button>
+      </div>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeChannelFeeRow(rowId) {
+    const row = document.querySelector(`.channel-fee-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+    }
+  },
+
+  saveChannel(channelId) {
+    const existing = storage.getSalesChannel(channelId);
+    const name = document.getElementById('channel-name').value.trim();
+
+    if (!name) {
+      this.showToast('Please enter a channel name', 'error');
+      return;
+    }
+
+    const fees = Array.from(document.querySelectorAll('.channel-fee-row')).map(row => ({
+      name: row.querySelector('[data-fee-name]').value,
+      percent: Helpers.clamp(Helpers.parseNumber(row.querySelector('[data-fee-percent]').value, 0), 0, 100),
+      fixed: Helpers.parseNumber(row.querySelector('[data-fee-fixed]').value, 0),
+    }));
+
+    const channel = new SalesChannel({
+      id: channelId,
+      name,
+      preset: existing ? existing.preset : (document.getElementById('channel-preset').value || null),
+      fees,
+      currency: document.getElementById('channel-currency').value || null,
+      taxRate: Helpers.clamp(Helpers.parseNumber(document.getElementById('channel-tax-rate').value, 0), 0, 100),
+      taxMode: document.getElementById('channel-tax-mode').value,
+      notes: document.getElementById('channel-notes').value,
+      createdAt: existing?.createdAt,
+    });
+
+    storage.saveSalesChannel(channel);
+    this.closeModal();
+    this.showToast('Sales channel saved', 'success');
+    this.renderPage('channels');
+  },
+
+  deleteChannel(channelId) {
+    if (confirm('Are you sure you want to delete this sales channel?')) {
+      storage.deleteSalesChannel(channelId);
+      this.showToast('Sales channel deleted', 'success');
+      this.renderPage('channels');
+    }
+  },
+
+  showHardwareModal(itemId = null) {
+    const item = itemId ? storage.getHardwareItem(itemId) : new HardwareItem();
+    const isEdit = !!itemId;
+
+    const categoryOptions = Object.entries(CONFIG.HARDWARE_CATEGORIES).map(([key, val]) =>
+      `<option value="${key}" ${item.category === key ? 'selected' : ''}>${val.name}</option>`
+    ).join('');
+
+    const unitOptions = CONFIG.HARDWARE_UNITS.map(unit =>
+      `<option value="${unit}" ${item.unit === unit ? 'selected' : ''}>${unit}</option>`
+    ).join('');
+
+    const content = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label form-label--required">Category</label>
+          <select class="form-select" id="hardware-category">
+            ${categoryOptions}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Name</label>
+          <input type="text" class="form-input" id="hardware-name" value="${Helpers.escapeHtml(item.name)}" placeholder="e.g., M3 x 5.7 Heat-Set Insert">
+        </div>
+      </div>
+
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label form-label--required">Unit Price</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="hardware-price" value="${Formatters.inputNumber(item.unitPrice)}">
+            <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+          </div>
+          <div class="form-hint">Pack price ÷ units in the pack.</div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Unit</label>
+          <select class="form-select" id="hardware-unit">
+            ${unitOptions}
+          </select>
+        </div>
+      </div>
+
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">In Stock</label>
+          <input type="text" inputmode="decimal" class="form-input" id="hardware-stock" value="${Formatters.inputNumber(item.inStock)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label">Low Stock Warning At</label>
+          <input type="text" inputmode="decimal" class="form-input" id="hardware-threshold" value="${Formatters.inputNumber(item.lowStockThreshold)}">
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Supplier</label>
+        <input type="text" class="form-input" id="hardware-supplier" value="${Helpers.escapeHtml(item.supplier)}">
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Notes</label>
+        <textarea class="form-textarea" id="hardware-notes" rows="2">${Helpers.escapeHtml(item.notes)}</textarea>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Cancel</button>
+      <button class="btn btn--primary" onclick="App.saveHardwareItem('${item.id}')">${isEdit ? 'Save Changes' : 'Add Hardware'}</button>
+    `;
+
+    this.showModal(isEdit ? 'Edit Hardware' : 'Add Hardware', content, { footer, confirmClose: true });
+
+    // Update unit when category changes
+    document.getElementById('hardware-category').addEventListener('change', (e) => {
+      const category = CONFIG.HARDWARE_CATEGORIES[e.target.value];
+      if (category) {
+        document.getElementById('hardware-unit').value = category.unit;
+      }
+    });
+  },
+
+  saveHardwareItem(itemId) {
+    const existing = storage.getHardwareItem(itemId);
+
+    const item = new HardwareItem({
+      id: itemId,
+      name: document.getElementById('hardware-name').value,
+      category: document.getElementById('hardware-category').value,
+      unit: document.getElementById('hardware-unit').value,
+      supplier: document.getElementById('hardware-supplier').value,
+      unitPrice: Helpers.parseNumber(document.getElementById('hardware-price').value, 0),
+      inStock: Helpers.parseNumber(document.getElementById('hardware-stock').value, 0),
+      lowStockThreshold: Helpers.parseNumber(document.getElementById('hardware-threshold').value, 0),
+      notes: document.getElementById('hardware-notes').value,
+      createdAt: existing?.createdAt,
+    });
+
+    storage.saveHardwareItem(item);
+    this.closeModal();
+    this.showToast('Hardware saved', 'success');
+    this.renderPage('hardware');
+  },
+
+  deleteHardwareItem(itemId) {
+    if (confirm('Are you sure you want to delete this hardware item?')) {
+      storage.deleteHardwareItem(itemId);
+      this.showToast('Hardware deleted', 'success');
+      this.renderPage('hardware');
+    }
+  },
+
+  showPackagingModal(itemId = null) {
+    const item = itemId ? storage.getPackagingItem(itemId) : new PackagingItem();
+    const isEdit = !!itemId;
+
+    const typeOptions = Object.entries(CONFIG.PACKAGING_TYPES).map(([key, val]) =>
+      `<option value="${key}" ${item.type === key ? 'selected' : ''}>${val.name}</option>`
+    ).join('');
+
+    const content = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label form-label--required">Type</label>
+          <select class="form-select" id="packaging-type">
+            ${typeOptions}
+          </select>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Name</label>
+          <input type="text" class="form-input" id="packaging-name" value="${Helpers.escapeHtml(item.name)}" placeholder="e.g., Small Box 6×4×4">
+        </div>
+      </div>
+
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label form-label--required">Unit Price</label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="packaging-price" value="${Formatters.inputNumber(item.unitPrice)}">
+            <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Weight <span class="tooltip-icon" title="Added to the parcel weight when picking a shipping rate band.">?</span></label>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="packaging-weight" value="${Formatters.inputNumber(item.weightGrams)}">
+            <span class="input-group__addon">g</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Inside Dimensions (L × W × H)</label>
+        <div class="grid grid--3">
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="packaging-length" value="${Formatters.inputNumber(item.dimensions.length)}">
+            <span class="input-group__addon">mm</span>
+          </div>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="packaging-width" value="${Formatters.inputNumber(item.dimensions.width)}">
+            <span class="input-group__addon">mm</span>
+          </div>
+          <div class="input-group">
+            <input type="text" inputmode="decimal" class="form-input" id="packaging-height" value="${Formatters.inputNumber(item.dimensions.height)}">
+            <span class="input-group__addon">mm</span>
+          </div>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Notes</label>
+        <textarea class="form-textarea" id="packaging-notes" rows="2">${Helpers.escapeHtml(item.notes)}</textarea>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Cancel</button>
+      <button class="btn btn--primary" onclick="App.savePackagingItem('${item.id}')">${isEdit ? 'Save Changes' : 'Add Packaging'}</button>
+    `;
+
+    this.showModal(isEdit ? 'Edit Packaging' : 'Add Packaging', content, { footer, confirmClose: true });
+  },
+
+  savePackagingItem(itemId) {
+    const existing = storage.getPackagingItem(itemId);
+
+    const item = new PackagingItem({
+      id: itemId,
+      name: document.getElementById('packaging-name').value,
+      type: document.getElementById('packaging-type').value,
+      unitPrice: Helpers.parseNumber(document.getElementById('packaging-price').value, 0),
+      weightGrams: Helpers.parseNumber(document.getElementById('packaging-weight').value, 0),
+      dimensions: {
+        length: Helpers.parseNumber(document.getElementById('packaging-length').value, 0),
+        width: Helpers.parseNumber(document.getElementById('packaging-width').value, 0),
+        height: Helpers.parseNumber(document.getElementById('packaging-height').value, 0),
+      },
+      notes: document.getElementById('packaging-notes').value,
+      createdAt: existing?.createdAt,
+    });
+
+    storage.savePackagingItem(item);
+    this.closeModal();
+    this.showToast('Packaging saved', 'success');
+    this.renderPage('shipping');
+  },
+
+  deletePackagingItem(itemId) {
+    if (confirm('Are you sure you want to delete this packaging item?')) {
+      storage.deletePackagingItem(itemId);
+      this.showToast('Packaging deleted', 'success');
+      this.renderPage('shipping');
+    }
+  },
+
+  showShippingRateModal(tableId = null) {
+    const table = tableId ? storage.getShippingRateTable(tableId) : new ShippingRateTable();
+    const isEdit = !!tableId;
+
+    const content = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label">Carrier</label>
+          <input type="text" class="form-input" id="shipping-carrier" value="${Helpers.escapeHtml(table.carrier)}" placeholder="e.g., USPS">
+        </div>
+        <div class="form-group">
+          <label class="form-label form-label--required">Service</label>
+          <input type="text" class="form-input" id="shipping-name" value="${Helpers.escapeHtml(table.name)}" placeholder="e.g., Ground Advantage">
+        </div>
+      </div>
+
+      <h4 class="mb-2">Weight Bands</h4>
+      <div class="form-hint mb-2">Each band covers parcels up to its weight. Heavier parcels than the last band are charged at the last band's rate and flagged.</div>
+      <div id="shipping-bands"></div>
+      <button type="button" class="btn btn--ghost btn--sm mb-4" id="btn-add-shipping-band">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Band
+      </button>
+
+      <div class="form-group">
+        <label class="form-label">Notes</label>
+        <textarea class="form-textarea" id="shipping-notes" rows="2">${Helpers.escapeHtml(table.notes)}</textarea>
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Cancel</button>
+      <button class="btn btn--primary" onclick="App.saveShippingRateTable('${table.id}')">${isEdit ? 'Save Changes' : 'Add Rate Table'}</button>
+    `;
+
+    this.showModal(isEdit ? 'Edit Shipping Rates' : 'Add Shipping Rates', content, { footer, confirmClose: true });
+
+    table.bands.forEach(band => this.addShippingBandRow(band));
+    if (table.bands.length === 0) {
+      this.addShippingBandRow();
+    }
+    document.getElementById('btn-add-shipping-band').addEventListener('click', () => {
+      this.addShippingBandRow();
+      this._modalHasChanges = true;
+    });
+  },
+
+  shippingBandRowCount: 0,
+
+  addShippingBandRow(band = {}) {
+    const container = document.getElementById('shipping-bands');
+    const rowId = this.shippingBandRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'shipping-band-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <div class="input-group" style="flex: 1;">
+        <span class="input-group__addon">Up to</span>
+        <input type="text" inputmode="decimal" class="form-input" data-band-max value="${Formatters.inputNumber(band.maxGrams ?? 0)}">
+        <span class="input-group__addon">g</span>
+      </div>
+      <div class="input-group" style="flex: 1;">
+        <span class="input-group__addon">${CONFIG.CURRENCY.symbol}</span>
+        <input type="text" inputmode="decimal" class="form-input" data-band-rate value="${Formatters.inputNumber(band.rate ?? 0)}">
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeShippingBandRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeShippingBandRow(rowId) {
+    const row = document.querySelector(`.shipping-band-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+    }
+  },
+
+  saveShippingRateTable(tableId) {
+    const existing = storage.getShippingRateTable(tableId);
+    const name = document.getElementById('shipping-name').value.trim();
+
+    if (!name) {
+      this.showToast('Please enter a service name', 'error');
+      return;
+    }
+
+    const bands = Array.from(document.querySelectorAll('.shipping-band-row'))
+      .map(row => ({
+        maxGrams: Helpers.parseNumber(row.querySelector('[data-band-max]').value, 0),
+        rate: Helpers.parseNumber(row.querySelector('[data-band-rate]').value, 0),
+      }))
+      .filter(band => band.maxGrams > 0);
+
+    const table = new ShippingRateTable({
+      id: tableId,
+      name,
+      carrier: document.getElementById('shipping-carrier').value.trim(),
+      bands,
+      notes: document.getElementById('shipping-notes').value,
+      createdAt: existing?.createdAt,
+    });
+
+    storage.saveShippingRateTable(table);
+    this.closeModal();
+    this.showToast('Shipping rates saved', 'success');
+    this.renderPage('shipping');
+  },
+
+  deleteShippingRateTable(tableId) {
+    if (confirm('Are you sure you want to delete this rate table?')) {
+      storage.deleteShippingRateTable(tableId);
+      this.showToast('Shipping rates deleted', 'success');
+      this.renderPage('shipping');
+    }
+  },
+
+  // ============================================================
+  // Quantity-Tier Quotes
+  // ============================================================
+
+  showQuoteModal() {
+    if (!this.lastCalculation) {
+      this.showToast('Calculate a job first', 'error');
+      return;
+    }
+
+    const defaults = storage.getSetting('quoteDefaults') || {};
+    const attached = this.lastCalculation.quote;
+    const quantities = attached?.quantities || defaults.quantities || CONFIG.DEFAULTS.QUOTE_QUANTITIES;
+    const discounts = attached?.discounts || defaults.discounts || CONFIG.DEFAULTS.QUOTE_DISCOUNTS;
+    const maxUnitsPerPlate = attached?.maxUnitsPerPlate || this.lastCalculation.params.unitsPerPlate || 1;
+    const upperPercentile = attached ? attached.upperBound?.percentile ?? null : defaults.upperPercentile ?? null;
+
+    const content = `
+      <div class="grid grid--2">
+        <div class="form-group">
+          <label class="form-label form-label--required">Quantities</label>
+          <input type="text" class="form-input" id="quote-quantities" value="${quantities.join(', ')}" placeholder="e.g., 1, 10, 50, 100">
+          <div class="form-hint">Comma-separated order quantities</div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Max Units per Plate</label>
+          <input type="text" inputmode="numeric" class="form-input" id="quote-max-units" value="${Formatters.inputNumber(maxUnitsPerPlate)}">
+          <div class="form-hint">Larger orders fill plates up to this many copies</div>
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">Price From</label>
+        <select class="form-select" id="quote-price-basis">
+          <option value="">Point estimate</option>
+          ${[80, 90, 95].map(p => `
+            <option value="${p}" ${upperPercentile === p ? 'selected' : ''}>P${p} of simulated cost (safe upper bound)</option>
+          `).join('')}
+        </select>
+        <div class="form-hint">Upper bounds use the ranges from the Uncertainty simulation</div>
+      </div>
+
+      <h4 class="mb-2">Discount Curve</h4>
+      <div class="form-hint mb-2">Each step applies from its quantity upward. The highest step reached is used.</div>
+      <div id="quote-discounts"></div>
+      <button type="button" class="btn btn--ghost btn--sm mb-4" id="btn-add-quote-discount">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>
+        Add Discount Step
+      </button>
+
+      <button type="button" class="btn btn--primary mb-4" style="width:100%" id="btn-generate-quote" onclick="App.generateQuote()">Generate Quote</button>
+
+      <div id="quote-results">${attached ? this.getQuoteTableHtml(attached) : ''}</div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Close</button>
+      <button class="btn btn--secondary" onclick="App.exportQuote()">Export CSV</button>
+      <button class="btn btn--primary" onclick="App.attachQuote()">Attach to Job</button>
+    `;
+
+    this._pendingQuote = attached || null;
+    this.showModal('Quantity-Tier Quote', content, { footer, size: 'lg', confirmClose: true });
+
+    discounts.forEach(step => this.addQuoteDiscountRow(step));
+    document.getElementById('btn-add-quote-discount').addEventListener('click', () => {
+      this.addQuoteDiscountRow();
+      this._modalHasChanges = true;
+    });
+  },
+
+  quoteDiscountRowCount: 0,
+
+  addQuoteDiscountRow(step = {}) {
+    const container = document.getElementById('quote-discounts');
+    const rowId = this.quoteDiscountRowCount++;
+
+    const row = document.createElement('div');
+    row.className = 'quote-discount-row flex gap-2 mb-2';
+    row.dataset.rowId = rowId;
+    row.innerHTML = `
+      <div class="input-group" style="flex: 1;">
+        <span class="input-group__addon">From</span>
+        <input type="text" inputmode="numeric" class="form-input" data-discount-min value="${Formatters.inputNumber(step.minQuantity ?? 1)}">
+        <span class="input-group__addon">units</span>
+      </div>
+      <div class="input-group" style="flex: 1;">
+        <input type="text" inputmode="decimal" class="form-input" data-discount-percent value="${Formatters.inputNumber(step.percent ?? 0)}">
+        <span class="input-group__addon">% off</span>
+      </div>
+      <button type="button" class="btn btn--ghost btn--sm" onclick="App.removeQuoteDiscountRow(${rowId})" title="Remove">
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    `;
+
+    container.appendChild(row);
+  },
+
+  removeQuoteDiscountRow(rowId) {
+    const row = document.querySelector(`.quote-discount-row[data-row-id="${rowId}"]`);
+    if (row) {
+      row.remove();
+      this._modalHasChanges = true;
+    }
+  },
+
+  async generateQuote() {
+    const quantities = document.getElementById('quote-quantities').value
+      .split(',')
+      .map(value => Helpers.parseInt(value, 0))
+      .filter(value => value > 0);
+
+    if (quantities.length === 0) {
+      this.showToast('Please enter at least one quantity', 'error');
+      return;
+    }
+
+    const discounts = Array.from(document.querySelectorAll('.quote-discount-row'))
+      .map(row => ({
+        minQuantity: Helpers.parseInt(row.querySelector('[data-discount-min]').value, 1),
+        percent: Helpers.clamp(Helpers.parseNumber(row.querySelector('[data-discount-percent]').value, 0), 0, 100),
+      }))
+      .filter(step => step.percent > 0);
+
+    const quoteOptions = {
+      quantities,
+      discounts,
+      maxUnitsPerPlate: Helpers.parseInt(document.getElementById('quote-max-units').value, 1),
+    };
+    const basis = document.getElementById('quote-price-basis').value;
+    const upperPercentile = basis ? Helpers.parseInt(basis, 90) : null;
+
+    let quote;
+    if (upperPercentile) {
+      const button = document.getElementById('btn-generate-quote');
+      const results = document.getElementById('quote-results');
+      button.disabled = true;
+      results.innerHTML = this.getBusyHtml('Simulating quote...');
+
+      quote = await costSimulator.createQuote(this.lastCalculation.params, quoteOptions, {
+        ranges: this.getSimulationRanges(),
+        percentile: upperPercentile,
+      });
+
+      button.disabled = false;
+      // The modal was closed while simulating
+      if (!results.isConnected) return;
+    } else {
+      quote = costCalculator.createQuote(this.lastCalculation.params, quoteOptions);
+    }
+
+    // Remember tiers, discounts and price basis for the next quote
+    storage.saveSetting('quoteDefaults', { quantities: quote.quantities, discounts: quote.discounts, upperPercentile });
+
+    this._pendingQuote = quote;
+    document.getElementById('quote-results').innerHTML = this.getQuoteTableHtml(quote);
+  },
+
+  getQuoteTableHtml(quote) {
+    const upper = quote.upperBound;
+
+    return `
+      ${upper ? `
+        <div class="alert alert--info mb-4">
+          Prices cover the P${upper.percentile} simulated cost (${upper.iterations} runs), so ${upper.percentile}% of outcomes cost less.
+        </div>
+      ` : ''}
+      <div class="table-container">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Quantity</th>
+              <th>Plates</th>
+              <th>Unit Cost</th>
+              <th>List Price</th>
+              <th>Discount</th>
+              <th>Unit Price</th>
+              <th>Total</th>
+              ${upper ? '<th>Point Unit Price</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            ${quote.rows.map(row => `
+              <tr>
+                <td class="font-medium">${row.quantity}</td>
+                <td>${row.plates}</td>
+                <td>${Formatters.currency(row.unitCost)}</td>
+                <td>${Formatters.currency(row.listUnitPrice)}</td>
+                <td>${row.discountPercent > 0 ? Formatters.percent(row.discountPercent, 0) : '-'}</td>
+                <td class="font-semibold">${Formatters.currency(row.unitPrice)}</td>
+                <td class="font-semibold">${Formatters.currency(row.totalPrice)}</td>
+                ${upper ? `<td class="text-gray-500">${Formatters.currency(row.pointUnitPrice ?? row.unitPrice)}</td>` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  },
+
+  attachQuote() {
+    if (!this._pendingQuote) {
+      this.showToast('Generate a quote first', 'error');
+      return;
+    }
+
+    this.lastCalculation.quote = this._pendingQuote;
+    this.closeModal();
+    this.showToast('Quote will be saved with the job', 'success');
+  },
+
+  /**
+   * Download a quote as CSV
+   * @param {QuoteTable} quote - Quote to export (defaults to the quote in the open modal)
+   * @param {string} name - Job name used in the filename
+   */
+  exportQuote(quote = this._pendingQuote, name = document.getElementById('calc-name')?.value) {
+    if (!quote) {
+      this.showToast('Generate a quote first', 'error');
+      return;
+    }
+
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'print';
+    Helpers.downloadFile(quote.toCSV(), `quote-${slug}.csv`, 'text/csv');
+  },
+
+  showJobQuoteModal(jobId) {
+    const job = storage.getPrintJob(jobId);
+    if (!job?.quote) return;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.closeModal()">Close</button>
+      <button class="btn btn--primary" onclick="App.exportJobQuote('${job.id}')">Export CSV</button>
+    `;
+
+    this.showModal(`Quote: ${Helpers.escapeHtml(job.name)}`, this.getQuoteTableHtml(job.quote), { footer, size: 'lg' });
+  },
+
+  exportJobQuote(jobId) {
+    const job = storage.getPrintJob(jobId);
+    if (job?.quote) {
+      this.exportQuote(job.quote, job.name);
+    }
+  },
+
+  // ============================================================
+  // Sensitivity Analysis
+  // ============================================================
+
+  showSensitivityModal() {
+    if (!this.lastCalculation) {
+      this.showToast('Calculate a job first', 'error');
+      return;
+    }
+
+    const content = `
+      <div class="flex gap-2 mb-4">
+        <div class="input-group" style="flex: 1;">
+          <span class="input-group__addon">Vary each input by ±</span>
+          <input type="text" inputmode="decimal" class="form-input" id="sensitivity-percent" value="${Formatters.inputNumber(CONFIG.DEFAULTS.SENSITIVITY_PERCENT)}">
+          <span class="input-group__addon">%</span>
+        </div>
+        <button type="button" class="btn btn--primary" onclick="App.updateSensitivity()">Update</button>
+      </div>
+      <div class="form-hint mb-4">Inputs at the top move the total most, so better data for them is worth the most.</div>
+
+      <div style="height: 320px;">
+        <canvas id="sensitivity-chart"></canvas>
+      </div>
+
+      <div id="sensitivity-table" class="mt-4"></div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.closeModal()">Close</button>
+    `;
+
+    this.showModal('Sensitivity Analysis', content, { footer, size: 'lg' });
+    this.updateSensitivity();
+  },
+
+  updateSensitivity() {
+    const percent = Helpers.clamp(Helpers.parseNumber(document.getElementById('sensitivity-percent').value, CONFIG.DEFAULTS.SENSITIVITY_PERCENT), 1, 90);
+
+    if (percent <= 0 || percent >= 100) {
+      this.showToast('Please enter a percentage between 1 and 99', 'error');
+      return;
+    }
+
+    const analysis = costCalculator.analyzeSensitivity(this.lastCalculation.params, { percent });
+
+    document.getElementById('sensitivity-table').innerHTML = `
+      <div class="table-container">
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Input</th>
+              <th>Total at -${Formatters.percent(percent, 0)}</th>
+              <th>Total at +${Formatters.percent(percent, 0)}</th>
+              <th>Swing</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${analysis.rows.map(row => `
+              <tr>
+                <td class="font-medium">${row.label}</td>
+                <td>${Formatters.currency(row.lowTotal)}</td>
+                <td>${Formatters.currency(row.highTotal)}</td>
+                <td class="font-semibold">${Formatters.currency(row.swing)} (${Formatters.percent(analysis.baseTotal > 0 ? row.swing / analysis.baseTotal * 100 : 0)})</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    ChartManager.createSensitivity('sensitivity-chart', analysis);
+  },
+
+  // ============================================================
+  // Uncertainty Simulation
+  // ============================================================
+
+  /**
+   * Get the saved simulation ranges, filling gaps from the defaults
+   * @returns {Object} { printTime, grams, failureRate } ranges
+   */
+  getSimulationRanges() {
+    const saved = storage.getSetting('simulationRanges') || {};
+    return Object.fromEntries(Object.entries(CONFIG.DEFAULTS.SIMULATION_RANGES)
+      .map(([key, range]) => [key, { ...range, ...saved[key] }]));
+  },
+
+  showSimulationModal() {
+    if (!this.lastCalculation) {
+      this.showToast('Calculate a job first', 'error');
+      return;
+    }
+
+    const ranges = this.getSimulationRanges();
+    const inputs = [
+      { key: 'printTime', label: 'Print Time', unit: '% of estimate' },
+      { key: 'grams', label: 'Filament Grams', unit: '% of estimate' },
+      { key: 'failureRate', label: 'Failure Rate', unit: '%' },
+    ];
+
+    const content = `
+      <div class="form-hint mb-4">Enter how far off each estimate could be. The estimate itself is the most likely value.</div>
+
+      ${inputs.map(({ key, label, unit }) => `
+        <div class="grid grid--3">
+          <div class="form-group">
+            <label class="form-label">${label}</label>
+            <select class="form-select" id="sim-${key}-distribution">
+              ${Object.entries(CONFIG.DISTRIBUTIONS).map(([value, d]) => `
+                <option value="${value}" ${ranges[key].distribution === value ? 'selected' : ''}>${d.name}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Low</label>
+            <div class="input-group">
+              <input type="text" inputmode="decimal" class="form-input" id="sim-${key}-low" value="${Formatters.inputNumber(ranges[key].low)}">
+              <span class="input-group__addon">${unit}</span>
+            </div>
+          </div>
+          <div class="form-group">
+            <label class="form-label">High</label>
+            <div class="input-group">
+              <input type="text" inputmode="decimal" class="form-input" id="sim-${key}-high" value="${Formatters.inputNumber(ranges[key].high)}">
+              <span class="input-group__addon">${unit}</span>
+            </div>
+          </div>
+        </div>
+      `).join('')}
+
+      <div class="flex gap-2 mb-4">
+        <div class="input-group" style="flex: 1;">
+          <input type="text" inputmode="decimal" class="form-input" id="sim-iterations" value="${Formatters.inputNumber(CONFIG.DEFAULTS.SIMULATION_ITERATIONS)}">
+          <span class="input-group__addon">runs</span>
+        </div>
+        <button type="button" class="btn btn--primary" id="btn-run-simulation" onclick="App.runSimulation()">Run Simulation</button>
+      </div>
+
+      <div id="simulation-results"></div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.closeModal()">Close</button>
+    `;
+
+    this.showModal('Cost Uncertainty', content, { footer, size: 'lg' });
+    this.runSimulation();
+  },
+
+  /**
+   * Read the simulation ranges entered in the modal
+   * @returns {Object} { printTime, grams, failureRate } ranges
+   */
+  getSimulationRangesFromForm() {
+    return Object.fromEntries(Object.keys(CONFIG.DEFAULTS.SIMULATION_RANGES).map(key => [key, {
+      distribution: document.getElementById(`sim-${key}-distribution`).value,
+      low: Helpers.parseNumber(document.getElementById(`sim-${key}-low`).value, 0),
+      high: Helpers.parseNumber(document.getElementById(`sim-${key}-high`).value, 0),
+    }]));
+  },
+
+  async runSimulation() {
+    const ranges = this.getSimulationRangesFromForm();
+    const iterations = Math.min(CONFIG.DEFAULTS.SIMULATION_MAX_ITERATIONS, Math.max(100, Helpers.parseInt(document.getElementById('sim-iterations').value, CONFIG.DEFAULTS.SIMULATION_ITERATIONS)));
+
+    // Remember ranges for the next simulation and for upper-bound quotes
+    storage.saveSetting('simulationRanges', ranges);
+
+    const button = document.getElementById('btn-run-simulation');
+    const results = document.getElementById('simulation-results');
+    button.disabled = true;
+    results.innerHTML = this.getBusyHtml(`Running ${iterations} simulations...`);
+
+    const simulation = await costSimulator.run(this.lastCalculation.params, ranges, { iterations });
+    button.disabled = false;
+    // The modal was closed while simulating
+    if (!results.isConnected) return;
+
+    const quantity = this.lastCalculation.result.quantity;
+    this.lastCalculation.simulation = simulation;
+
+    results.innerHTML = `
+      <div class="grid grid--3 mb-4">
+        ${[['P10', simulation.p10, simulation.unit.p10], ['P50', simulation.p50, simulation.unit.p50], ['P90', simulation.p90, simulation.unit.p90]].map(([label, total, unit]) => `
+          <div class="card stat-card">
+            <div class="stat-card__label">${label} Total Cost</div>
+            <div class="stat-card__value">${Formatters.currency(total)}</div>
+            ${quantity > 1 ? `<div class="stat-card__change">${Formatters.currency(unit)} per unit</div>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      <div class="form-hint mb-4">
+        Point estimate ${Formatters.currency(simulation.pointTotal)}. In ${simulation.iterations} runs the total ranged from
+        ${Formatters.currency(simulation.min)} to ${Formatters.currency(simulation.max)}; 9 in 10 came in at or under ${Formatters.currency(simulation.p90)}.
+      </div>
+      <div style="height: 260px;">
+        <canvas id="simulation-chart"></canvas>
+      </div>
+    `;
+
+    ChartManager.createCostHistogram('simulation-chart', simulation);
+  },
+
+  /**
+   * Get a spinner and message for a result area that is still working
+   * @param {string} message - What is being worked on
+   * @returns {string} HTML
+   */
+  getBusyHtml(message) {
+    return `
+      <div class="flex items-center justify-center gap-2 text-gray-500 mb-4">
+        <div class="spinner spinner--sm"></div>
+        <span>${message}</span>
+      </div>
+    `;
+  },
+
+  markPrintJobCompleted(jobId) {
+    const job = storage.getPrintJob(jobId);
+    if (!job) return;
+
+    job.markCompleted();
+    storage.savePrintJob(job);
+    this.showToast('Print marked as completed', 'success');
+    this.renderPage('history');
+  },
+
+  showFailureModal(jobId) {
+    const job = storage.getPrintJob(jobId);
+    if (!job) return;
+
+    const content = `
+      <div class="form-group">
+        <label class="form-label">How Far Did It Get?</label>
+        <div class="input-group">
+          <input type="text" inputmode="decimal" class="form-input" id="failure-percent" placeholder="e.g., 35">
+          <span class="input-group__addon">% completed</span>
+        </div>
+        <div class="form-hint">Check the layer it stopped at in your slicer or printer screen. Used to learn how much a failure really wastes.</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Reason</label>
+        <input type="text" class="form-input" id="failure-reason" placeholder="e.g., Bed adhesion, spaghetti, clog">
+      </div>
+    `;
+
+    const footer = `
+      <button class="btn btn--secondary" onclick="App.tryCloseModal()">Cancel</button>
+      <button class="btn btn--danger" onclick="App.markPrintJobFailed('${job.id}')">Mark Failed</button>
+    `;
+
+    this.showModal(`Failed: ${Helpers.escapeHtml(job.name)}`, content, { footer, confirmClose: true });
+  },
+
+  markPrintJobFailed(jobId) {
+    const job = storage.getPrintJob(jobId);
+    if (!job) return;
+
+    const percentValue = document.getElementById('failure-percent').value;
+    job.markFailed(
+      document.getElementById('failure-reason').value.trim() || null,
+      percentValue === '' ? null : Helpers.parseNumber(percentValue, 0),
+    );
+
+    storage.savePrintJob(job);
+    this.closeModal();
+    this.showToast('Print marked as failed', 'success');
+    this.renderPage('history');
+  },
+
   deletePrintJob(jobId) {
     if (confirm('Are you sure you want to delete this print from history?')) {
       storage.deletePrintJob(jobId);
@@ -29,7 +29,11 @@ const ChartManager = {
     const ctx = document.getElementById(chartId);
     if (!ctx) return null;
 
-    this.instances[chartId] = new Chart(ctx.getContext('2d'), config);
+    // Chart.js formats any numbers without a callback in the same locale
+    this.instances[chartId] = new Chart(ctx.getContext('2d'), {
+      ...config,
+      options: { locale: Formatters.getLocale(), ...config.options },
+    });
     return this.instances[chartId];
   },
 
@@ -40,33 +44,29 @@ const ChartManager = {
    * @returns {Chart} Chart instance
    */
   createCostBreakdown(chartId, breakdown) {
-    const data = [
-      breakdown.filament || 0,
-      breakdown.electricity || 0,
-      breakdown.depreciation || 0,
-      breakdown.consumables || 0,
-      breakdown.labor || 0,
+    const categories = [
+      { key: 'filament', label: 'Filament' },
+      { key: 'waste', label: 'Purge Waste' },
+      { key: 'electricity', label: 'Electricity' },
+      { key: 'depreciation', label: 'Depreciation' },
+      { key: 'consumables', label: 'Consumables' },
+      { key: 'overhead', label: 'Shop Overhead' },
+      { key: 'labor', label: 'Labor' },
+      { key: 'hardware', label: 'Hardware' },
+      { key: 'shipping', label: 'Shipping' },
     ];
 
     // Filter out zero values for cleaner display
-    const labels = ['Filament', 'Electricity', 'Depreciation', 'Consumables', 'Labor'];
-    const colors = [
-      CONFIG.CHART_COLORS.filament,
-      CONFIG.CHART_COLORS.electricity,
-      CONFIG.CHART_COLORS.depreciation,
-      CONFIG.CHART_COLORS.consumables,
-      CONFIG.CHART_COLORS.labor,
-    ];
-
     const filteredData = [];
     const filteredLabels = [];
     const filteredColors = [];
 
-    data.forEach((value, index) => {
+    categories.forEach(({ key, label }) => {
+      const value = breakdown[key] || 0;
       if (value > 0) {
         filteredData.push(value);
-        filteredLabels.push(labels[index]);
-        filteredColors.push(colors[index]);
+        filteredLabels.push(label);
+        filteredColors.push(CONFIG.CHART_COLORS[key]);
       }
     });
 
@@ -98,8 +98,8 @@ const ChartManager = {
               label: (context) => {
                 const value = context.raw;
                 const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
-                return `${context.label}: ${Formatters.currency(value)} (${percentage}%)`;
+                const percentage = total > 0 ? (value / total) * 100 : 0;
+                return `${context.label}: ${Formatters.currency(value)} (${Formatters.percent(percentage)})`;
               },
             },
           },
@@ -112,9 +112,10 @@ const ChartManager = {
    * Create a spending over time line chart
    * @param {string} chartId - Canvas element ID
    * @param {Array} history - Print history array
+   * @param {ExchangeRateTable|null} exchangeRates - Rates into the base currency (jobs without one are left out)
    * @returns {Chart} Chart instance
    */
-  createSpendingOverTime(chartId, history) {
+  createSpendingOverTime(chartId, history, exchangeRates = null) {
     if (!history || history.length === 0) {
       return null;
     }
@@ -155,9 +156,10 @@ const ChartManager = {
       if (!grouped[key]) {
         grouped[key] = { cost: 0, count: 0, cumulative: 0 };
       }
-      grouped[key].cost += job.costs?.total || 0;
+      const cost = job.convertCost(job.costs?.total || 0, exchangeRates) ?? 0;
+      grouped[key].cost += cost;
       grouped[key].count += 1;
-      runningTotal += job.costs?.total || 0;
+      runningTotal += cost;
       grouped[key].cumulative = runningTotal;
     });
 
@@ -170,12 +172,11 @@ const ChartManager = {
       if (groupBy === 'month') {
         const [year, month] = label.split('-');
         const date = new Date(year, parseInt(month) - 1, 1);
-        return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+        return Formatters.date(date, { month: 'short', year: '2-digit' });
       } else if (groupBy === 'week') {
         return label;
       } else {
-        const date = new Date(label);
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return Formatters.date(label, { month: 'short', day: 'numeric' });
       }
     });
 
@@ -337,6 +338,339 @@ const ChartManager = {
     });
   },
 
+  /**
+   * Create a sensitivity tornado chart
+   * @param {string} chartId - Canvas element ID
+   * @param {Object} analysis - Result of CostCalculation#analyzeSensitivity
+   * @returns {Chart} Chart instance
+   */
+  createSensitivity(chartId, analysis) {
+    if (!analysis || analysis.rows.length === 0) {
+      return null;
+    }
+
+    const labels = analysis.rows.map(row => row.label);
+
+    return this.create(chartId, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: `-${Formatters.percent(analysis.percent, 0)}`,
+            data: analysis.rows.map(row => row.lowDelta),
+            backgroundColor: CONFIG.CHART_COLORS.electricity,
+          },
+          {
+            label: `+${Formatters.percent(analysis.percent, 0)}`,
+            data: analysis.rows.map(row => row.highDelta),
+            backgroundColor: CONFIG.CHART_COLORS.failureBuffer,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        indexAxis: 'y',
+        plugins: {
+          legend: {
+            position: 'top',
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                const row = analysis.rows[context.dataIndex];
+                const total = context.datasetIndex === 0 ? row.lowTotal : row.highTotal;
+                const sign = context.raw >= 0 ? '+' : '-';
+                return `${context.dataset.label}: ${sign}${Formatters.currency(Math.abs(context.raw))} (total ${Formatters.currency(total)})`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            stacked: true,
+            ticks: {
+              callback: (value) => Formatters.currency(value),
+            },
+            title: {
+              display: true,
+              text: `Change in total cost (base ${Formatters.currency(analysis.baseTotal)})`,
+            },
+          },
+          y: {
+            stacked: true,
+          },
+        },
+      },
+    });
+  },
+
+  /**
+   * Create a simulated total cost histogram
+   * Bins outside the P10-P90 range are shown muted.
+   * @param {string} chartId - Canvas element ID
+   * @param {Object} simulation - Result of CostSimulation#run
+   * @returns {Chart} Chart instance
+   */
+  createCostHistogram(chartId, simulation) {
+    if (!simulation || simulation.histogram.length === 0) {
+      return null;
+    }
+
+    const bins = simulation.histogram;
+
+    return this.create(chartId, {
+      type: 'bar',
+      data: {
+        labels: bins.map(bin => Formatters.currency((bin.from + bin.to) / 2)),
+        datasets: [{
+          label: 'Simulations',
+          data: bins.map(bin => bin.count),
+          backgroundColor: bins.map(bin =>
+            bin.to < simulation.p10 || bin.from > simulation.p90 ? '#cbd5e1' : CONFIG.CHART_COLORS.electricity
+          ),
+          categoryPercentage: 1,
+          barPercentage: 0.95,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            display: false,
+          },
+          tooltip: {
+            callbacks: {
+              title: (tooltipItems) => {
+                const bin = bins[tooltipItems[0].dataIndex];
+                return `${Formatters.currency(bin.from)} - ${Formatters.currency(bin.to)}`;
+              },
+              label: (context) => {
+                return `${context.raw} of ${simulation.iterations} runs (${Formatters.percent((context.raw / simulation.iterations) * 100)})`;
+              },
+            },
+          },
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: 'Total cost',
+            },
+          },
+          y: {
+            beginAtZero: true,
+            title: {
+              display: true,
+              text: 'Runs',
+            },
+          },
+        },
+      },
+    });
+  },
+
+  /**
+   * Create a cumulative profit chart for a break-even plan
+   * @param {string} chartId - Canvas element ID
+   * @param {Object} analysis - Result of CostCalculation#breakEvenAnalysis
+   * @param {number} maxQuantity - Last quantity on the x axis
+   * @returns {Chart} Chart instance
+   */
+  createBreakEven(chartId, analysis, maxQuantity) {
+    if (!analysis) {
+      return null;
+    }
+
+    const step = Math.max(1, Math.ceil(maxQuantity / 50));
+    const quantities = [];
+    for (let q = 0; q <= maxQuantity; q += step) {
+      quantities.push(q);
+    }
+    if (quantities[quantities.length - 1] !== maxQuantity) {
+      quantities.push(maxQuantity);
+    }
+    if (analysis.profitable && !quantities.includes(analysis.breakEvenQuantity)) {
+      quantities.push(analysis.breakEvenQuantity);
+      quantities.sort((a, b) => a - b);
+    }
+
+    const profits = quantities.map(q => q * analysis.marginPerUnit - analysis.fixedCosts);
+
+    return this.create(chartId, {
+      type: 'line',
+      data: {
+        labels: quantities,
+        datasets: [
+          {
+            label: 'Cumulative Profit',
+            data: profits,
+            borderColor: CONFIG.CHART_COLORS.electricity,
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            fill: 'origin',
+            tension: 0,
+            pointRadius: quantities.map(q => (q === analysis.breakEvenQuantity ? 5 : 0)),
+          },
+          {
+            label: 'Break-Even',
+            data: quantities.map(() => 0),
+            borderColor: '#9ca3af',
+            borderDash: [4, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          intersect: false,
+          mode: 'index',
+        },
+        plugins: {
+          legend: {
+            display: false,
+          },
+          tooltip: {
+            filter: (item) => item.datasetIndex === 0,
+            callbacks: {
+              title: (tooltipItems) => `${tooltipItems[0].label} units`,
+              label: (context) => `Profit: ${Formatters.currency(context.raw)}`,
+            },
+          },
+        },
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: 'Units sold',
+            },
+          },
+          y: {
+            ticks: {
+              callback: (value) => Formatters.currency(value),
+            },
+          },
+        },
+      },
+    });
+  },
+
+  /**
+   * Create a printer return-on-investment chart
+   * Money lines use the left axis, ROI percentage the right axis.
+   * @param {string} chartId - Canvas element ID
+   * @param {PrinterROI} roi - Printer ROI tracker
+   * @returns {Chart} Chart instance
+   */
+  createPrinterROI(chartId, roi) {
+    const timeline = roi.getTimeline();
+    if (timeline.length === 0) {
+      return null;
+    }
+
+    const labels = timeline.map(point => Formatters.date(point.date));
+
+    return this.create(chartId, {
+      type: 'line',
+      data: {
+        labels,
+        datasets: [
+          {
+            label: 'Revenue',
+            data: timeline.map(point => point.revenue),
+            borderColor: CONFIG.CHART_COLORS.hardware,
+            fill: false,
+            tension: 0,
+            yAxisID: 'y',
+          },
+          {
+            label: 'Variable Cost',
+            data: timeline.map(point => point.variableCost),
+            borderColor: CONFIG.CHART_COLORS.filament,
+            fill: false,
+            tension: 0,
+            yAxisID: 'y',
+          },
+          {
+            label: 'Net Contribution',
+            data: timeline.map(point => point.contribution),
+            borderColor: CONFIG.CHART_COLORS.electricity,
+            backgroundColor: 'rgba(59, 130, 246, 0.1)',
+            fill: 'origin',
+            tension: 0,
+            yAxisID: 'y',
+          },
+          {
+            label: 'Purchase Price',
+            data: timeline.map(() => roi.investment),
+            borderColor: '#9ca3af',
+            borderDash: [4, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'y',
+          },
+          {
+            label: 'ROI %',
+            data: timeline.map(point => point.roiPercent),
+            borderColor: CONFIG.CHART_COLORS.depreciation,
+            borderDash: [6, 3],
+            fill: false,
+            tension: 0,
+            yAxisID: 'y1',
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          intersect: false,
+          mode: 'index',
+        },
+        plugins: {
+          legend: {
+            position: 'top',
+          },
+          tooltip: {
+            callbacks: {
+              label: (context) => {
+                if (context.dataset.yAxisID === 'y1') {
+                  return `${context.dataset.label}: ${context.raw === null ? '-' : Formatters.percent(context.raw)}`;
+                }
+                return `${context.dataset.label}: ${Formatters.currency(context.raw)}`;
+              },
+            },
+          },
+        },
+        scales: {
+          y: {
+            type: 'linear',
+            position: 'left',
+            ticks: {
+              callback: (value) => Formatters.currency(value),
+            },
+          },
+          y1: {
+            type: 'linear',
+            position: 'right',
+            grid: {
+              drawOnChartArea: false,
+            },
+            ticks: {
+              callback: (value) => Formatters.percent(value, 0),
+            },
+          },
+        },
+      },
+    });
+  },
+
   /**
    * Create a material usage pie chart
    * @param {string} chartId - Canvas element ID
@@ -396,8 +730,8 @@ const ChartManager = {
               label: (context) => {
                 const value = context.raw;
                 const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
-                return `${context.label}: ${Formatters.weight(value)} (${percentage}%)`;
+                const percentage = total > 0 ? (value / total) * 100 : 0;
+                return `${context.label}: ${Formatters.weight(value)} (${Formatters.percent(percentage)})`;
               },
             },
           },
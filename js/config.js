@@ -20,8 +20,39 @@ const CONFIG = {
     LABOR_HOURLY_RATE: 0,
     MARKUP_PERCENT: 0,
     FILAMENT_DIAMETER: 1.75,      // mm
+    SPOOL_TARE_GRAMS: 250,        // typical empty 1 kg plastic spool
     PRINTER_LIFETIME_HOURS: 5000,
+    DEPRECIATION_YEARS: 3,        // calendar depreciation period
+    DECLINING_BALANCE_FACTOR: 2,  // 2 = double declining balance
     PRINTER_POWER_WATTS: 120,
+    ENERGY_MIN_SAMPLES: 3,        // measured jobs before suggesting a wattage
+    FAILURE_MIN_SAMPLES: 5,       // print outcomes before trusting a learned failure rate
+    FAILURE_POINT_SHARES: { 'first-layers': 50, 'early': 25, 'midway': 15, 'late': 10 }, // % of failures
+    TARGET_MARGIN_PERCENT: 30,
+    QUOTE_QUANTITIES: [1, 10, 50],
+    QUOTE_DISCOUNTS: [
+      { minQuantity: 10, percent: 5 },
+      { minQuantity: 50, percent: 10 },
+    ],
+    OVERHEAD_MONTHLY_HOURS: 200,  // print hours the shop overhead is spread over
+    SENSITIVITY_PERCENT: 20,      // ± swing applied to each input
+    SIMULATION_ITERATIONS: 1000,
+    SIMULATION_BINS: 20,
+    SIMULATION_BATCH_SIZE: 100,   // iterations run between yields to the browser
+    SIMULATION_MAX_ITERATIONS: 20000,
+    // Uncertainty ranges (print time and grams in % of the estimate, failure rate in %)
+    SIMULATION_RANGES: {
+      printTime: { distribution: 'triangular', low: -5, high: 15 },
+      grams: { distribution: 'triangular', low: -3, high: 8 },
+      failureRate: { distribution: 'triangular', low: 2, high: 15 },
+    },
+  },
+
+  // Heat-up estimation (temperatures in °C, heating rates in °C per second)
+  HEAT_UP: {
+    AMBIENT_TEMP: 22,
+    BED_RATE: 0.5,
+    NOZZLE_RATE: 2.5,
   },
 
   // Electricity rates by region (USD per kWh)
@@ -106,21 +137,24 @@ const CONFIG = {
     return grouped;
   },
 
-  // Filament material defaults (density in g/cm³)
+  // Weekday labels, indexed like Date#getDay() (used by tariff day masks)
+  WEEKDAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+  // Filament material defaults (density in g/cm³, dryingHours in a dryer before printing; 0 = straight from the spool)
   MATERIALS: {
-    'PLA': { density: 1.24, printTemp: { min: 190, max: 220 }, bedTemp: { min: 50, max: 60 } },
-    'PLA+': { density: 1.24, printTemp: { min: 200, max: 230 }, bedTemp: { min: 50, max: 60 } },
-    'PETG': { density: 1.27, printTemp: { min: 220, max: 250 }, bedTemp: { min: 70, max: 85 } },
-    'ABS': { density: 1.04, printTemp: { min: 220, max: 250 }, bedTemp: { min: 90, max: 110 } },
-    'ASA': { density: 1.07, printTemp: { min: 230, max: 260 }, bedTemp: { min: 90, max: 110 } },
-    'TPU': { density: 1.21, printTemp: { min: 210, max: 230 }, bedTemp: { min: 30, max: 60 } },
-    'Nylon': { density: 1.14, printTemp: { min: 240, max: 270 }, bedTemp: { min: 70, max: 90 } },
-    'PC': { density: 1.20, printTemp: { min: 260, max: 300 }, bedTemp: { min: 100, max: 120 } },
-    'HIPS': { density: 1.04, printTemp: { min: 220, max: 240 }, bedTemp: { min: 90, max: 110 } },
-    'PVA': { density: 1.23, printTemp: { min: 180, max: 200 }, bedTemp: { min: 45, max: 60 } },
-    'Wood-Fill': { density: 1.15, printTemp: { min: 190, max: 220 }, bedTemp: { min: 50, max: 60 } },
-    'Carbon Fiber': { density: 1.30, printTemp: { min: 230, max: 260 }, bedTemp: { min: 70, max: 90 } },
-    'Metal-Fill': { density: 3.00, printTemp: { min: 190, max: 220 }, bedTemp: { min: 50, max: 60 } },
+    'PLA': { density: 1.24, printTemp: { min: 190, max: 220 }, bedTemp: { min: 50, max: 60 }, dryingHours: 0 },
+    'PLA+': { density: 1.24, printTemp: { min: 200, max: 230 }, bedTemp: { min: 50, max: 60 }, dryingHours: 0 },
+    'PETG': { density: 1.27, printTemp: { min: 220, max: 250 }, bedTemp: { min: 70, max: 85 }, dryingHours: 4 },
+    'ABS': { density: 1.04, printTemp: { min: 220, max: 250 }, bedTemp: { min: 90, max: 110 }, dryingHours: 4 },
+    'ASA': { density: 1.07, printTemp: { min: 230, max: 260 }, bedTemp: { min: 90, max: 110 }, dryingHours: 4 },
+    'TPU': { density: 1.21, printTemp: { min: 210, max: 230 }, bedTemp: { min: 30, max: 60 }, dryingHours: 5 },
+    'Nylon': { density: 1.14, printTemp: { min: 240, max: 270 }, bedTemp: { min: 70, max: 90 }, dryingHours: 8 },
+    'PC': { density: 1.20, printTemp: { min: 260, max: 300 }, bedTemp: { min: 100, max: 120 }, dryingHours: 6 },
+    'HIPS': { density: 1.04, printTemp: { min: 220, max: 240 }, bedTemp: { min: 90, max: 110 }, dryingHours: 4 },
+    'PVA': { density: 1.23, printTemp: { min: 180, max: 200 }, bedTemp: { min: 45, max: 60 }, dryingHours: 6 },
+    'Wood-Fill': { density: 1.15, printTemp: { min: 190, max: 220 }, bedTemp: { min: 50, max: 60 }, dryingHours: 0 },
+    'Carbon Fiber': { density: 1.30, printTemp: { min: 230, max: 260 }, bedTemp: { min: 70, max: 90 }, dryingHours: 6 },
+    'Metal-Fill': { density: 3.00, printTemp: { min: 190, max: 220 }, bedTemp: { min: 50, max: 60 }, dryingHours: 0 },
   },
 
   // AMS presets (power in watts)
@@ -377,27 +411,236 @@ const CONFIG = {
     'other': { name: 'Other', defaultLifetimeHours: 1000, defaultPrice: 10 },
   },
 
+  // Hardware and finishing supply categories with default units
+  HARDWARE_CATEGORIES: {
+    'insert': { name: 'Heat-Set Insert', unit: 'pcs' },
+    'magnet': { name: 'Magnet', unit: 'pcs' },
+    'fastener': { name: 'Screw / Bolt / Nut', unit: 'pcs' },
+    'paint': { name: 'Paint / Primer', unit: 'ml' },
+    'adhesive': { name: 'Glue / Adhesive', unit: 'ml' },
+    'finishing': { name: 'Sanding / Finishing', unit: 'pcs' },
+    'electronics': { name: 'Electronics', unit: 'pcs' },
+    'other': { name: 'Other', unit: 'pcs' },
+  },
+
+  HARDWARE_UNITS: ['pcs', 'ml', 'g', 'cm', 'm'],
+
+  // Packaging supply types
+  PACKAGING_TYPES: {
+    'box': { name: 'Box' },
+    'mailer': { name: 'Mailer / Envelope' },
+    'padding': { name: 'Padding / Void Fill' },
+    'label': { name: 'Label' },
+    'tape': { name: 'Tape' },
+    'other': { name: 'Other' },
+  },
+
+  // Sales channel fee presets (percent of the order total, fixed per order in the preset's currency)
+  CHANNEL_PRESETS: {
+    'direct': { name: 'Direct Sale', fees: [] },
+    'etsy': {
+      name: 'Etsy',
+      currency: 'USD',
+      fees: [
+        { name: 'Listing fee', percent: 0, fixed: 0.20 },
+        { name: 'Transaction fee', percent: 6.5, fixed: 0 },
+        { name: 'Payment processing', percent: 3, fixed: 0.25 },
+      ],
+    },
+    'ebay': {
+      name: 'eBay',
+      currency: 'USD',
+      fees: [
+        { name: 'Final value fee', percent: 13.6, fixed: 0.40 },
+      ],
+    },
+    'stripe': {
+      name: 'Stripe',
+      currency: 'USD',
+      fees: [
+        { name: 'Card processing', percent: 2.9, fixed: 0.30 },
+      ],
+    },
+    'paypal': {
+      name: 'PayPal',
+      currency: 'USD',
+      fees: [
+        { name: 'Goods and services', percent: 3.49, fixed: 0.49 },
+      ],
+    },
+  },
+
+  // How a printer or AMS purchase is spread over print hours
+  DEPRECIATION_METHODS: {
+    'straight-line': { name: 'Straight-line', description: 'Purchase price spread evenly over lifetime hours' },
+    'salvage': { name: 'Straight-line to resale value', description: 'Price less resale value spread evenly over lifetime hours' },
+    'calendar': { name: 'Calendar', description: 'Price less resale value over N years from purchase, shared across the hours actually printed' },
+    'declining-balance': { name: 'Declining balance', description: 'Book value falls faster early on (double declining, down to resale value)' },
+  },
+
+  // How filament is priced when it was bought at different prices (purchase log)
+  FILAMENT_COSTING_METHODS: {
+    'latest': { name: 'Latest price', description: 'Price of the most recent purchase' },
+    'average': { name: 'Weighted average', description: 'Everything paid divided by all grams bought' },
+    'fifo': { name: 'FIFO', description: 'Oldest stock is used first; the job is priced from the purchases it draws on' },
+  },
+
+  // What a filament is used for in a print (support and interface material is thrown away)
+  FILAMENT_ROLES: {
+    'model': { name: 'Model' },
+    'support': { name: 'Support' },
+    'interface': { name: 'Interface' },
+  },
+
+  // Suggested labor task names
+  LABOR_TASKS: {
+    'design': { name: 'Design' },
+    'plate-prep': { name: 'Plate prep' },
+    'supervision': { name: 'Supervision' },
+    'post-processing': { name: 'Post-processing' },
+  },
+
+  // What a labor task's time is counted for
+  LABOR_BASES: {
+    'job': { name: 'Per job' },
+    'unit': { name: 'Per unit' },
+  },
+
+  // How far a failed print got before it stopped (percent completed)
+  FAILURE_POINTS: {
+    'first-layers': { name: 'First layers', min: 0, max: 10 },
+    'early': { name: 'Early', min: 10, max: 40 },
+    'midway': { name: 'Midway', min: 40, max: 70 },
+    'late': { name: 'Late', min: 70, max: 100 },
+  },
+
+  // Pricing solver targets (what the selling price must achieve)
+  PRICING_TARGETS: {
+    'margin': { name: 'Margin', unit: '%' },
+    'markup': { name: 'Markup', unit: '%' },
+    'profit': { name: 'Profit per Unit', unit: 'per unit' },
+    'hourly': { name: 'Machine Earnings', unit: 'per hour' },
+  },
+
+  // Price point rounding (unit prices are rounded up to the next step ending)
+  PRICE_ROUNDING: {
+    'none': { name: 'No rounding', step: 0, ending: 0 },
+    'end99': { name: 'x.99', step: 1, ending: 0.99 },
+    'end95': { name: 'x.95', step: 1, ending: 0.95 },
+    'half': { name: 'Nearest 0.50 up', step: 0.5, ending: 0 },
+    'whole': { name: 'Whole number', step: 1, ending: 0 },
+    'five': { name: 'Multiple of 5', step: 5, ending: 0 },
+  },
+
+  // Inputs varied by the sensitivity analysis
+  SENSITIVITY_INPUTS: {
+    'printTime': { name: 'Print time' },
+    'grams': { name: 'Filament grams' },
+    'filamentPrice': { name: 'Filament price' },
+    'electricityRate': { name: 'Electricity rate' },
+    'failureRate': { name: 'Failure rate' },
+    'laborHours': { name: 'Labor hours' },
+    'printerPrice': { name: 'Printer price' },
+  },
+
+  // Simulation input distributions (low/high bound the range; the estimate is the most likely value)
+  DISTRIBUTIONS: {
+    'triangular': { name: 'Triangular' },
+    'uniform': { name: 'Uniform' },
+    'normal': { name: 'Normal (90% in range)' },
+  },
+
   // Chart colors
   CHART_COLORS: {
     filament: '#ef4444',      // Red
+    waste: '#d946ef',         // Fuchsia
     electricity: '#3b82f6',   // Blue
     depreciation: '#f59e0b',  // Amber
     consumables: '#14b8a6',   // Teal
     labor: '#8b5cf6',         // Purple
     failureBuffer: '#f97316', // Orange
     markup: '#ec4899',        // Pink
+    shipping: '#64748b',      // Slate
+    hardware: '#84cc16',      // Lime
+    overhead: '#0ea5e9',      // Sky
+  },
+
+  // Currencies prices can be entered in
+  CURRENCIES: {
+    'USD': { name: 'US Dollar', symbol: '$', decimals: 2 },
+    'EUR': { name: 'Euro', symbol: '€', decimals: 2 },
+    'GBP': { name: 'British Pound', symbol: '£', decimals: 2 },
+    'CAD': { name: 'Canadian Dollar', symbol: 'CA$', decimals: 2 },
+    'AUD': { name: 'Australian Dollar', symbol: 'A$', decimals: 2 },
+    'NZD': { name: 'New Zealand Dollar', symbol: 'NZ$', decimals: 2 },
+    'CHF': { name: 'Swiss Franc', symbol: 'CHF ', decimals: 2 },
+    'SEK': { name: 'Swedish Krona', symbol: 'SEK ', decimals: 2 },
+    'NOK': { name: 'Norwegian Krone', symbol: 'NOK ', decimals: 2 },
+    'DKK': { name: 'Danish Krone', symbol: 'DKK ', decimals: 2 },
+    'PLN': { name: 'Polish Złoty', symbol: 'PLN ', decimals: 2 },
+    'CZK': { name: 'Czech Koruna', symbol: 'CZK ', decimals: 2 },
+    'JPY': { name: 'Japanese Yen', symbol: '¥', decimals: 0 },
+    'CNY': { name: 'Chinese Yuan', symbol: 'CN¥', decimals: 2 },
+    'KRW': { name: 'South Korean Won', symbol: '₩', decimals: 0 },
+    'INR': { name: 'Indian Rupee', symbol: '₹', decimals: 2 },
+    'SGD': { name: 'Singapore Dollar', symbol: 'S$', decimals: 2 },
+    'HKD': { name: 'Hong Kong Dollar', symbol: 'HK$', decimals: 2 },
+    'BRL': { name: 'Brazilian Real', symbol: 'R$', decimals: 2 },
+    'MXN': { name: 'Mexican Peso', symbol: 'MX$', decimals: 2 },
+    'ZAR': { name: 'South African Rand', symbol: 'R', decimals: 2 },
+  },
+
+  // Locales numbers, dates and currencies can be formatted in (blank = browser default)
+  LOCALES: {
+    'en-US': 'English (United States)',
+    'en-GB': 'English (United Kingdom)',
+    'en-AU': 'English (Australia)',
+    'en-CA': 'English (Canada)',
+    'en-IN': 'English (India)',
+    'de-DE': 'Deutsch (Deutschland)',
+    'de-CH': 'Deutsch (Schweiz)',
+    'fr-FR': 'Français (France)',
+    'fr-CA': 'Français (Canada)',
+    'es-ES': 'Español (España)',
+    'es-MX': 'Español (México)',
+    'it-IT': 'Italiano (Italia)',
+    'nl-NL': 'Nederlands (Nederland)',
+    'pl-PL': 'Polski (Polska)',
+    'cs-CZ': 'Čeština (Česko)',
+    'sv-SE': 'Svenska (Sverige)',
+    'nb-NO': 'Norsk bokmål (Norge)',
+    'da-DK': 'Dansk (Danmark)',
+    'pt-BR': 'Português (Brasil)',
+    'ja-JP': '日本語 (日本)',
+    'ko-KR': '한국어 (대한민국)',
+    'zh-CN': '中文 (中国)',
   },
 
-  // Currency formatting
+  // Base currency formatting (follows the currency setting, see setCurrency)
   CURRENCY: {
     symbol: '$',
     code: 'USD',
     decimals: 2,
   },
 
-  // Format currency value
-  formatCurrency(value) {
-    return `${this.CURRENCY.symbol}${value.toFixed(this.CURRENCY.decimals)}`;
+  // Make a currency the base currency everything is calculated in
+  setCurrency(code) {
+    const key = this.CURRENCIES[code] ? code : 'USD';
+    Object.assign(this.CURRENCY, {
+      symbol: this.CURRENCIES[key].symbol,
+      code: key,
+      decimals: this.CURRENCIES[key].decimals,
+    });
+  },
+
+  // Get a currency by code (null or unknown = base currency)
+  getCurrency(code) {
+    return this.CURRENCIES[code] ? { code, ...this.CURRENCIES[code] } : { ...this.CURRENCY };
+  },
+
+  // Format currency value (in the base currency unless a code is given)
+  formatCurrency(value, code = null) {
+    return Formatters.currency(value, code);
   },
 
   // Format time in hours and minutes
@@ -405,24 +648,39 @@ const CONFIG = {
     const hrs = Math.floor(minutes / 60);
     const mins = Math.round(minutes % 60);
     if (hrs > 0) {
-      return `${hrs}h ${mins}m`;
+      return `${Formatters.number(hrs)}h ${mins}m`;
     }
     return `${mins}m`;
   },
 
   // Format weight
   formatWeight(grams) {
-    if (grams >= 1000) {
-      return `${(grams / 1000).toFixed(2)}kg`;
-    }
-    return `${grams.toFixed(1)}g`;
+    return Formatters.weight(grams, grams >= 1000 ? 2 : 1);
   },
 };
 
 // Freeze config to prevent accidental modifications
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.DEFAULTS);
+Object.freeze(CONFIG.HEAT_UP);
+Object.freeze(CONFIG.WEEKDAYS);
 Object.freeze(CONFIG.MATERIALS);
 Object.freeze(CONFIG.CONSUMABLE_TYPES);
+Object.freeze(CONFIG.HARDWARE_CATEGORIES);
+Object.freeze(CONFIG.HARDWARE_UNITS);
+Object.freeze(CONFIG.PACKAGING_TYPES);
+Object.freeze(CONFIG.CHANNEL_PRESETS);
+Object.freeze(CONFIG.DEPRECIATION_METHODS);
+Object.freeze(CONFIG.FILAMENT_COSTING_METHODS);
+Object.freeze(CONFIG.FILAMENT_ROLES);
+Object.freeze(CONFIG.LABOR_TASKS);
+Object.freeze(CONFIG.LABOR_BASES);
+Object.freeze(CONFIG.FAILURE_POINTS);
+Object.freeze(CONFIG.PRICING_TARGETS);
+Object.freeze(CONFIG.PRICE_ROUNDING);
+Object.freeze(CONFIG.SENSITIVITY_INPUTS);
+Object.freeze(CONFIG.DISTRIBUTIONS);
 Object.freeze(CONFIG.CHART_COLORS);
-Object.freeze(CONFIG.CURRENCY);
+Object.freeze(CONFIG.CURRENCIES);
+Object.freeze(CONFIG.LOCALES);
+// CONFIG.CURRENCY stays writable so setCurrency() can switch the base currency
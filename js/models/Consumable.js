@@ -12,6 +12,7 @@ class Consumable {
 
     // Cost tracking
     this.unitPrice = data.unitPrice ?? this._getDefaultPrice();
+    this.currency = data.currency || null; // unit price currency (null = base currency)
     this.quantity = data.quantity ?? 1; // Current quantity in stock
 
     // Lifetime estimation (primary: hours)
@@ -189,6 +190,7 @@ class Consumable {
       type: this.type,
       printerId: this.printerId,
       unitPrice: this.unitPrice,
+      currency: this.currency,
       quantity: this.quantity,
       estimatedLifetimeHours: this.estimatedLifetimeHours,
       currentHours: this.currentHours,
@@ -14,14 +14,35 @@ class CostCalculation {
    * Calculate complete print cost
    * @param {Object} params - Calculation parameters
    * @param {Printer} params.printer - Printer profile
-   * @param {Array} params.filamentEntries - Array of {filament, grams} objects
+   * @param {Array} params.filamentEntries - Array of {filament, grams, role, waste} objects (grams and waste per plate)
+   *   role: key from CONFIG.FILAMENT_ROLES (default 'model')
+   *   drying: {dryer: Dryer, hours} drying before the job (hours null = material default), once per job
+   *   waste: {purgeGrams, towerGrams, flushVolumeMm3, colorChanges} purge/flush/prime-tower waste (optional)
    * @param {Consumable[]} params.consumables - Array of consumables
-   * @param {number} params.printTimeMinutes - Print time in minutes
-   * @param {number} params.electricityRate - Electricity rate ($/kWh)
+   * @param {number} params.printTimeMinutes - Print time per plate in minutes
+   * @param {number} params.unitsPerPlate - Copies printed on each plate
+   * @param {number} params.plates - Number of plates in the job
+   * @param {number} params.setupMinutesPerPlate - Setup labor per plate (plate prep, removal), at the setup rate
+   * @param {number} params.setupHourlyRate - Setup labor rate ($/hour)
+   * @param {number|null} params.heatUpMinutes - Heat-up time per plate (null = estimate from filament temps, 0 = skip)
+   * @param {number} params.idleMinutes - Post-print idle/cooldown time per plate in minutes
+   * @param {number|null} params.measuredKwh - Measured energy (e.g. from a smart plug), replaces the wattage estimate
+   * @param {number} params.electricityRate - Electricity rate ($/kWh), used outside tariff bands
+   * @param {TariffSchedule} params.tariffSchedule - Time-of-use tariff (optional)
+   * @param {Date|string} params.startTime - Planned print start (required for time-of-use pricing)
    * @param {number} params.failureRate - Failure rate (0-1)
-   * @param {number} params.laborHourlyRate - Labor rate ($/hour)
-   * @param {number} params.laborHours - Labor time (hours)
+   * @param {Array|null} params.failureDistribution - Where failures stop, array of {percentCompleted, share} (null = whole job wasted)
+   * @param {OverheadPool} params.overheadPool - Shop overhead spread per machine hour (optional)
+   * @param {Array} params.laborTasks - Array of {name, hourlyRate, hours, basis} objects
+   *   basis: key from CONFIG.LABOR_BASES ('job' counts the hours once, 'unit' for every unit)
    * @param {number} params.markupPercent - Markup percentage
+   * @param {Array} params.hardware - Bill of materials, array of {item: HardwareItem, quantity} objects (quantity per unit)
+   * @param {Array} params.packaging - Array of {item: PackagingItem, quantity} objects
+   * @param {ShippingRateTable} params.shippingRateTable - Postage rates by weight (optional)
+   * @param {number|null} params.shippingWeightGrams - Parcel weight (null = print weight + packaging)
+   * @param {string} params.currency - Base currency code the result is in
+   * @param {ExchangeRateTable} params.exchangeRates - Rates for filament, printer, consumable and dryer prices in other currencies (optional)
+   * @param {string} params.filamentCosting - Key from CONFIG.FILAMENT_COSTING_METHODS for filaments with a purchase log
    * @returns {Object} Detailed cost breakdown
    */
   calculate(params) {
@@ -30,100 +51,220 @@ class CostCalculation {
       filamentEntries = [],
       consumables = [],
       printTimeMinutes,
+      unitsPerPlate = 1,
+      plates = 1,
+      setupMinutesPerPlate = 0,
+      setupHourlyRate = 0,
+      heatUpMinutes = null,
+      idleMinutes = 0,
+      measuredKwh = null,
       electricityRate = this.electricityRate,
+      tariffSchedule = null,
+      startTime = null,
       failureRate = CONFIG.DEFAULTS.FAILURE_RATE,
-      laborHourlyRate = 0,
-      laborHours = 0,
+      failureDistribution = null,
+      overheadPool = null,
+      laborTasks = [],
       markupPercent = 0,
+      hardware = [],
+      packaging = [],
+      shippingRateTable = null,
+      shippingWeightGrams = null,
+      currency = CONFIG.CURRENCY.code,
+      exchangeRates = null,
+      filamentCosting = 'latest',
     } = params;
 
-    const printTimeHours = printTimeMinutes / 60;
+    const quantity = unitsPerPlate * plates;
+
+    // Prices in other currencies convert at the rates in effect when the job runs
+    const fx = this._createConverter(exchangeRates, currency, startTime || new Date());
+    const totalPrintMinutes = printTimeMinutes * plates;
+    const printTimeHours = totalPrintMinutes / 60;
 
-    // 1. Filament costs (multiple filaments supported)
+    // 1. Filament costs (multiple filaments supported, grams are per plate)
+    // Priced by the costing method; FIFO draws model and waste grams from the oldest stock left
     let totalFilamentCost = 0;
     let totalFilamentGrams = 0;
     const filamentBreakdown = [];
+    const wasteBreakdown = [];
+    const drawnGrams = {};
 
     for (const entry of filamentEntries) {
-      const { filament, grams } = entry;
-      const cost = grams * filament.getPricePerGram();
+      const grams = entry.grams * plates;
+      const { filament } = entry;
+      const waste = this._getWasteGrams(entry.waste, filament);
+      const jobGrams = grams + waste.grams * plates;
+      const skipGrams = drawnGrams[filament.id] || 0;
+      drawnGrams[filament.id] = skipGrams + jobGrams;
+
+      const pricePerGram = filament.getPricePerGram(filamentCosting, jobGrams, skipGrams) * fx.rateFor(filament.currency);
+      const cost = grams * pricePerGram;
       totalFilamentCost += cost;
       totalFilamentGrams += grams;
+
+      // 1b. Purge, flush and prime-tower waste for this filament (per plate)
+      if (waste.grams > 0) {
+        wasteBreakdown.push({
+          id: filament.id,
+          name: filament.getDisplayName(),
+          purgeGrams: waste.purgeGrams * plates,
+          towerGrams: waste.towerGrams * plates,
+          flushGrams: waste.flushGrams * plates,
+          grams: waste.grams * plates,
+          cost: waste.grams * plates * pricePerGram,
+        });
+      }
+
       filamentBreakdown.push({
         id: filament.id,
         name: filament.getDisplayName(),
+        role: CONFIG.FILAMENT_ROLES[entry.role] ? entry.role : 'model',
         material: filament.material,
         color: filament.color,
         colorHex: filament.colorHex,
         grams: grams,
-        pricePerGram: filament.getPricePerGram(),
+        pricePerGram: pricePerGram,
         cost: cost,
       });
     }
 
     const filamentCost = totalFilamentCost;
 
-    // 2. Electricity cost (includes AMS if attached)
-    let powerWatts = printer.powerConsumption.printing;
-    if (printer.hasAms && printer.ams) {
-      powerWatts += printer.ams.powerConsumption.working;
-    }
-    const energyKwh = (powerWatts * printTimeHours) / 1000;
-    const electricityCost = energyKwh * electricityRate;
+    // Model, support and interface material
+    const filamentByRole = Object.fromEntries(Object.keys(CONFIG.FILAMENT_ROLES).map(role => [role, { grams: 0, cost: 0 }]));
+    filamentBreakdown.forEach(item => {
+      filamentByRole[item.role].grams += item.grams;
+      filamentByRole[item.role].cost += item.cost;
+    });
+    const wasteGrams = wasteBreakdown.reduce((sum, w) => sum + w.grams, 0);
+    const wasteCost = wasteBreakdown.reduce((sum, w) => sum + w.cost, 0);
+
+    // 2. Electricity cost (heat-up, printing and idle phases, includes AMS if attached)
+    const useTariff = !!(tariffSchedule?.isActive() && startTime);
+    const electricity = this._calculateElectricity({
+      printer,
+      filamentEntries,
+      printTimeMinutes,
+      plates,
+      heatUpMinutes,
+      idleMinutes,
+      electricityRate,
+      tariffSchedule: useTariff ? tariffSchedule : null,
+      startTime,
+      measuredKwh,
+    });
 
-    // 3. Printer depreciation
-    const printerDepreciationCost = printer.getDepreciationPerHour() * printTimeHours;
+    // 2b. Filament drying (runs before the print, at the flat electricity rate)
+    const drying = this._calculateDrying(filamentEntries, electricityRate, fx);
+    const electricityCost = electricity.cost + drying.energyCost;
+
+    // 3. Printer depreciation (method chosen per printer, AMS priced in the printer's currency)
+    const printerRate = fx.rateFor(printer.currency);
+    const printerDepreciationCost = printer.getDepreciationCost(totalPrintMinutes) * printerRate;
 
     // 3b. AMS depreciation (if attached)
-    const amsDepreciationCost = printer.getAmsDepreciationCost(printTimeMinutes);
-    const depreciationCost = printerDepreciationCost + amsDepreciationCost;
+    const amsDepreciationCost = printer.getAmsDepreciationCost(totalPrintMinutes) * printerRate;
+    const depreciationCost = printerDepreciationCost + amsDepreciationCost + drying.depreciationCost;
 
     // 4. Consumables allocation
     let consumablesCost = 0;
     const consumablesBreakdown = [];
 
     for (const consumable of consumables) {
-      const cost = consumable.getCostPerHour() * printTimeHours;
+      const costPerHour = consumable.getCostPerHour() * fx.rateFor(consumable.currency);
+      const cost = costPerHour * printTimeHours;
       consumablesCost += cost;
       consumablesBreakdown.push({
         id: consumable.id,
         name: consumable.getDisplayName(),
         type: consumable.type,
-        costPerHour: consumable.getCostPerHour(),
+        costPerHour: costPerHour,
         cost: cost,
       });
     }
 
-    // 5. Labor cost (optional)
-    const laborCost = laborHourlyRate * laborHours;
+    // 4b. Shop overhead (rent, software, insurance) at the pool's rate per machine hour
+    const overheadRatePerHour = overheadPool?.isActive() ? overheadPool.getRatePerHour() : 0;
+    const overheadCost = overheadRatePerHour * printTimeHours;
+
+    // 5. Labor cost (optional, itemized tasks plus setup for every plate)
+    const tasks = this._normalizeLaborTasks(laborTasks).filter(task => task.hours > 0);
+    const laborItems = tasks.map(task => {
+      const hours = task.basis === 'unit' ? task.hours * quantity : task.hours;
+      return { ...task, totalHours: hours, cost: task.hourlyRate * hours };
+    });
+    const laborHours = laborItems.reduce((sum, t) => sum + t.totalHours, 0);
+    const setupHours = (setupMinutesPerPlate * plates) / 60;
+    const setupCost = setupHourlyRate * setupHours;
+    const laborCost = laborItems.reduce((sum, t) => sum + t.cost, 0) + setupCost;
+
+    // 5b. Bill of materials (hardware and finishing supplies, optional)
+    const hardwareItems = hardware
+      .filter(entry => entry.item && entry.quantity > 0)
+      .map(({ item, ...entry }) => ({
+        id: item.id,
+        name: item.getDisplayName(),
+        category: item.category,
+        unit: item.unit,
+        quantity: entry.quantity * quantity,
+        unitPrice: item.unitPrice,
+        cost: item.getCost(entry.quantity * quantity),
+      }));
+    const hardwareCost = hardwareItems.reduce((sum, h) => sum + h.cost, 0);
+
+    // 6. Packaging and shipping (optional)
+    const shipping = this._calculateShipping({
+      packaging,
+      rateTable: shippingRateTable,
+      weightGrams: shippingWeightGrams,
+      printedGrams: totalFilamentGrams,
+    });
+    const shippingCost = shipping.cost;
 
-    // 6. Subtotal before adjustments
-    const subtotal = filamentCost + electricityCost + depreciationCost + consumablesCost + laborCost;
+    // 7. Subtotal before adjustments
+    const productionCost = filamentCost + wasteCost + electricityCost + depreciationCost + consumablesCost + overheadCost + laborCost;
+    const subtotal = productionCost + hardwareCost + shippingCost;
 
-    // 7. Failure rate buffer
-    // Effective cost = base cost / (1 - failure rate)
-    const effectiveCost = failureRate < 1 ? subtotal / (1 - failureRate) : subtotal;
-    const failureBuffer = effectiveCost - subtotal;
+    // 8. Failure rate buffer (failed prints are reprinted; hardware is fitted and parcels sent only once)
+    // Failed attempts per good print = failure rate / (1 - failure rate). Without a failure-point
+    // distribution a failure wastes the whole production cost; with one it wastes the filament,
+    // energy and machine time up to where it stopped, plus the plate setup.
+    const expectedCompletion = this._getExpectedCompletion(failureDistribution);
+    const wastedPerFailure = expectedCompletion === null
+      ? productionCost
+      : (filamentCost + wasteCost + electricityCost + depreciationCost + consumablesCost + overheadCost) * expectedCompletion
+        + setupCost;
+    const failureBuffer = failureRate < 1 ? wastedPerFailure * (failureRate / (1 - failureRate)) : 0;
+    const effectiveCost = subtotal + failureBuffer;
 
-    // 8. Profit markup (optional)
+    // 9. Profit markup (optional)
     const markupAmount = effectiveCost * (markupPercent / 100);
 
-    // 9. Total
+    // 10. Total
     const total = effectiveCost + markupAmount;
 
     // Calculate percentages for charts (based on subtotal)
     const percentages = subtotal > 0 ? {
       filament: (filamentCost / subtotal) * 100,
+      waste: (wasteCost / subtotal) * 100,
       electricity: (electricityCost / subtotal) * 100,
       depreciation: (depreciationCost / subtotal) * 100,
       consumables: (consumablesCost / subtotal) * 100,
+      overhead: (overheadCost / subtotal) * 100,
       labor: (laborCost / subtotal) * 100,
+      hardware: (hardwareCost / subtotal) * 100,
+      shipping: (shippingCost / subtotal) * 100,
     } : {
       filament: 0,
+      waste: 0,
       electricity: 0,
       depreciation: 0,
       consumables: 0,
+      overhead: 0,
       labor: 0,
+      hardware: 0,
+      shipping: 0,
     };
 
     return {
@@ -132,35 +273,73 @@ class CostCalculation {
         filament: {
           grams: totalFilamentGrams,
           items: filamentBreakdown,
+          byRole: filamentByRole,
           cost: filamentCost,
         },
+        waste: {
+          grams: wasteGrams,
+          items: wasteBreakdown,
+          cost: wasteCost,
+          percent: totalFilamentGrams + wasteGrams > 0 ? (wasteGrams / (totalFilamentGrams + wasteGrams)) * 100 : 0,
+        },
         electricity: {
-          watts: powerWatts,
-          hours: printTimeHours,
-          kwh: energyKwh,
-          rate: electricityRate,
+          ...electricity,
+          printerCost: electricity.cost,
+          drying: {
+            items: drying.items,
+            kwh: drying.kwh,
+            cost: drying.energyCost,
+          },
           cost: electricityCost,
         },
         depreciation: {
-          printerValue: printer.purchasePrice,
+          printerValue: printer.purchasePrice * printerRate,
           lifetimeHours: printer.estimatedLifetimeHours,
-          ratePerHour: printer.getDepreciationPerHour(),
+          method: printer.depreciationMethod,
+          methodName: printer.getDepreciationMethodName(),
+          salvageValue: printer.salvageValue * printerRate,
+          ratePerHour: printer.getDepreciationPerHour() * printerRate,
           printerCost: printerDepreciationCost,
-          amsValue: printer.ams?.purchasePrice || 0,
+          amsValue: (printer.ams?.purchasePrice || 0) * printerRate,
           amsLifetimeHours: printer.ams?.estimatedLifetimeHours || 0,
-          amsRatePerHour: printer.getAmsDepreciationPerHour(),
+          amsMethod: printer.hasAms && printer.ams ? printer.ams.depreciationMethod : null,
+          amsMethodName: printer.getAmsDepreciationMethodName(),
+          amsRatePerHour: printer.getAmsDepreciationPerHour() * printerRate,
           amsCost: amsDepreciationCost,
+          dryerCost: drying.depreciationCost,
           cost: depreciationCost,
         },
         consumables: {
           items: consumablesBreakdown,
           totalCost: consumablesCost,
         },
+        overhead: {
+          ratePerHour: overheadRatePerHour,
+          monthlyCost: overheadPool?.isActive() ? overheadPool.getMonthlyTotal() : 0,
+          expectedMonthlyHours: overheadPool?.isActive() ? overheadPool.expectedMonthlyHours : 0,
+          hours: printTimeHours,
+          cost: overheadCost,
+        },
         labor: {
-          hourlyRate: laborHourlyRate,
+          items: laborItems,
           hours: laborHours,
+          setupMinutesPerPlate,
+          setupHourlyRate,
+          setupHours,
+          setupCost,
           cost: laborCost,
         },
+        hardware: {
+          items: hardwareItems,
+          cost: hardwareCost,
+        },
+        shipping: shipping,
+        failure: {
+          rate: failureRate,
+          expectedCompletion,
+          wastedPerFailure,
+          cost: failureBuffer,
+        },
       },
 
       // Summary
@@ -171,25 +350,503 @@ class CostCalculation {
       markupAmount: markupAmount,
       total: total,
 
+      // Batch
+      quantity: quantity,
+      unitCost: quantity > 0 ? total / quantity : total,
+
       // For charts
       percentages: percentages,
 
       // Input parameters (for reference/saving)
       params: {
         printTimeMinutes,
+        totalPrintMinutes,
+        unitsPerPlate,
+        plates,
+        setupMinutesPerPlate,
+        setupHourlyRate,
+        heatUpMinutes: electricity.heatUpMinutes,
+        idleMinutes,
+        measuredKwh: electricity.source === 'measured' ? electricity.kwh : null,
         filamentGrams: totalFilamentGrams,
+        wasteGrams,
         electricityRate,
+        startTime: useTariff ? new Date(startTime).toISOString() : null,
         failureRate,
-        laborHourlyRate,
-        laborHours,
+        failureDistribution,
+        failureExpectedCompletion: expectedCompletion,
+        overheadRatePerHour,
+        laborTasks: tasks,
         markupPercent,
+        currency,
+        exchangeRates: fx.getUsed(),
+        filamentCosting,
         printerId: printer.id,
-        filamentEntries: filamentBreakdown.map(f => ({ id: f.id, grams: f.grams })),
+        filamentEntries: filamentEntries.map(e => ({
+          id: e.filament.id,
+          grams: e.grams,
+          role: e.role || 'model',
+          waste: e.waste || null,
+          drying: e.drying?.dryer ? { dryerId: e.drying.dryer.id, hours: e.drying.hours ?? null } : null,
+        })),
         consumableIds: consumables.map(c => c.id),
       },
     };
   }
 
+  /**
+   * Create a converter from entity currencies into the base currency
+   * Rates are looked up once per currency and recorded; a currency without a
+   * rate is recorded with a null rate and left unconverted.
+   * @private
+   * @param {ExchangeRateTable|null} table - Exchange rates
+   * @param {string} base - Base currency code
+   * @param {Date|string} date - Date the rates should apply on
+   * @returns {Object} { rateFor(currency), getUsed() }
+   */
+  _createConverter(table, base, date) {
+    const used = new Map();
+
+    return {
+      rateFor: (code) => {
+        if (!code || code === base) return 1;
+        if (!used.has(code)) {
+          const found = table ? table.getRate(code, date, base) : null;
+          used.set(code, { currency: code, rate: found ? found.rate : null, effectiveDate: found ? found.effectiveDate : null });
+        }
+        return used.get(code).rate ?? 1;
+      },
+      getUsed: () => Array.from(used.values()),
+    };
+  }
+
+  /**
+   * Fill in defaults for labor tasks
+   * @private
+   * @param {Array} tasks - Array of {name, hourlyRate, hours, basis} objects
+   * @returns {Array} Tasks with every field set
+   */
+  _normalizeLaborTasks(tasks) {
+    return tasks.map(task => ({
+      name: task.name || 'Labor',
+      hourlyRate: task.hourlyRate ?? 0,
+      hours: task.hours ?? 0,
+      basis: CONFIG.LABOR_BASES[task.basis] ? task.basis : 'job',
+    }));
+  }
+
+  /**
+   * Calculate filament drying energy and dryer depreciation
+   * @private
+   * @param {Array} filamentEntries - Filament entries with optional drying {dryer, hours}
+   * @param {number} electricityRate - Flat electricity rate
+   * @param {Object} fx - Currency converter for dryer prices
+   * @returns {Object} { items, hours, kwh, energyCost, depreciationCost }
+   */
+  _calculateDrying(filamentEntries, electricityRate, fx) {
+    const items = filamentEntries
+      .filter(entry => entry.drying?.dryer)
+      .map(({ filament, drying }) => {
+        const hours = drying.hours ?? CONFIG.MATERIALS[filament.material]?.dryingHours ?? 0;
+        const kwh = drying.dryer.getEnergyKwh(hours);
+        return {
+          id: filament.id,
+          name: filament.getDisplayName(),
+          dryerId: drying.dryer.id,
+          dryerName: drying.dryer.getDisplayName(),
+          hours,
+          kwh,
+          energyCost: kwh * electricityRate,
+          depreciationCost: drying.dryer.getDepreciationPerHour() * hours * fx.rateFor(drying.dryer.currency),
+        };
+      })
+      .filter(item => item.hours > 0);
+
+    return {
+      items,
+      hours: items.reduce((sum, i) => sum + i.hours, 0),
+      kwh: items.reduce((sum, i) => sum + i.kwh, 0),
+      energyCost: items.reduce((sum, i) => sum + i.energyCost, 0),
+      depreciationCost: items.reduce((sum, i) => sum + i.depreciationCost, 0),
+    };
+  }
+
+  /**
+   * Get the purge, flush and prime-tower waste for a filament entry
+   * Flush volumes are in mm³ per color change, as slicers report them.
+   * @private
+   * @param {Object|null} waste - {purgeGrams, towerGrams, flushVolumeMm3, colorChanges}
+   * @param {Filament} filament - Filament (for density)
+   * @returns {Object} { purgeGrams, towerGrams, flushGrams, grams } per plate
+   */
+  _getWasteGrams(waste, filament) {
+    const purgeGrams = waste?.purgeGrams || 0;
+    const towerGrams = waste?.towerGrams || 0;
+    const flushGrams = ((waste?.flushVolumeMm3 || 0) * (waste?.colorChanges || 0) / 1000) * filament.density;
+
+    return { purgeGrams, towerGrams, flushGrams, grams: purgeGrams + towerGrams + flushGrams };
+  }
+
+  /**
+   * Get the average share of a job completed when it fails
+   * @private
+   * @param {Array|null} distribution - Array of {percentCompleted, share} objects
+   * @returns {number|null} Expected completion (0-1), or null without a usable distribution
+   */
+  _getExpectedCompletion(distribution) {
+    if (!distribution || distribution.length === 0) return null;
+
+    const totalShare = distribution.reduce((sum, point) => sum + point.share, 0);
+    if (totalShare <= 0) return null;
+
+    const weighted = distribution.reduce((sum, point) => sum + point.share * point.percentCompleted, 0);
+    return Math.min(1, Math.max(0, weighted / totalShare / 100));
+  }
+
+  /**
+   * Calculate electricity cost across the heat-up, printing and idle phases
+   * Phases (and plates) run back to back from the start time, so each one is
+   * priced at the tariff bands it actually falls in. A measured kWh figure rescales
+   * the estimated profile so the phase and band split is kept.
+   * @private
+   * @param {Object} params - Subset of calculate() parameters
+   * @returns {Object} Electricity breakdown with per-phase and per-band lines
+   */
+  _calculateElectricity(params) {
+    const {
+      printer,
+      filamentEntries,
+      printTimeMinutes,
+      plates = 1,
+      heatUpMinutes,
+      idleMinutes,
+      electricityRate,
+      tariffSchedule,
+      startTime,
+      measuredKwh = null,
+    } = params;
+
+    const hasAms = printer.hasAms && printer.ams;
+    const amsWorking = hasAms ? printer.ams.powerConsumption.working : 0;
+    const amsStandby = hasAms ? printer.ams.powerConsumption.standby : 0;
+
+    // Size heat-up from the hottest filament in the job
+    let heatUp = heatUpMinutes;
+    if (heatUp === null || heatUp === undefined) {
+      const bedTemp = Math.max(0, ...filamentEntries.map(e => e.filament.bedTemp.max));
+      const nozzleTemp = Math.max(0, ...filamentEntries.map(e => e.filament.printTemp.max));
+      heatUp = printer.getHeatUpMinutes(bedTemp, nozzleTemp);
+    }
+
+    const phaseSpecs = [
+      { key: 'heatUp', label: 'Heat-up', watts: printer.powerConsumption.heated + amsStandby, minutes: heatUp },
+      { key: 'printing', label: 'Printing', watts: printer.powerConsumption.printing + amsWorking, minutes: printTimeMinutes },
+      { key: 'idle', label: 'Idle/Cooldown', watts: printer.powerConsumption.idle + amsStandby, minutes: idleMinutes },
+    ];
+
+    const startMs = startTime ? new Date(startTime).getTime() : 0;
+    let offsetMinutes = 0;
+    const phaseTotals = new Map();
+    const bandTotals = new Map();
+
+    const addBands = (totals, bands) => {
+      for (const band of bands) {
+        const total = totals.get(band.id) || { ...band, minutes: 0, kwh: 0, cost: 0 };
+        total.minutes += band.minutes;
+        total.kwh += band.kwh;
+        total.cost += band.cost;
+        totals.set(band.id, total);
+      }
+    };
+
+    // At a flat rate every plate costs the same, so price one and count it for all;
+    // with a tariff each plate runs at a different time of day
+    const pricedPlates = tariffSchedule ? plates : 1;
+    const platesEach = tariffSchedule ? 1 : plates;
+
+    for (let plate = 0; plate < pricedPlates; plate++) {
+      for (const spec of phaseSpecs) {
+        if (spec.minutes <= 0 && spec.key !== 'printing') continue;
+
+        const phaseStart = new Date(startMs + offsetMinutes * 60000);
+        const energy = this._priceEnergy(spec.watts, spec.minutes, electricityRate, tariffSchedule, phaseStart);
+        offsetMinutes += spec.minutes;
+
+        const phase = phaseTotals.get(spec.key) || { ...spec, minutes: 0, kwh: 0, cost: 0, bandTotals: new Map() };
+        phase.minutes += spec.minutes * platesEach;
+        phase.kwh += energy.kwh * platesEach;
+        phase.cost += energy.cost * platesEach;
+        addBands(phase.bandTotals, energy.bands);
+        phaseTotals.set(spec.key, phase);
+
+        addBands(bandTotals, energy.bands);
+      }
+    }
+
+    const phases = Array.from(phaseTotals.values()).map(({ bandTotals: phaseBands, ...phase }) => ({
+      ...phase,
+      bands: Array.from(phaseBands.values()),
+    }));
+    const bands = Array.from(bandTotals.values());
+    const estimatedKwh = phases.reduce((sum, p) => sum + p.kwh, 0);
+    const estimatedCost = phases.reduce((sum, p) => sum + p.cost, 0);
+    const estimatedPrintingKwh = phases.find(p => p.key === 'printing').kwh;
+    const isMeasured = measuredKwh !== null && measuredKwh !== undefined && measuredKwh >= 0;
+
+    if (isMeasured) {
+      if (estimatedKwh > 0) {
+        // Keep the estimated phase/band split, scaled to the measured total
+        const scale = measuredKwh / estimatedKwh;
+        for (const line of [...phases, ...phases.flatMap(p => p.bands), ...bands]) {
+          line.kwh *= scale;
+          line.cost *= scale;
+        }
+      } else {
+        const printing = phases.find(p => p.key === 'printing');
+        printing.kwh = measuredKwh;
+        printing.cost = measuredKwh * electricityRate;
+      }
+    }
+
+    const kwh = isMeasured ? measuredKwh : estimatedKwh;
+    const cost = phases.reduce((sum, p) => sum + p.cost, 0);
+
+    return {
+      watts: printer.powerConsumption.printing + amsWorking,
+      hours: (printTimeMinutes * plates) / 60,
+      heatUpMinutes: heatUp,
+      kwh,
+      rate: kwh > 0 ? cost / kwh : electricityRate,
+      source: isMeasured ? 'measured' : 'estimated',
+      estimatedKwh,
+      estimatedCost,
+      estimatedPrintingKwh,
+      timeOfUse: !!tariffSchedule,
+      phases,
+      bands,
+      cost,
+    };
+  }
+
+  /**
+   * Price the energy drawn at a constant wattage over a time window
+   * @private
+   * @param {number} watts - Power draw in watts
+   * @param {number} minutes - Duration in minutes
+   * @param {number} flatRate - Rate ($/kWh) for time not covered by a tariff band
+   * @param {TariffSchedule|null} schedule - Active time-of-use schedule, or null for flat pricing
+   * @param {Date|string|null} start - Window start
+   * @returns {Object} { kwh, cost, bands } where bands lists kWh and cost per tariff band
+   */
+  _priceEnergy(watts, minutes, flatRate, schedule, start) {
+    const kwh = (watts * minutes / 60) / 1000;
+
+    if (!schedule) {
+      return { kwh, cost: kwh * flatRate, bands: [] };
+    }
+
+    const bands = schedule.split(start, minutes).map(segment => {
+      const rate = segment.rate ?? flatRate;
+      const bandKwh = (watts * segment.minutes / 60) / 1000;
+      return {
+        id: segment.id,
+        name: segment.name || 'Standard',
+        rate,
+        minutes: segment.minutes,
+        kwh: bandKwh,
+        cost: bandKwh * rate,
+      };
+    });
+
+    return {
+      kwh,
+      cost: bands.reduce((sum, b) => sum + b.cost, 0),
+      bands,
+    };
+  }
+
+  /**
+   * Calculate packaging and postage for a job
+   * @private
+   * @returns {Object} { items, packagingCost, packagingGrams, weightGrams, rateTableId, rateTableName, band, postage, overweight, cost }
+   */
+  _calculateShipping({ packaging, rateTable, weightGrams, printedGrams }) {
+    const items = packaging
+      .filter(entry => entry.item && entry.quantity > 0)
+      .map(({ item, quantity }) => ({
+        id: item.id,
+        name: item.getDisplayName(),
+        type: item.type,
+        quantity,
+        unitPrice: item.unitPrice,
+        weightGrams: item.weightGrams * quantity,
+        cost: item.unitPrice * quantity,
+      }));
+
+    const packagingCost = items.reduce((sum, i) => sum + i.cost, 0);
+    const packagingGrams = items.reduce((sum, i) => sum + i.weightGrams, 0);
+    const parcelGrams = weightGrams ?? printedGrams + packagingGrams;
+    const postage = rateTable ? rateTable.getRate(parcelGrams) : null;
+
+    return {
+      items,
+      packagingCost,
+      packagingGrams,
+      weightGrams: parcelGrams,
+      rateTableId: rateTable?.id || null,
+      rateTableName: rateTable ? rateTable.getDisplayName() : null,
+      band: postage?.band || null,
+      postage: postage?.rate ?? 0,
+      overweight: postage?.overweight ?? false,
+      cost: packagingCost + (postage?.rate ?? 0),
+    };
+  }
+
+  /**
+   * Build a quantity-tier quote from a calculation
+   * The job is reduced to a single unit, then each order quantity is packed
+   * onto full plates plus one part plate, so heat-up, idle and setup are shared.
+   * Per-job labor tasks, drying and shipping are charged once per order.
+   * @param {Object} params - calculate() parameters for the job
+   * @param {Object} options - { quantities, maxUnitsPerPlate, discounts }
+   * @returns {QuoteTable} Quote with calculated rows
+   */
+  createQuote(params, options = {}) {
+    const quote = new QuoteTable(options);
+
+    quote.rows = quote.quantities.map(quantity => {
+      const totals = this.getQuoteTotals(params, quantity, quote.maxUnitsPerPlate);
+      return quote.buildRow(quantity, totals.plates, totals);
+    });
+
+    return quote;
+  }
+
+  /**
+   * Cost an order quantity packed onto full plates plus one part plate
+   * @param {Object} params - calculate() parameters for the job
+   * @param {number} quantity - Order quantity
+   * @param {number} maxUnitsPerPlate - Copies that fit on one plate
+   * @returns {Object} { plates, cost, price } cost before markup and price after markup
+   */
+  getQuoteTotals(params, quantity, maxUnitsPerPlate) {
+    const unitsPerPlate = params.unitsPerPlate || 1;
+
+    // Per-unit print time and grams (measured energy does not carry over to other quantities)
+    const unitParams = {
+      ...params,
+      printTimeMinutes: params.printTimeMinutes / unitsPerPlate,
+      filamentEntries: params.filamentEntries.map(e => ({ ...e, grams: e.grams / unitsPerPlate })),
+      measuredKwh: null,
+    };
+
+    const fullPlates = Math.floor(quantity / maxUnitsPerPlate);
+    const remainder = quantity % maxUnitsPerPlate;
+    const groups = [];
+    if (fullPlates > 0) groups.push({ unitsPerPlate: maxUnitsPerPlate, plates: fullPlates });
+    if (remainder > 0) groups.push({ unitsPerPlate: remainder, plates: 1 });
+
+    const totals = { plates: groups.reduce((sum, g) => sum + g.plates, 0), cost: 0, price: 0 };
+    groups.forEach((group, index) => {
+      const result = this.calculate({
+        ...unitParams,
+        printTimeMinutes: unitParams.printTimeMinutes * group.unitsPerPlate,
+        // Spools are dried once per order
+        filamentEntries: unitParams.filamentEntries.map(e => ({
+          ...e,
+          grams: e.grams * group.unitsPerPlate,
+          drying: index > 0 ? null : e.drying,
+        })),
+        unitsPerPlate: group.unitsPerPlate,
+        plates: group.plates,
+        ...(index > 0 ? {
+          laborTasks: (unitParams.laborTasks || []).filter(task => task.basis === 'unit'),
+          packaging: [],
+          shippingRateTable: null,
+        } : {}),
+      });
+      totals.cost += result.total - result.markupAmount;
+      totals.price += result.total;
+    });
+
+    return totals;
+  }
+
+  /**
+   * Vary each input up and down and measure the effect on total cost
+   * @param {Object} params - calculate() parameters for the job
+   * @param {Object} options - { percent } swing applied to each input
+   * @returns {Object} { percent, baseTotal, rows } rows sorted by largest swing first
+   */
+  analyzeSensitivity(params, options = {}) {
+    const percent = options.percent ?? CONFIG.DEFAULTS.SENSITIVITY_PERCENT;
+    const baseTotal = this.calculate(params).total;
+
+    const rows = Object.entries(CONFIG.SENSITIVITY_INPUTS).map(([key, input]) => {
+      const lowTotal = this.calculate(this._varyInput(params, key, 1 - percent / 100)).total;
+      const highTotal = this.calculate(this._varyInput(params, key, 1 + percent / 100)).total;
+
+      return {
+        key,
+        label: input.name,
+        lowTotal,
+        highTotal,
+        lowDelta: lowTotal - baseTotal,
+        highDelta: highTotal - baseTotal,
+        swing: Math.abs(highTotal - lowTotal),
+      };
+    });
+
+    rows.sort((a, b) => b.swing - a.swing);
+
+    return { percent, baseTotal, rows };
+  }
+
+  /**
+   * Scale one sensitivity input of a calculation
+   * @private
+   */
+  _varyInput(params, key, factor) {
+    switch (key) {
+      case 'printTime':
+        return { ...params, printTimeMinutes: params.printTimeMinutes * factor };
+      case 'grams':
+        return { ...params, filamentEntries: params.filamentEntries.map(e => ({ ...e, grams: e.grams * factor })) };
+      case 'filamentPrice':
+        return {
+          ...params,
+          filamentEntries: params.filamentEntries.map(e => ({
+            ...e,
+            filament: new Filament({
+              ...e.filament.toJSON(),
+              spoolPrice: e.filament.spoolPrice * factor,
+              purchases: e.filament.purchases.map(p => ({ ...p, pricePaid: p.pricePaid * factor, shipping: p.shipping * factor })),
+            }),
+          })),
+        };
+      case 'electricityRate': {
+        // Time-of-use bands move with the flat rate
+        const schedule = params.tariffSchedule;
+        return {
+          ...params,
+          electricityRate: (params.electricityRate ?? this.electricityRate) * factor,
+          tariffSchedule: schedule ? new TariffSchedule({
+            ...schedule.toJSON(),
+            bands: schedule.bands.map(band => ({ ...band, rate: band.rate * factor })),
+          }) : null,
+        };
+      }
+      case 'failureRate':
+        return { ...params, failureRate: Math.min(0.99, (params.failureRate ?? CONFIG.DEFAULTS.FAILURE_RATE) * factor) };
+      case 'laborHours':
+        return { ...params, laborTasks: (params.laborTasks || []).map(task => ({ ...task, hours: (task.hours || 0) * factor })) };
+      case 'printerPrice':
+        return { ...params, printer: new Printer({ ...params.printer.toJSON(), purchasePrice: params.printer.purchasePrice * factor }) };
+      default:
+        return params;
+    }
+  }
+
   /**
    * Quick calculation with just essential inputs
    * @param {Object} params - Simple parameters
@@ -269,6 +926,9 @@ class CostCalculation {
         marginPerUnit: marginPerUnit,
         profitable: false,
         message: 'Selling price must be higher than cost per unit',
+        fixedCosts,
+        costPerUnit,
+        pricePerUnit,
       };
     }
 
@@ -284,6 +944,86 @@ class CostCalculation {
     };
   }
 
+  /**
+   * Solve for the selling price that reaches a pricing target
+   * Works back from the cost before markup through the channel's fees and tax.
+   * @param {Object} result - Calculation result
+   * @param {Object} options - Solver options
+   * @param {string} options.target - Key from CONFIG.PRICING_TARGETS
+   * @param {number} options.value - Target value (percent, profit per unit or earnings per print hour)
+   * @param {SalesChannel} options.channel - Sales channel whose fees and tax apply (optional)
+   * @param {string} options.rounding - Key from CONFIG.PRICE_ROUNDING
+   * @returns {Object|null} Solved price, or null if fees make the target unreachable
+   */
+  solvePrice(result, options) {
+    const { target, value, channel = null, rounding = 'none' } = options;
+
+    const cost = result.total - result.markupAmount;
+    const quantity = result.quantity || 1;
+    const printHours = result.params.totalPrintMinutes / 60;
+
+    const taxMultiplier = 1 + (channel ? channel.taxRate / 100 : 0);
+    const feeRate = channel ? channel.getFeeRate() : 0;
+    const fixedFees = channel ? channel.getFixedFees() : 0;
+
+    // Net price (before tax) = (cost + profit + fixed fees) / (1 - fee share of the net price)
+    let divisor = 1 - taxMultiplier * feeRate;
+    let profit = 0;
+    switch (target) {
+      case 'margin':
+        divisor -= value / 100;
+        break;
+      case 'markup':
+        profit = cost * (value / 100);
+        break;
+      case 'profit':
+        profit = value * quantity;
+        break;
+      case 'hourly':
+        profit = value * printHours;
+        break;
+    }
+
+    if (divisor <= 0) return null;
+
+    const netPrice = (cost + profit + fixedFees) / divisor;
+    const rawPrice = channel?.taxMode === 'included' ? netPrice * taxMultiplier : netPrice;
+    const unitPrice = this.roundPrice(rawPrice / quantity, rounding);
+    const price = unitPrice * quantity;
+
+    const sale = channel ? channel.getProfit(price, cost) : { netPrice: price, profit: price - cost };
+
+    return {
+      target,
+      value,
+      rounding,
+      cost,
+      rawPrice,
+      unitPrice,
+      price,
+      profit: sale.profit,
+      marginPercent: sale.netPrice > 0 ? (sale.profit / sale.netPrice) * 100 : 0,
+      markupPercent: cost > 0 ? (sale.profit / cost) * 100 : 0,
+      hourlyEarnings: printHours > 0 ? sale.profit / printHours : 0,
+    };
+  }
+
+  /**
+   * Round a price up to a price point
+   * Always rounds up so the rounded price still meets the target.
+   * @param {number} price - Price to round
+   * @param {string} rounding - Key from CONFIG.PRICE_ROUNDING
+   * @returns {number} Rounded price (e.g., 12.30 -> 12.99 for 'end99')
+   */
+  roundPrice(price, rounding) {
+    const rule = CONFIG.PRICE_ROUNDING[rounding];
+    if (!rule || rule.step <= 0) return price;
+
+    // Small tolerance so a price already on a price point is kept
+    const steps = Math.ceil((price - rule.ending) / rule.step - 1e-9);
+    return Math.max(0, steps) * rule.step + rule.ending;
+  }
+
   /**
    * Format a cost result for display
    * @param {Object} result - Calculation result
@@ -294,10 +1034,14 @@ class CostCalculation {
 
     return {
       filament: format(result.breakdown.filament.cost),
+      waste: format(result.breakdown.waste.cost),
       electricity: format(result.breakdown.electricity.cost),
       depreciation: format(result.breakdown.depreciation.cost),
       consumables: format(result.breakdown.consumables.totalCost),
+      overhead: format(result.breakdown.overhead.cost),
       labor: format(result.breakdown.labor.cost),
+      hardware: format(result.breakdown.hardware.cost),
+      shipping: format(result.breakdown.shipping.cost),
       subtotal: format(result.subtotal),
       failureBuffer: format(result.failureBuffer),
       markup: format(result.markupAmount),
@@ -319,15 +1063,21 @@ class CostCalculation {
       gcodeFileName: options.gcodeFileName || null,
       slicerType: options.slicerType || null,
       printerId: result.params.printerId,
-      filamentId: result.params.filamentId,
-      printTimeMinutes: result.params.printTimeMinutes,
+      filamentId: result.breakdown.filament.items[0]?.id || null,
+      printTimeMinutes: result.params.totalPrintMinutes,
       filamentUsedGrams: result.params.filamentGrams,
+      filamentWasteGrams: result.breakdown.waste.grams,
+      quantity: result.quantity,
       costs: {
         filament: result.breakdown.filament.cost,
+        waste: result.breakdown.waste.cost,
         electricity: result.breakdown.electricity.cost,
         depreciation: result.breakdown.depreciation.cost,
         consumables: result.breakdown.consumables.totalCost,
+        overhead: result.breakdown.overhead.cost,
         labor: result.breakdown.labor.cost,
+        hardware: result.breakdown.hardware.cost,
+        shipping: result.breakdown.shipping.cost,
         subtotal: result.subtotal,
         failureBuffer: result.failureBuffer,
         markup: result.markupAmount,
@@ -335,16 +1085,55 @@ class CostCalculation {
       },
       calculationParams: {
         electricityRate: result.params.electricityRate,
+        startTime: result.params.startTime,
+        heatUpMinutes: result.params.heatUpMinutes,
+        idleMinutes: result.params.idleMinutes,
         failureRate: result.params.failureRate,
-        laborHourlyRate: result.params.laborHourlyRate,
-        laborHours: result.params.laborHours,
+        failureExpectedCompletion: result.params.failureExpectedCompletion,
+        overheadRatePerHour: result.params.overheadRatePerHour,
+        laborTasks: result.params.laborTasks.map(task => ({ ...task })),
         markupPercent: result.params.markupPercent,
+        unitsPerPlate: result.params.unitsPerPlate,
+        plates: result.params.plates,
+        setupMinutesPerPlate: result.params.setupMinutesPerPlate,
+        setupHourlyRate: result.params.setupHourlyRate,
+        currency: result.params.currency,
+        exchangeRates: result.params.exchangeRates.map(rate => ({ ...rate })),
+        filamentCosting: result.params.filamentCosting,
+      },
+      energy: {
+        source: result.breakdown.electricity.source,
+        kwh: result.breakdown.electricity.kwh,
+        estimatedKwh: result.breakdown.electricity.estimatedKwh,
+        estimatedPrintingKwh: result.breakdown.electricity.estimatedPrintingKwh,
+        dryingKwh: result.breakdown.electricity.drying.kwh,
+        meterStart: options.meterStart ?? null,
+        meterEnd: options.meterEnd ?? null,
       },
+      sale: options.sale || null,
+      quote: options.quote || null,
       consumablesUsed: result.breakdown.consumables.items.map(c => ({
         id: c.id,
         name: c.name,
         cost: c.cost,
       })),
+      filamentsUsed: result.breakdown.filament.items.map(f => ({
+        id: f.id,
+        name: f.name,
+        role: f.role,
+        material: f.material,
+        grams: f.grams,
+        wasteGrams: result.breakdown.waste.items.find(w => w.id === f.id)?.grams || 0,
+        cost: f.cost,
+      })),
+      tags: options.tags || [],
+      hardwareUsed: result.breakdown.hardware.items.map(h => ({
+        id: h.id,
+        name: h.name,
+        unit: h.unit,
+        quantity: h.quantity,
+        cost: h.cost,
+      })),
       status: 'calculated',
     });
   }
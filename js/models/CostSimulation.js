@@ -0,0 +1,220 @@
+/**
+ * CostSimulation Engine
+ * Monte Carlo simulation of print cost when time, weight and failure rate are uncertain
+ */
+
+class CostSimulation {
+  constructor(calculator) {
+    this.calculator = calculator;
+  }
+
+  /**
+   * Simulate the total cost of a job
+   * Each iteration draws print time, grams and failure rate from their ranges
+   * and recalculates the job. Other inputs stay fixed.
+   * @param {Object} params - calculate() parameters for the job
+   * @param {Object} ranges - { printTime, grams, failureRate } each { distribution, low, high }
+   *   printTime and grams are % of the estimate (e.g. -5 to 15), failureRate is % (e.g. 2 to 15)
+   * @param {Object} options - { iterations, bins, seed } (seed makes runs repeatable)
+   * @returns {Promise<Object>} { iterations, pointTotal, mean, min, max, p10, p50, p90, unit, histogram }
+   */
+  async run(params, ranges = CONFIG.DEFAULTS.SIMULATION_RANGES, options = {}) {
+    const iterations = Math.max(1, options.iterations ?? CONFIG.DEFAULTS.SIMULATION_ITERATIONS);
+    const random = this._createRandom(options.seed ?? null);
+    const quantity = (params.unitsPerPlate || 1) * (params.plates || 1);
+
+    const totals = [];
+    await this._repeat(iterations, () => {
+      totals.push(this.calculator.calculate(this._sampleParams(params, ranges, random)).total);
+    });
+    totals.sort((a, b) => a - b);
+
+    const p10 = this.percentile(totals, 10);
+    const p50 = this.percentile(totals, 50);
+    const p90 = this.percentile(totals, 90);
+
+    return {
+      iterations,
+      ranges: JSON.parse(JSON.stringify(ranges)),
+      pointTotal: this.calculator.calculate(params).total,
+      mean: totals.reduce((sum, t) => sum + t, 0) / iterations,
+      min: totals[0],
+      max: totals[iterations - 1],
+      p10,
+      p50,
+      p90,
+      unit: { p10: p10 / quantity, p50: p50 / quantity, p90: p90 / quantity },
+      histogram: this._buildHistogram(totals, options.bins ?? CONFIG.DEFAULTS.SIMULATION_BINS),
+    };
+  }
+
+  /**
+   * Build a quantity-tier quote priced from a simulated percentile
+   * Every quantity is simulated with the same draws so tiers stay consistent.
+   * @param {Object} params - calculate() parameters for the job
+   * @param {Object} quoteOptions - QuoteTable options { quantities, maxUnitsPerPlate, discounts }
+   * @param {Object} options - { ranges, percentile, iterations, seed }
+   * @returns {Promise<QuoteTable>} Quote whose prices are the upper bound, with point estimates alongside
+   */
+  async createQuote(params, quoteOptions = {}, options = {}) {
+    const ranges = options.ranges || CONFIG.DEFAULTS.SIMULATION_RANGES;
+    const percentile = options.percentile ?? 90;
+    const iterations = Math.max(1, options.iterations ?? CONFIG.DEFAULTS.SIMULATION_ITERATIONS);
+    const seed = options.seed ?? Date.now();
+
+    const quote = new QuoteTable({ ...quoteOptions, upperBound: { percentile, iterations } });
+
+    quote.rows = [];
+    for (const quantity of quote.quantities) {
+      const point = this.calculator.getQuoteTotals(params, quantity, quote.maxUnitsPerPlate);
+      const random = this._createRandom(seed);
+      const costs = [];
+      const prices = [];
+
+      await this._repeat(iterations, () => {
+        const totals = this.calculator.getQuoteTotals(this._sampleParams(params, ranges, random), quantity, quote.maxUnitsPerPlate);
+        costs.push(totals.cost);
+        prices.push(totals.price);
+      });
+      costs.sort((a, b) => a - b);
+      prices.sort((a, b) => a - b);
+
+      const upper = { cost: this.percentile(costs, percentile), price: this.percentile(prices, percentile) };
+      quote.rows.push(quote.buildRow(quantity, point.plates, upper, point));
+    }
+
+    return quote;
+  }
+
+  /**
+   * Get a percentile of sorted values (linear interpolation between ranks)
+   * @param {number[]} sorted - Values in ascending order
+   * @param {number} p - Percentile (0-100)
+   * @returns {number} Value at the percentile
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  }
+
+  /**
+   * Call a function a number of times in batches, yielding to the browser
+   * between batches so the page stays responsive
+   * @private
+   */
+  async _repeat(count, fn) {
+    const batchSize = CONFIG.DEFAULTS.SIMULATION_BATCH_SIZE;
+    for (let i = 0; i < count; i++) {
+      fn(i);
+      if ((i + 1) % batchSize === 0 && i + 1 < count) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+  }
+
+  /**
+   * Draw one set of uncertain inputs and apply them to the job
+   * @private
+   */
+  _sampleParams(params, ranges, random) {
+    const timeFactor = ranges.printTime
+      ? Math.max(0, this._draw(ranges.printTime, 1, 1 + ranges.printTime.low / 100, 1 + ranges.printTime.high / 100, random))
+      : 1;
+    const gramsFactor = ranges.grams
+      ? Math.max(0, this._draw(ranges.grams, 1, 1 + ranges.grams.low / 100, 1 + ranges.grams.high / 100, random))
+      : 1;
+
+    const failureRate = params.failureRate ?? CONFIG.DEFAULTS.FAILURE_RATE;
+    const sampledFailureRate = ranges.failureRate
+      ? Math.min(0.99, Math.max(0, this._draw(ranges.failureRate, failureRate, ranges.failureRate.low / 100, ranges.failureRate.high / 100, random)))
+      : failureRate;
+
+    return {
+      ...params,
+      printTimeMinutes: params.printTimeMinutes * timeFactor,
+      filamentEntries: params.filamentEntries.map(e => ({ ...e, grams: e.grams * gramsFactor })),
+      failureRate: sampledFailureRate,
+    };
+  }
+
+  /**
+   * Draw a value from a range, with the estimate as the most likely value
+   * @private
+   */
+  _draw(range, estimate, low, high, random) {
+    const a = Math.min(low, high);
+    const b = Math.max(low, high);
+    const mode = Math.min(b, Math.max(a, estimate));
+    if (b === a) return a;
+
+    const u = random();
+
+    switch (range.distribution) {
+      case 'uniform':
+        return a + u * (b - a);
+      case 'normal': {
+        // low/high hold the middle 90% of outcomes
+        const sigma = (b - a) / (2 * 1.645);
+        const z = Math.sqrt(-2 * Math.log(1 - u)) * Math.cos(2 * Math.PI * random());
+        return mode + z * sigma;
+      }
+      case 'triangular':
+      default: {
+        const split = (mode - a) / (b - a);
+        if (u < split) {
+          return a + Math.sqrt(u * (b - a) * (mode - a));
+        }
+        return b - Math.sqrt((1 - u) * (b - a) * (b - mode));
+      }
+    }
+  }
+
+  /**
+   * Group sorted totals into equal-width bins
+   * @private
+   */
+  _buildHistogram(sorted, binCount) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const count = max > min ? Math.max(1, binCount) : 1;
+    const width = (max - min) / count;
+
+    const bins = Array.from({ length: count }, (_, i) => ({
+      from: min + i * width,
+      to: i === count - 1 ? max : min + (i + 1) * width,
+      count: 0,
+    }));
+
+    sorted.forEach(total => {
+      const index = width > 0 ? Math.min(count - 1, Math.floor((total - min) / width)) : 0;
+      bins[index].count++;
+    });
+
+    return bins;
+  }
+
+  /**
+   * Create a random number generator (seeded runs are repeatable)
+   * @private
+   */
+  _createRandom(seed) {
+    if (seed === null) return Math.random;
+
+    // mulberry32
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+// Create singleton instance
+const costSimulator = new CostSimulation(costCalculator);
@@ -0,0 +1,82 @@
+/**
+ * Dryer Model
+ * Represents a filament dryer used to dry spools before printing
+ */
+
+class Dryer {
+  constructor(data = {}) {
+    this.id = data.id || crypto.randomUUID();
+    this.name = data.name || '';
+    this.brand = data.brand || '';
+
+    // Power draw while drying (in watts)
+    this.wattage = data.wattage ?? 50;
+
+    // Depreciation
+    this.purchasePrice = data.purchasePrice ?? 0;
+    this.currency = data.currency || null; // purchase price currency (null = base currency)
+    this.estimatedLifetimeHours = data.estimatedLifetimeHours ?? 5000;
+
+    // Metadata
+    this.notes = data.notes || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Get display name
+   * @returns {string} Brand and name
+   */
+  getDisplayName() {
+    if (this.brand && this.name) {
+      return `${this.brand} ${this.name}`;
+    }
+    return this.name || this.brand || 'Unnamed Dryer';
+  }
+
+  /**
+   * Calculate depreciation per hour of drying
+   * @returns {number} Depreciation cost per hour
+   */
+  getDepreciationPerHour() {
+    if (this.estimatedLifetimeHours <= 0) return 0;
+    return this.purchasePrice / this.estimatedLifetimeHours;
+  }
+
+  /**
+   * Calculate energy used for a drying run
+   * @param {number} hours - Drying time in hours
+   * @returns {number} Energy in kWh
+   */
+  getEnergyKwh(hours) {
+    return (this.wattage / 1000) * hours;
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      brand: this.brand,
+      wattage: this.wattage,
+      purchasePrice: this.purchasePrice,
+      currency: this.currency,
+      estimatedLifetimeHours: this.estimatedLifetimeHours,
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create Dryer from plain object
+   * @param {Object} data - Plain object
+   * @returns {Dryer} Dryer instance
+   */
+  static fromJSON(data) {
+    return new Dryer(data);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * ExchangeRateTable Model
+ * Represents user-maintained exchange rates into the base currency, each from an effective date
+ */
+
+class ExchangeRateTable {
+  constructor(data = {}) {
+    // Base currency the rates were entered against (null = the current base currency)
+    this.base = data.base || null;
+
+    // Rates as base currency units per one unit of the currency (dates are "YYYY-MM-DD")
+    this.rates = (data.rates || []).map(rate => ({
+      id: rate.id || crypto.randomUUID(),
+      currency: rate.currency || 'EUR',
+      rate: rate.rate ?? 1,
+      effectiveDate: rate.effectiveDate || Formatters.isoDate(new Date()),
+    }));
+  }
+
+  /**
+   * Get the rate in effect for a currency on a date (latest effective date on or before it)
+   * @param {string|null} currency - Currency code (null = base currency)
+   * @param {Date|string} date - Date the rate should apply on
+   * @param {string} base - Base currency code
+   * @returns {Object|null} { currency, rate, effectiveDate }, rate 1 for the base currency, or null if no rate applies
+   */
+  getRate(currency, date = new Date(), base = CONFIG.CURRENCY.code) {
+    if (!currency || currency === base) {
+      return { currency: base, rate: 1, effectiveDate: null };
+    }
+
+    // Rates entered against another base currency don't apply
+    if (!this.isBase(base)) {
+      return null;
+    }
+
+    const day = Formatters.isoDate(date);
+    const rate = this.rates
+      .filter(r => r.currency === currency && r.effectiveDate <= day)
+      .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0];
+
+    return rate ? { currency, rate: rate.rate, effectiveDate: rate.effectiveDate } : null;
+  }
+
+  /**
+   * Check if the rates are against a base currency
+   * @param {string} base - Base currency code
+   * @returns {boolean} True if the rates are against it
+   */
+  isBase(base = CONFIG.CURRENCY.code) {
+    return !this.base || this.base === base;
+  }
+
+  /**
+   * Convert the rates to be against a new base currency
+   * Needs a rate for the new base: each rate becomes its value divided by the
+   * new base's rate in effect on the day either changed, and the old base gets
+   * a rate of its own. Rates from before the first rate for the new base are dropped.
+   * @param {string} newBase - New base currency code
+   * @param {string} oldBase - Base currency the rates are against if not recorded
+   * @returns {boolean} True if converted (or already against the new base)
+   */
+  rebase(newBase, oldBase = CONFIG.CURRENCY.code) {
+    const from = this.base || oldBase;
+    if (from === newBase) {
+      this.base = newBase;
+      return true;
+    }
+
+    const baseRates = this.rates.filter(r => r.currency === newBase);
+    if (baseRates.length === 0) {
+      this.base = from;
+      return false;
+    }
+
+    const days = [...new Set(this.rates.map(r => r.effectiveDate))].sort();
+    const currencies = [...new Set(this.rates.map(r => r.currency))].filter(code => code !== newBase && code !== from);
+    const rates = [];
+
+    days.forEach(day => {
+      const baseRate = this.getRate(newBase, day, from);
+      if (!baseRate) return;
+      const baseChanged = baseRate.effectiveDate === day;
+
+      if (baseChanged) {
+        rates.push({ currency: from, rate: Helpers.round(1 / baseRate.rate, 6), effectiveDate: day });
+      }
+      currencies.forEach(code => {
+        const rate = this.getRate(code, day, from);
+        if (rate && (baseChanged || rate.effectiveDate === day)) {
+          rates.push({ currency: code, rate: Helpers.round(rate.rate / baseRate.rate, 6), effectiveDate: day });
+        }
+      });
+    });
+
+    this.rates = new ExchangeRateTable({ rates }).rates;
+    this.base = newBase;
+    return true;
+  }
+
+  /**
+   * Convert an amount into the base currency
+   * @param {number} amount - Amount in the given currency
+   * @param {string|null} currency - Currency code (null = base currency)
+   * @param {Date|string} date - Date the rate should apply on
+   * @returns {number|null} Amount in the base currency, or null if no rate applies
+   */
+  convert(amount, currency, date = new Date()) {
+    const rate = this.getRate(currency, date);
+    return rate ? amount * rate.rate : null;
+  }
+
+  /**
+   * Add a rate to the table
+   * @param {Object} rate - { currency, rate, effectiveDate }
+   */
+  addRate(rate = {}) {
+    this.rates.push(new ExchangeRateTable({ rates: [rate] }).rates[0]);
+  }
+
+  /**
+   * Remove a rate from the table
+   * @param {string} rateId - Rate ID to remove
+   */
+  removeRate(rateId) {
+    this.rates = this.rates.filter(r => r.id !== rateId);
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      base: this.base,
+      rates: this.rates.map(r => ({ ...r })),
+    };
+  }
+
+  /**
+   * Create ExchangeRateTable from plain object
+   * @param {Object} data - Plain object
+   * @returns {ExchangeRateTable} ExchangeRateTable instance
+   */
+  static fromJSON(data) {
+    return new ExchangeRateTable(data || {});
+  }
+}
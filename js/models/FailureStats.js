@@ -0,0 +1,130 @@
+/**
+ * FailureStats Model
+ * Learns failure rates from the outcomes of prints in history
+ */
+
+class FailureStats {
+  /**
+   * @param {PrintJob[]} jobs - Print history
+   * @param {Object} options - { minSamples } outcomes needed before a rate is trusted
+   */
+  constructor(jobs = [], options = {}) {
+    this.minSamples = options.minSamples ?? CONFIG.DEFAULTS.FAILURE_MIN_SAMPLES;
+
+    // Only prints with a known outcome count
+    this.outcomes = jobs.filter(job => job.status === 'completed' || job.status === 'failed');
+  }
+
+  /**
+   * Count outcomes matching a filter
+   * @private
+   */
+  _count(predicate) {
+    const matching = this.outcomes.filter(predicate);
+    const failed = matching.filter(job => job.status === 'failed').length;
+
+    return {
+      failed,
+      total: matching.length,
+      rate: matching.length > 0 ? failed / matching.length : 0,
+      sufficient: matching.length >= this.minSamples,
+    };
+  }
+
+  /**
+   * Get the learned failure rate for a job
+   * Uses the most specific scope with enough outcomes:
+   * printer + material, tag, printer, material, then all prints.
+   * @param {Object} job - { printerId, materials, tags }
+   * @returns {Object|null} { rate, failed, total, scope, label } or null if no scope has enough outcomes
+   */
+  getRate({ printerId = null, materials = [], tags = [] } = {}) {
+    const hasMaterial = (job) => materials.some(m => job.getMaterials().includes(m));
+    const materialLabel = materials.join(' + ');
+
+    const scopes = [];
+    if (printerId && materials.length > 0) {
+      scopes.push({ scope: 'printer-material', label: 'this printer and material', filter: job => job.printerId === printerId && hasMaterial(job) });
+    }
+    if (tags.length > 0) {
+      scopes.push({ scope: 'tag', label: `tag "${tags.join('", "')}"`, filter: job => tags.some(t => job.tags.includes(t)) });
+    }
+    if (printerId) {
+      scopes.push({ scope: 'printer', label: 'this printer', filter: job => job.printerId === printerId });
+    }
+    if (materials.length > 0) {
+      scopes.push({ scope: 'material', label: materialLabel, filter: hasMaterial });
+    }
+    scopes.push({ scope: 'all', label: 'all prints', filter: () => true });
+
+    for (const { scope, label, filter } of scopes) {
+      const stats = this._count(filter);
+      if (stats.sufficient) {
+        return { rate: stats.rate, failed: stats.failed, total: stats.total, scope, label };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get failure rates broken down by printer, material or tag
+   * @param {string} dimension - 'printer', 'material' or 'tag'
+   * @returns {Array} Array of { key, failed, total, rate, sufficient }, most outcomes first
+   */
+  getBreakdown(dimension) {
+    const keys = new Set();
+    this.outcomes.forEach(job => {
+      if (dimension === 'printer' && job.printerId) keys.add(job.printerId);
+      if (dimension === 'material') job.getMaterials().forEach(m => keys.add(m));
+      if (dimension === 'tag') job.tags.forEach(t => keys.add(t));
+    });
+
+    const filters = {
+      printer: key => job => job.printerId === key,
+      material: key => job => job.getMaterials().includes(key),
+      tag: key => job => job.tags.includes(key),
+    };
+
+    return Array.from(keys)
+      .map(key => ({ key, ...this._count(filters[dimension](key)) }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Get where failed prints stopped, learned from failures with a recorded completion
+   * Uses this printer's failures when there are enough, otherwise all failures.
+   * @param {Object} job - { printerId }
+   * @returns {Object|null} { distribution, buckets, total, expectedCompletion, label } or null if too few failures
+   */
+  getFailurePoints({ printerId = null } = {}) {
+    const recorded = this.outcomes.filter(job => job.status === 'failed' && job.percentCompleted !== null);
+    const printerFailures = recorded.filter(job => job.printerId === printerId);
+
+    const useful = printerId && printerFailures.length >= this.minSamples ? printerFailures : recorded;
+    if (useful.length < this.minSamples) return null;
+
+    const buckets = Object.fromEntries(Object.keys(CONFIG.FAILURE_POINTS).map(key => [key, 0]));
+    useful.forEach(job => {
+      const key = Object.keys(CONFIG.FAILURE_POINTS)
+        .find(k => job.percentCompleted <= CONFIG.FAILURE_POINTS[k].max) || 'late';
+      buckets[key]++;
+    });
+
+    return {
+      distribution: useful.map(job => ({ percentCompleted: job.percentCompleted, share: 1 })),
+      buckets,
+      total: useful.length,
+      expectedCompletion: useful.reduce((sum, job) => sum + job.percentCompleted, 0) / useful.length / 100,
+      label: useful === printerFailures ? 'this printer' : 'all printers',
+    };
+  }
+
+  /**
+   * Get the overall failure rate across all outcomes
+   * @returns {Object} { failed, total, rate, sufficient }
+   */
+  getOverall() {
+    return this._count(() => true);
+  }
+}
@@ -19,6 +19,15 @@ class Filament {
     // Pricing
     this.spoolWeight = data.spoolWeight ?? 1000; // grams per spool
     this.spoolPrice = data.spoolPrice ?? 25;     // price per spool
+    this.currency = data.currency || null;       // spool price currency (null = base currency)
+
+    // Purchase log, oldest first (price paid is for all spools, in the filament's currency)
+    this.purchases = (data.purchases || [])
+      .map(purchase => Filament.normalizePurchase(purchase))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    // Grams drawn from purchased stock by saved jobs since the first purchase was logged (FIFO position)
+    this.consumedGrams = data.consumedGrams ?? 0;
 
     // Temperature settings (for reference)
     this.printTemp = {
@@ -34,6 +43,9 @@ class Filament {
     this.inStock = data.inStock ?? 0;           // grams remaining
     this.spoolsInStock = data.spoolsInStock ?? 0;
 
+    // Physical spools, each weighed on its own
+    this.spools = (data.spools || []).map(spool => Spool.fromJSON(spool));
+
     // Metadata
     this.notes = data.notes || '';
     this.createdAt = data.createdAt || new Date().toISOString();
@@ -66,20 +78,114 @@ class Filament {
 
   /**
    * Calculate price per gram
+   * Without purchases every method uses the spool price.
+   * @param {string} method - Costing method key from CONFIG.FILAMENT_COSTING_METHODS
+   * @param {number} grams - Grams the job draws (FIFO prices these from the oldest stock left)
+   * @param {number} skipGrams - Grams already drawn by earlier entries of the same job
    * @returns {number} Price per gram
    */
-  getPricePerGram() {
+  getPricePerGram(method = 'latest', grams = 0, skipGrams = 0) {
     if (this.spoolWeight <= 0) return 0;
-    return this.spoolPrice / this.spoolWeight;
+
+    const lots = this.getPurchaseLots();
+    if (lots.length === 0) {
+      return this.spoolPrice / this.spoolWeight;
+    }
+
+    switch (method) {
+      case 'average': {
+        const totalGrams = lots.reduce((sum, lot) => sum + lot.grams, 0);
+        const totalCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+        return totalGrams > 0 ? totalCost / totalGrams : 0;
+      }
+      case 'fifo':
+        return this._getFifoPricePerGram(lots, grams, skipGrams);
+      case 'latest':
+      default: {
+        const latest = lots[lots.length - 1];
+        return latest.grams > 0 ? latest.cost / latest.grams : 0;
+      }
+    }
+  }
+
+  /**
+   * Average price of the next grams out of stock, oldest purchase first
+   * Grams beyond the purchased stock are priced at the latest purchase.
+   * @private
+   */
+  _getFifoPricePerGram(lots, grams, skipGrams) {
+    const latest = lots[lots.length - 1];
+    const latestPrice = latest.grams > 0 ? latest.cost / latest.grams : 0;
+    // Price the next gram when the job draws nothing
+    let remaining = grams > 0 ? grams : 1;
+    let skip = this.consumedGrams + skipGrams;
+    let cost = 0;
+    let drawn = 0;
+
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      const available = lot.grams - skip;
+      skip = Math.max(0, -available);
+      if (available <= 0 || lot.grams <= 0) continue;
+
+      const take = Math.min(available, remaining);
+      cost += take * (lot.cost / lot.grams);
+      drawn += take;
+      remaining -= take;
+    }
+
+    cost += remaining * latestPrice;
+    drawn += remaining;
+    return cost / drawn;
+  }
+
+  /**
+   * Get purchases as stock lots, oldest first
+   * @returns {Array} Array of { id, date, grams, cost }
+   */
+  getPurchaseLots() {
+    return this.purchases.map(purchase => ({
+      id: purchase.id,
+      date: purchase.date,
+      grams: purchase.spools * this.spoolWeight,
+      cost: purchase.pricePaid + purchase.shipping,
+    }));
+  }
+
+  /**
+   * Get grams bought that saved jobs have not used yet
+   * @returns {number} Grams left from purchases
+   */
+  getPurchasedGramsLeft() {
+    const bought = this.getPurchaseLots().reduce((sum, lot) => sum + lot.grams, 0);
+    return Math.max(0, bought - this.consumedGrams);
+  }
+
+  /**
+   * Get grams saved jobs have drawn from one purchase (FIFO, oldest first)
+   * @param {string} purchaseId - Purchase ID
+   * @returns {number} Grams used from that purchase
+   * @private
+   */
+  _getConsumedFromPurchase(purchaseId) {
+    let before = 0;
+    for (const lot of this.getPurchaseLots()) {
+      if (lot.id === purchaseId) {
+        return Helpers.clamp(this.consumedGrams - before, 0, lot.grams);
+      }
+      before += lot.grams;
+    }
+    return 0;
   }
 
   /**
    * Calculate filament cost for a given weight
    * @param {number} grams - Weight in grams
+   * @param {string} method - Costing method key from CONFIG.FILAMENT_COSTING_METHODS
    * @returns {number} Cost
    */
-  getCost(grams) {
-    return grams * this.getPricePerGram();
+  getCost(grams, method = 'latest') {
+    return grams * this.getPricePerGram(method, grams);
   }
 
   /**
@@ -149,11 +255,14 @@ class Filament {
   }
 
   /**
-   * Deduct filament from inventory
+   * Deduct filament from inventory (and from purchased stock once purchases are logged)
    * @param {number} grams - Grams used
    */
   useFilament(grams) {
     this.inStock = Math.max(0, this.inStock - grams);
+    if (this.purchases.length > 0) {
+      this.consumedGrams += grams;
+    }
     this.updatedAt = new Date().toISOString();
   }
 
@@ -167,6 +276,106 @@ class Filament {
     this.updatedAt = new Date().toISOString();
   }
 
+  /**
+   * Log a purchase and add its spools to inventory
+   * The first purchase logged starts the FIFO position at its oldest gram.
+   * @param {Object} purchase - { date, spools, pricePaid, shipping }
+   */
+  addPurchase(purchase = {}) {
+    if (this.purchases.length === 0) {
+      this.consumedGrams = 0;
+    }
+    const entry = Filament.normalizePurchase(purchase);
+    this.purchases = [...this.purchases, entry].sort((a, b) => a.date.localeCompare(b.date));
+    this.addSpools(entry.spools);
+  }
+
+  /**
+   * Change a logged purchase, adjusting inventory by the difference in spools.
+   * Shrinking it drops any grams used beyond its new size from the FIFO position.
+   * @param {Object} purchase - { id, date, spools, pricePaid, shipping }
+   */
+  updatePurchase(purchase) {
+    const old = this.purchases.find(p => p.id === purchase.id);
+    if (!old) return;
+
+    const entry = Filament.normalizePurchase(purchase);
+    const spools = entry.spools - old.spools;
+    const used = this._getConsumedFromPurchase(old.id);
+    this.consumedGrams -= Math.max(0, used - entry.spools * this.spoolWeight);
+    this.purchases = this.purchases.map(p => (p.id === entry.id ? entry : p)).sort((a, b) => a.date.localeCompare(b.date));
+    this.spoolsInStock = Math.max(0, this.spoolsInStock + spools);
+    this.inStock = Math.max(0, this.inStock + spools * this.spoolWeight);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Remove a purchase from the log and take its spools back out of inventory.
+   * Grams saved jobs drew from it leave the FIFO position with it.
+   * @param {string} purchaseId - Purchase ID to remove
+   */
+  removePurchase(purchaseId) {
+    const purchase = this.purchases.find(p => p.id === purchaseId);
+    if (!purchase) return;
+
+    this.consumedGrams -= this._getConsumedFromPurchase(purchaseId);
+    this.purchases = this.purchases.filter(p => p.id !== purchaseId);
+    this.spoolsInStock = Math.max(0, this.spoolsInStock - purchase.spools);
+    this.inStock = Math.max(0, this.inStock - purchase.spools * this.spoolWeight);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get a physical spool
+   * @param {string} spoolId - Spool ID
+   * @returns {Spool|null} Spool or null
+   */
+  getSpool(spoolId) {
+    return this.spools.find(s => s.id === spoolId) || null;
+  }
+
+  /**
+   * Add a physical spool (full unless a net weight is given)
+   * @param {Object} data - Spool data
+   * @returns {Spool} The new spool
+   */
+  addSpool(data = {}) {
+    const spool = new Spool({ netWeight: this.spoolWeight, ...data });
+    this.spools.push(spool);
+    this.updatedAt = new Date().toISOString();
+    return spool;
+  }
+
+  /**
+   * Remove a physical spool
+   * @param {string} spoolId - Spool ID to remove
+   */
+  removeSpool(spoolId) {
+    this.spools = this.spools.filter(s => s.id !== spoolId);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get spools that still have filament, opened ones first (oldest opened first)
+   * @returns {Spool[]} Spools with filament left
+   */
+  getActiveSpools() {
+    return this.spools
+      .filter(s => !s.isEmpty())
+      .sort((a, b) => {
+        if (!!a.openedDate !== !!b.openedDate) return a.openedDate ? -1 : 1;
+        return (a.openedDate || a.createdAt).localeCompare(b.openedDate || b.createdAt);
+      });
+  }
+
+  /**
+   * Get filament left on all spools
+   * @returns {number} Grams
+   */
+  getSpoolGrams() {
+    return this.spools.reduce((sum, s) => sum + s.netWeight, 0);
+  }
+
   /**
    * Check if filament is considered abrasive (wears nozzles faster)
    * @returns {boolean} True if abrasive
@@ -195,16 +404,35 @@ class Filament {
       density: this.density,
       spoolWeight: this.spoolWeight,
       spoolPrice: this.spoolPrice,
+      currency: this.currency,
+      purchases: this.purchases.map(p => ({ ...p })),
+      consumedGrams: this.consumedGrams,
       printTemp: { ...this.printTemp },
       bedTemp: { ...this.bedTemp },
       inStock: this.inStock,
       spoolsInStock: this.spoolsInStock,
+      spools: this.spools.map(s => s.toJSON()),
       notes: this.notes,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
   }
 
+  /**
+   * Fill in defaults for a purchase log entry
+   * @param {Object} purchase - { id, date, spools, pricePaid, shipping }
+   * @returns {Object} Purchase entry
+   */
+  static normalizePurchase(purchase = {}) {
+    return {
+      id: purchase.id || crypto.randomUUID(),
+      date: purchase.date || Formatters.isoDate(new Date()),
+      spools: purchase.spools ?? 1,
+      pricePaid: purchase.pricePaid ?? 0,
+      shipping: purchase.shipping ?? 0,
+    };
+  }
+
   /**
    * Create Filament from plain object
    * @param {Object} data - Plain object
@@ -0,0 +1,128 @@
+/**
+ * HardwareItem Model
+ * Represents non-printed parts and finishing supplies (inserts, magnets, screws, paint)
+ */
+
+class HardwareItem {
+  constructor(data = {}) {
+    this.id = data.id || crypto.randomUUID();
+    this.name = data.name || '';
+    this.category = data.category || 'other';
+    this.unit = data.unit || this._getDefaultUnit();
+    this.supplier = data.supplier || '';
+
+    // Cost per unit (per piece, ml, g...)
+    this.unitPrice = data.unitPrice ?? 0;
+
+    // Stock tracking
+    this.inStock = data.inStock ?? 0;
+    this.lowStockThreshold = data.lowStockThreshold ?? 0;
+
+    // Metadata
+    this.notes = data.notes || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Get default unit based on category
+   * @private
+   */
+  _getDefaultUnit() {
+    return CONFIG.HARDWARE_CATEGORIES[this.category]?.unit || 'pcs';
+  }
+
+  /**
+   * Get display name (custom name or category name)
+   * @returns {string} Display name
+   */
+  getDisplayName() {
+    return this.name || this.getCategoryName();
+  }
+
+  /**
+   * Get the category name
+   * @returns {string} Category name
+   */
+  getCategoryName() {
+    return CONFIG.HARDWARE_CATEGORIES[this.category]?.name || 'Other';
+  }
+
+  /**
+   * Calculate cost for a quantity
+   * @param {number} quantity - Units used
+   * @returns {number} Cost
+   */
+  getCost(quantity) {
+    return this.unitPrice * quantity;
+  }
+
+  /**
+   * Check if stock is at or below the low-stock threshold
+   * @returns {boolean} True if stock is low
+   */
+  isLowStock() {
+    return this.inStock <= this.lowStockThreshold;
+  }
+
+  /**
+   * Deduct used units from stock
+   * @param {number} quantity - Units used
+   */
+  useStock(quantity) {
+    this.inStock = Math.max(0, this.inStock - quantity);
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Add units to stock
+   * @param {number} quantity - Units to add
+   */
+  addStock(quantity) {
+    this.inStock += quantity;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get stock status for display
+   * @returns {Object} Status info { label, class }
+   */
+  getStockStatus() {
+    if (this.inStock <= 0) {
+      return { label: 'Out of Stock', class: 'error' };
+    }
+    if (this.isLowStock()) {
+      return { label: 'Low Stock', class: 'warning' };
+    }
+    return { label: 'In Stock', class: 'success' };
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      category: this.category,
+      unit: this.unit,
+      supplier: this.supplier,
+      unitPrice: this.unitPrice,
+      inStock: this.inStock,
+      lowStockThreshold: this.lowStockThreshold,
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create HardwareItem from plain object
+   * @param {Object} data - Plain object
+   * @returns {HardwareItem} HardwareItem instance
+   */
+  static fromJSON(data) {
+    return new HardwareItem(data);
+  }
+}
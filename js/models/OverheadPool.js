@@ -0,0 +1,80 @@
+/**
+ * OverheadPool Model
+ * Represents the monthly fixed costs of the shop (rent, software, insurance)
+ * spread over the machine hours expected each month
+ */
+
+class OverheadPool {
+  constructor(data = {}) {
+    // Monthly fixed costs
+    this.items = (data.items || []).map(item => ({
+      id: item.id || crypto.randomUUID(),
+      name: item.name || '',
+      monthlyCost: item.monthlyCost ?? 0,
+    }));
+
+    // Print hours the costs are spread over each month (all printers together)
+    this.expectedMonthlyHours = data.expectedMonthlyHours ?? CONFIG.DEFAULTS.OVERHEAD_MONTHLY_HOURS;
+  }
+
+  /**
+   * Get the total fixed costs per month
+   * @returns {number} Monthly total
+   */
+  getMonthlyTotal() {
+    return this.items.reduce((sum, item) => sum + item.monthlyCost, 0);
+  }
+
+  /**
+   * Get the overhead rate charged per machine hour
+   * @returns {number} Overhead per print hour
+   */
+  getRatePerHour() {
+    if (this.expectedMonthlyHours <= 0) return 0;
+    return this.getMonthlyTotal() / this.expectedMonthlyHours;
+  }
+
+  /**
+   * Check if the pool should be used for calculations
+   * @returns {boolean} True if there are costs to spread over a positive number of hours
+   */
+  isActive() {
+    return this.getRatePerHour() > 0;
+  }
+
+  /**
+   * Add a fixed cost to the pool
+   * @param {Object} item - { name, monthlyCost }
+   */
+  addItem(item = {}) {
+    this.items.push(new OverheadPool({ items: [item] }).items[0]);
+  }
+
+  /**
+   * Remove a fixed cost from the pool
+   * @param {string} itemId - Item ID to remove
+   */
+  removeItem(itemId) {
+    this.items = this.items.filter(i => i.id !== itemId);
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      items: this.items.map(i => ({ ...i })),
+      expectedMonthlyHours: this.expectedMonthlyHours,
+    };
+  }
+
+  /**
+   * Create OverheadPool from plain object
+   * @param {Object} data - Plain object
+   * @returns {OverheadPool} OverheadPool instance
+   */
+  static fromJSON(data) {
+    return new OverheadPool(data || {});
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * PackagingItem Model
+ * Represents a box, mailer, padding, label or other packing supply
+ */
+
+class PackagingItem {
+  constructor(data = {}) {
+    this.id = data.id || crypto.randomUUID();
+    this.name = data.name || '';
+    this.type = data.type || 'box';
+
+    // Cost per unit used
+    this.unitPrice = data.unitPrice ?? 0;
+
+    // Weight added to the parcel (counts toward the shipping weight band)
+    this.weightGrams = data.weightGrams ?? 0;
+
+    // Inside dimensions in mm (boxes and mailers)
+    this.dimensions = {
+      length: data.dimensions?.length ?? 0,
+      width: data.dimensions?.width ?? 0,
+      height: data.dimensions?.height ?? 0,
+    };
+
+    // Metadata
+    this.notes = data.notes || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Get display name (custom name or type name)
+   * @returns {string} Display name
+   */
+  getDisplayName() {
+    return this.name || this.getTypeName();
+  }
+
+  /**
+   * Get the packaging type name
+   * @returns {string} Type name
+   */
+  getTypeName() {
+    return CONFIG.PACKAGING_TYPES[this.type]?.name || 'Other';
+  }
+
+  /**
+   * Check if dimensions have been entered
+   * @returns {boolean} True if all three dimensions are set
+   */
+  hasDimensions() {
+    const { length, width, height } = this.dimensions;
+    return length > 0 && width > 0 && height > 0;
+  }
+
+  /**
+   * Get dimensions for display
+   * @returns {string} Dimensions (e.g., "200 × 150 × 100 mm") or empty string
+   */
+  getDimensionsLabel() {
+    if (!this.hasDimensions()) return '';
+    const { length, width, height } = this.dimensions;
+    return `${length} × ${width} × ${height} mm`;
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      unitPrice: this.unitPrice,
+      weightGrams: this.weightGrams,
+      dimensions: { ...this.dimensions },
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create PackagingItem from plain object
+   * @param {Object} data - Plain object
+   * @returns {PackagingItem} PackagingItem instance
+   */
+  static fromJSON(data) {
+    return new PackagingItem(data);
+  }
+}
@@ -18,10 +18,14 @@ class PrintJob {
     this.printerId = data.printerId || null;
     this.filamentId = data.filamentId || null;
 
-    // Print parameters (from slicer or manual entry)
+    // Print parameters (from slicer or manual entry, totals for all plates)
     this.printTimeMinutes = data.printTimeMinutes ?? 0;
     this.filamentUsedGrams = data.filamentUsedGrams ?? 0;
     this.filamentUsedMeters = data.filamentUsedMeters ?? 0;
+    this.filamentWasteGrams = data.filamentWasteGrams ?? 0; // Purge, flush and prime tower
+
+    // Units produced by the job (units per plate × plates)
+    this.quantity = data.quantity ?? 1;
 
     // Additional print info (from G-code if available)
     this.layerHeight = data.layerHeight || null;
@@ -31,31 +35,87 @@ class PrintJob {
     // Cost breakdown
     this.costs = {
       filament: data.costs?.filament ?? 0,
+      waste: data.costs?.waste ?? 0,
       electricity: data.costs?.electricity ?? 0,
       depreciation: data.costs?.depreciation ?? 0,
       consumables: data.costs?.consumables ?? 0,
+      overhead: data.costs?.overhead ?? 0,
       labor: data.costs?.labor ?? 0,
+      hardware: data.costs?.hardware ?? 0,
+      shipping: data.costs?.shipping ?? 0,
       subtotal: data.costs?.subtotal ?? 0,
       failureBuffer: data.costs?.failureBuffer ?? 0,
       markup: data.costs?.markup ?? 0,
       total: data.costs?.total ?? 0,
     };
 
-    // Calculation parameters used
+    // Calculation parameters used (jobs saved before labor tasks had a single rate and time)
+    const legacyLabor = data.calculationParams?.laborHours > 0 ? [{
+      name: 'Labor',
+      hourlyRate: data.calculationParams.laborHourlyRate ?? 0,
+      hours: data.calculationParams.laborHours,
+      basis: 'job',
+    }] : [];
     this.calculationParams = {
       electricityRate: data.calculationParams?.electricityRate ?? 0.15,
+      startTime: data.calculationParams?.startTime ?? null,
+      heatUpMinutes: data.calculationParams?.heatUpMinutes ?? 0,
+      idleMinutes: data.calculationParams?.idleMinutes ?? 0,
       failureRate: data.calculationParams?.failureRate ?? CONFIG.DEFAULTS.FAILURE_RATE,
-      laborHourlyRate: data.calculationParams?.laborHourlyRate ?? 0,
-      laborHours: data.calculationParams?.laborHours ?? 0,
+      failureExpectedCompletion: data.calculationParams?.failureExpectedCompletion ?? null, // null = whole job
+      overheadRatePerHour: data.calculationParams?.overheadRatePerHour ?? 0,
+      laborTasks: (data.calculationParams?.laborTasks || legacyLabor).map(task => ({ ...task })),
       markupPercent: data.calculationParams?.markupPercent ?? 0,
+      unitsPerPlate: data.calculationParams?.unitsPerPlate ?? 1,
+      plates: data.calculationParams?.plates ?? 1,
+      setupMinutesPerPlate: data.calculationParams?.setupMinutesPerPlate ?? 0,
+      setupHourlyRate: data.calculationParams?.setupHourlyRate ?? data.calculationParams?.laborHourlyRate ?? 0,
+      currency: data.calculationParams?.currency ?? null, // costs currency (null = base currency)
+      exchangeRates: (data.calculationParams?.exchangeRates || []).map(rate => ({ ...rate })), // { currency, rate, effectiveDate }
+      filamentCosting: data.calculationParams?.filamentCosting ?? 'latest',
+    };
+
+    // Energy used ('estimated' from wattage or 'measured' from a meter/smart plug)
+    this.energy = {
+      source: data.energy?.source || 'estimated',
+      kwh: data.energy?.kwh ?? 0,
+      estimatedKwh: data.energy?.estimatedKwh ?? 0,
+      estimatedPrintingKwh: data.energy?.estimatedPrintingKwh ?? 0,
+      dryingKwh: data.energy?.dryingKwh ?? 0, // Filament dryer, not included in kwh
+      meterStart: data.energy?.meterStart ?? null,
+      meterEnd: data.energy?.meterEnd ?? null,
     };
 
+    // Sale recorded with the job (price, channel, tax/fees and what was left)
+    this.sale = data.sale ? {
+      price: data.sale.price ?? 0,
+      channelId: data.sale.channelId || null,
+      channelName: data.sale.channelName || null,
+      tax: data.sale.tax ?? 0,
+      fees: data.sale.fees ?? 0,
+      netPayout: data.sale.netPayout ?? 0,
+      profit: data.sale.profit ?? 0,
+    } : null;
+
+    // Quantity-tier quote saved with the job
+    this.quote = data.quote ? QuoteTable.fromJSON(data.quote) : null;
+
     // Consumables used (for detailed breakdown)
     this.consumablesUsed = data.consumablesUsed || [];
 
+    // Filaments used (material is kept so failure rates can be learned per material)
+    this.filamentsUsed = data.filamentsUsed || [];
+
+    // Hardware used from the bill of materials (deducted from stock on save)
+    this.hardwareUsed = data.hardwareUsed || [];
+
+    // Physical spools the filament was taken from, array of { filamentId, spoolId, label, grams }
+    this.spoolsUsed = data.spoolsUsed || [];
+
     // Status tracking
     this.status = data.status || 'calculated'; // 'calculated', 'printing', 'completed', 'failed'
     this.actualOutcome = data.actualOutcome || null;
+    this.percentCompleted = data.percentCompleted ?? null; // How far a failed print got (0-100)
 
     // Metadata
     this.tags = data.tags || [];
@@ -84,7 +144,55 @@ class PrintJob {
    * @returns {string} Formatted currency string
    */
   getFormattedTotal() {
-    return CONFIG.formatCurrency(this.costs.total);
+    return this.formatCost(this.costs.total);
+  }
+
+  /**
+   * Format an amount in the currency the job was costed in
+   * @param {number} value - Amount
+   * @returns {string} Formatted currency string
+   */
+  formatCost(value) {
+    return CONFIG.formatCurrency(value, this.calculationParams.currency);
+  }
+
+  /**
+   * Convert an amount from the currency the job was costed in
+   * Uses the rate table in effect on the job's date, or the job's own recorded
+   * rate for the target currency if the table has none.
+   * @param {number} value - Amount in the job's currency
+   * @param {ExchangeRateTable|null} exchangeRates - Current exchange rates
+   * @param {string} currency - Currency code to convert into
+   * @returns {number|null} Converted amount, or null if no rate applies
+   */
+  convertCost(value, exchangeRates = null, currency = CONFIG.CURRENCY.code) {
+    const from = this.calculationParams.currency || currency;
+    if (from === currency) return value;
+
+    const rate = exchangeRates?.getRate(from, this.createdAt, currency);
+    if (rate) return value * rate.rate;
+
+    const recorded = this.calculationParams.exchangeRates.find(r => r.currency === currency && r.rate > 0);
+    return recorded ? value / recorded.rate : null;
+  }
+
+  /**
+   * Get cost per unit produced
+   * @returns {number} Total cost divided by quantity
+   */
+  getCostPerUnit() {
+    if (this.quantity <= 0) return this.costs.total;
+    return this.costs.total / this.quantity;
+  }
+
+  /**
+   * Get cost per unit before markup (what each unit actually costs to make)
+   * @returns {number} Total cost less markup divided by quantity
+   */
+  getCostPerUnitBeforeMarkup() {
+    const cost = this.costs.total - this.costs.markup;
+    if (this.quantity <= 0) return cost;
+    return cost / this.quantity;
   }
 
   /**
@@ -105,6 +213,14 @@ class PrintJob {
     return this.costs.total / (this.printTimeMinutes / 60);
   }
 
+  /**
+   * Check if the job's energy was measured rather than estimated
+   * @returns {boolean} True if measured
+   */
+  hasMeasuredEnergy() {
+    return this.energy.source === 'measured';
+  }
+
   /**
    * Get cost breakdown as percentages
    * @returns {Object} Percentage breakdown
@@ -114,22 +230,65 @@ class PrintJob {
     if (subtotal <= 0) {
       return {
         filament: 0,
+        waste: 0,
         electricity: 0,
         depreciation: 0,
         consumables: 0,
+        overhead: 0,
         labor: 0,
+        hardware: 0,
+        shipping: 0,
       };
     }
 
     return {
       filament: (this.costs.filament / subtotal) * 100,
+      waste: (this.costs.waste / subtotal) * 100,
       electricity: (this.costs.electricity / subtotal) * 100,
       depreciation: (this.costs.depreciation / subtotal) * 100,
       consumables: (this.costs.consumables / subtotal) * 100,
+      overhead: (this.costs.overhead / subtotal) * 100,
       labor: (this.costs.labor / subtotal) * 100,
+      hardware: (this.costs.hardware / subtotal) * 100,
+      shipping: (this.costs.shipping / subtotal) * 100,
     };
   }
 
+  /**
+   * Get purge/flush/prime-tower waste as a share of all filament used
+   * @returns {number} Waste percentage
+   */
+  getWastePercent() {
+    const total = this.filamentUsedGrams + this.filamentWasteGrams;
+    return total > 0 ? (this.filamentWasteGrams / total) * 100 : 0;
+  }
+
+  /**
+   * Get the cost of support and interface material (thrown away after printing)
+   * @returns {number} Support material cost
+   */
+  getSupportCost() {
+    return this.filamentsUsed
+      .filter(f => f.role === 'support' || f.role === 'interface')
+      .reduce((sum, f) => sum + (f.cost || 0), 0);
+  }
+
+  /**
+   * Get the materials printed in this job
+   * @returns {string[]} Unique material keys (e.g., ['PLA', 'PETG'])
+   */
+  getMaterials() {
+    return [...new Set(this.filamentsUsed.map(f => f.material).filter(Boolean))];
+  }
+
+  /**
+   * Check if the print outcome has been recorded
+   * @returns {boolean} True if completed or failed
+   */
+  hasOutcome() {
+    return this.status === 'completed' || this.status === 'failed';
+  }
+
   /**
    * Mark print as completed
    */
@@ -141,10 +300,12 @@ class PrintJob {
   /**
    * Mark print as failed
    * @param {string} reason - Reason for failure (optional)
+   * @param {number|null} percentCompleted - How far the print got, 0-100 (optional)
    */
-  markFailed(reason = null) {
+  markFailed(reason = null, percentCompleted = null) {
     this.status = 'failed';
     this.actualOutcome = reason;
+    this.percentCompleted = percentCompleted === null ? null : Math.min(100, Math.max(0, percentCompleted));
     this.completedAt = new Date().toISOString();
   }
 
@@ -191,8 +352,7 @@ class PrintJob {
    * @returns {string} Formatted date
    */
   getDisplayDate() {
-    const date = new Date(this.createdAt);
-    return date.toLocaleDateString();
+    return Formatters.date(this.createdAt);
   }
 
   /**
@@ -200,8 +360,7 @@ class PrintJob {
    * @returns {string} Formatted date and time
    */
   getDisplayDateTime() {
-    const date = new Date(this.createdAt);
-    return date.toLocaleString();
+    return Formatters.dateTime(this.createdAt);
   }
 
   /**
@@ -235,14 +394,27 @@ class PrintJob {
       printTimeMinutes: this.printTimeMinutes,
       filamentUsedGrams: this.filamentUsedGrams,
       filamentUsedMeters: this.filamentUsedMeters,
+      filamentWasteGrams: this.filamentWasteGrams,
+      quantity: this.quantity,
       layerHeight: this.layerHeight,
       nozzleDiameter: this.nozzleDiameter,
       infillPercent: this.infillPercent,
       costs: { ...this.costs },
-      calculationParams: { ...this.calculationParams },
+      calculationParams: {
+        ...this.calculationParams,
+        laborTasks: this.calculationParams.laborTasks.map(task => ({ ...task })),
+        exchangeRates: this.calculationParams.exchangeRates.map(rate => ({ ...rate })),
+      },
+      energy: { ...this.energy },
+      sale: this.sale ? { ...this.sale } : null,
+      quote: this.quote ? this.quote.toJSON() : null,
       consumablesUsed: [...this.consumablesUsed],
+      filamentsUsed: this.filamentsUsed.map(f => ({ ...f })),
+      hardwareUsed: this.hardwareUsed.map(h => ({ ...h })),
+      spoolsUsed: this.spoolsUsed.map(s => ({ ...s })),
       status: this.status,
       actualOutcome: this.actualOutcome,
+      percentCompleted: this.percentCompleted,
       tags: [...this.tags],
       createdAt: this.createdAt,
       completedAt: this.completedAt,
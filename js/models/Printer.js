@@ -19,8 +19,13 @@ class Printer {
 
     // Depreciation settings
     this.purchasePrice = data.purchasePrice ?? 0;
+    this.currency = data.currency || null;            // printer and AMS prices (null = base currency)
     this.estimatedLifetimeHours = data.estimatedLifetimeHours ?? CONFIG.DEFAULTS.PRINTER_LIFETIME_HOURS;
     this.currentHours = data.currentHours ?? 0;
+    this.depreciationMethod = data.depreciationMethod || 'straight-line'; // key from CONFIG.DEPRECIATION_METHODS
+    this.salvageValue = data.salvageValue ?? 0;        // resale value at end of life
+    this.purchaseDate = data.purchaseDate || null;     // calendar method
+    this.depreciationYears = data.depreciationYears ?? CONFIG.DEFAULTS.DEPRECIATION_YEARS;
 
     // Default failure rate for this printer
     this.defaultFailureRate = data.defaultFailureRate ?? CONFIG.DEFAULTS.FAILURE_RATE;
@@ -47,6 +52,10 @@ class Printer {
       purchasePrice: data.ams.purchasePrice ?? 0,
       estimatedLifetimeHours: data.ams.estimatedLifetimeHours ?? 5000,
       currentHours: data.ams.currentHours ?? 0,
+      depreciationMethod: data.ams.depreciationMethod || 'straight-line',
+      salvageValue: data.ams.salvageValue ?? 0,
+      purchaseDate: data.ams.purchaseDate || null,
+      depreciationYears: data.ams.depreciationYears ?? CONFIG.DEFAULTS.DEPRECIATION_YEARS,
     } : null;
 
     // Metadata
@@ -56,12 +65,82 @@ class Printer {
   }
 
   /**
-   * Calculate depreciation cost per hour
+   * Depreciate a printer or AMS over print hours with its chosen method
+   * @private
+   * @param {Object} asset - Printer or AMS settings
+   * @param {number} hours - Print hours
+   * @param {Date} now - Date calendar depreciation is measured at
+   * @returns {Object} { perHour, cost } current rate and cost of the hours
+   */
+  _depreciate(asset, hours, now = new Date()) {
+    const price = asset.purchasePrice;
+    const lifetime = asset.estimatedLifetimeHours;
+    const salvage = Math.min(price, Math.max(0, asset.salvageValue ?? 0));
+
+    switch (asset.depreciationMethod) {
+      case 'salvage': {
+        const perHour = lifetime > 0 ? (price - salvage) / lifetime : 0;
+        return { perHour, cost: perHour * hours };
+      }
+      case 'calendar': {
+        const perHour = this._getCalendarRate(asset, salvage, now);
+        return { perHour, cost: perHour * hours };
+      }
+      case 'declining-balance': {
+        if (lifetime <= 0) return { perHour: 0, cost: 0 };
+
+        // Book value declines continuously with hours used, never below resale value
+        const rate = CONFIG.DEFAULTS.DECLINING_BALANCE_FACTOR / lifetime;
+        const bookValue = (h) => Math.max(salvage, price * Math.exp(-rate * h));
+        const current = bookValue(asset.currentHours);
+        return {
+          perHour: current > salvage ? current * rate : 0,
+          cost: current - bookValue(asset.currentHours + hours),
+        };
+      }
+      case 'straight-line':
+      default: {
+        const perHour = lifetime > 0 ? price / lifetime : 0;
+        return { perHour, cost: perHour * hours };
+      }
+    }
+  }
+
+  /**
+   * Calendar depreciation per print hour
+   * A year's depreciation is shared across the hours printed in a year, taken
+   * from actual use once the asset has a month of history (planned use before that).
+   * @private
+   */
+  _getCalendarRate(asset, salvage, now) {
+    const years = asset.depreciationYears;
+    if (years <= 0) return 0;
+
+    const yearsOwned = asset.purchaseDate ? (now - new Date(asset.purchaseDate)) / (365.25 * 86400000) : 0;
+    if (yearsOwned >= years) return 0; // Fully depreciated
+
+    const hoursPerYear = yearsOwned >= 1 / 12 && asset.currentHours > 0
+      ? asset.currentHours / yearsOwned
+      : asset.estimatedLifetimeHours / years;
+    if (hoursPerYear <= 0) return 0;
+
+    return ((asset.purchasePrice - salvage) / years) / hoursPerYear;
+  }
+
+  /**
+   * Get the name of the printer's depreciation method
+   * @returns {string} Method name
+   */
+  getDepreciationMethodName() {
+    return CONFIG.DEPRECIATION_METHODS[this.depreciationMethod]?.name || CONFIG.DEPRECIATION_METHODS['straight-line'].name;
+  }
+
+  /**
+   * Calculate depreciation cost per hour (the current rate for declining balance)
    * @returns {number} Cost per hour in currency
    */
   getDepreciationPerHour() {
-    if (this.estimatedLifetimeHours <= 0) return 0;
-    return this.purchasePrice / this.estimatedLifetimeHours;
+    return this._depreciate(this, 0).perHour;
   }
 
   /**
@@ -70,8 +149,7 @@ class Printer {
    * @returns {number} Depreciation cost
    */
   getDepreciationCost(printTimeMinutes) {
-    const hours = printTimeMinutes / 60;
-    return this.getDepreciationPerHour() * hours;
+    return this._depreciate(this, printTimeMinutes / 60).cost;
   }
 
   /**
@@ -93,13 +171,27 @@ class Printer {
     return kWh * electricityRate;
   }
 
+  /**
+   * Estimate heat-up time from target bed and nozzle temperatures
+   * Bed and nozzle heat at the same time, so the slower one sets the duration.
+   * @param {number} bedTemp - Target bed temperature (°C)
+   * @param {number} nozzleTemp - Target nozzle temperature (°C)
+   * @returns {number} Heat-up time in minutes
+   */
+  getHeatUpMinutes(bedTemp, nozzleTemp) {
+    const { AMBIENT_TEMP, BED_RATE, NOZZLE_RATE } = CONFIG.HEAT_UP;
+    const bedSeconds = Math.max(0, bedTemp - AMBIENT_TEMP) / BED_RATE;
+    const nozzleSeconds = Math.max(0, nozzleTemp - AMBIENT_TEMP) / NOZZLE_RATE;
+    return Math.max(bedSeconds, nozzleSeconds) / 60;
+  }
+
   /**
    * Get AMS depreciation cost per hour
    * @returns {number} Cost per hour in currency
    */
   getAmsDepreciationPerHour() {
-    if (!this.hasAms || !this.ams || this.ams.estimatedLifetimeHours <= 0) return 0;
-    return this.ams.purchasePrice / this.ams.estimatedLifetimeHours;
+    if (!this.hasAms || !this.ams) return 0;
+    return this._depreciate(this.ams, 0).perHour;
   }
 
   /**
@@ -108,8 +200,17 @@ class Printer {
    * @returns {number} AMS depreciation cost
    */
   getAmsDepreciationCost(printTimeMinutes) {
-    const hours = printTimeMinutes / 60;
-    return this.getAmsDepreciationPerHour() * hours;
+    if (!this.hasAms || !this.ams) return 0;
+    return this._depreciate(this.ams, printTimeMinutes / 60).cost;
+  }
+
+  /**
+   * Get the name of the AMS depreciation method
+   * @returns {string|null} Method name, or null without an AMS
+   */
+  getAmsDepreciationMethodName() {
+    if (!this.hasAms || !this.ams) return null;
+    return CONFIG.DEPRECIATION_METHODS[this.ams.depreciationMethod]?.name || CONFIG.DEPRECIATION_METHODS['straight-line'].name;
   }
 
   /**
@@ -121,6 +222,47 @@ class Printer {
     return this.getDepreciationCost(printTimeMinutes) + this.getAmsDepreciationCost(printTimeMinutes);
   }
 
+  /**
+   * Suggest a corrected printing wattage from jobs with measured energy
+   * The estimated heat-up/idle energy is taken off each measurement and the
+   * remainder is spread over the print hours.
+   * @param {PrintJob[]} jobs - Print history (jobs for other printers are ignored)
+   * @returns {Object|null} Suggestion or null if there are no measured jobs
+   */
+  getWattageSuggestion(jobs) {
+    const measured = jobs.filter(job =>
+      job.printerId === this.id && job.hasMeasuredEnergy() && job.printTimeMinutes > 0
+    );
+    if (measured.length === 0) return null;
+
+    let measuredKwh = 0;
+    let estimatedKwh = 0;
+    let printingKwh = 0;
+    let printingHours = 0;
+
+    for (const job of measured) {
+      const otherPhasesKwh = job.energy.estimatedKwh - job.energy.estimatedPrintingKwh;
+      measuredKwh += job.energy.kwh;
+      estimatedKwh += job.energy.estimatedKwh;
+      printingKwh += Math.max(0, job.energy.kwh - otherPhasesKwh);
+      printingHours += job.printTimeMinutes / 60;
+    }
+
+    const amsWatts = this.hasAms && this.ams ? this.ams.powerConsumption.working : 0;
+    const suggestedWatts = Math.max(0, (printingKwh * 1000) / printingHours - amsWatts);
+    const currentWatts = this.powerConsumption.printing;
+
+    return {
+      sampleSize: measured.length,
+      measuredKwh,
+      estimatedKwh,
+      currentWatts,
+      suggestedWatts,
+      differencePercent: currentWatts > 0 ? ((suggestedWatts - currentWatts) / currentWatts) * 100 : 0,
+      reliable: measured.length >= CONFIG.DEFAULTS.ENERGY_MIN_SAMPLES,
+    };
+  }
+
   /**
    * Get remaining lifetime in hours
    * @returns {number} Remaining hours
@@ -139,11 +281,14 @@ class Printer {
   }
 
   /**
-   * Add print time to current hours
+   * Add print time to current hours (and the attached AMS's)
    * @param {number} minutes - Print time in minutes
    */
   addPrintTime(minutes) {
     this.currentHours += minutes / 60;
+    if (this.hasAms && this.ams) {
+      this.ams.currentHours += minutes / 60;
+    }
     this.updatedAt = new Date().toISOString();
   }
 
@@ -201,8 +346,13 @@ class Printer {
       model: this.model,
       powerConsumption: { ...this.powerConsumption },
       purchasePrice: this.purchasePrice,
+      currency: this.currency,
       estimatedLifetimeHours: this.estimatedLifetimeHours,
       currentHours: this.currentHours,
+      depreciationMethod: this.depreciationMethod,
+      salvageValue: this.salvageValue,
+      purchaseDate: this.purchaseDate,
+      depreciationYears: this.depreciationYears,
       defaultFailureRate: this.defaultFailureRate,
       buildVolume: { ...this.buildVolume },
       consumableIds: [...this.consumableIds],
@@ -220,6 +370,10 @@ class Printer {
         purchasePrice: this.ams.purchasePrice,
         estimatedLifetimeHours: this.ams.estimatedLifetimeHours,
         currentHours: this.ams.currentHours,
+        depreciationMethod: this.ams.depreciationMethod,
+        salvageValue: this.ams.salvageValue,
+        purchaseDate: this.ams.purchaseDate,
+        depreciationYears: this.ams.depreciationYears,
       };
     }
 
@@ -0,0 +1,113 @@
+/**
+ * PrinterROI Model
+ * Tracks how far a printer's sales have paid back what it cost to buy
+ */
+
+class PrinterROI {
+  /**
+   * @param {Printer} printer - Printer to track
+   * @param {PrintJob[]} jobs - Print history (jobs on other printers are ignored)
+   * @param {Object} options - { exchangeRates } to convert a price in another currency
+   */
+  constructor(printer, jobs = [], options = {}) {
+    this.printer = printer;
+
+    // Printer plus AMS, the machine depreciation that sales pay back, converted into the
+    // base currency at the rate on the purchase date (or today's rate if none is that old)
+    const price = printer.purchasePrice + (printer.hasAms && printer.ams ? printer.ams.purchasePrice : 0);
+    const rates = options.exchangeRates;
+    this.investment = (printer.purchaseDate ? rates?.convert(price, printer.currency, printer.purchaseDate) : null)
+      ?? rates?.convert(price, printer.currency)
+      ?? price;
+
+    const printerJobs = jobs.filter(job => job.printerId === printer.id);
+    this.sales = printerJobs
+      .filter(job => job.sale)
+      .sort((a, b) => new Date(this._getDate(a)) - new Date(this._getDate(b)));
+
+    // In service from the first job on the printer
+    this.startDate = printerJobs.length > 0
+      ? printerJobs.map(job => this._getDate(job)).sort((a, b) => new Date(a) - new Date(b))[0]
+      : null;
+  }
+
+  /**
+   * Date a job counts from (completion when known)
+   * @private
+   */
+  _getDate(job) {
+    return job.completedAt || job.createdAt;
+  }
+
+  /**
+   * Variable cost of a job: everything except machine depreciation and markup
+   * @param {PrintJob} job - Sold job
+   * @returns {number} Variable cost
+   */
+  getVariableCost(job) {
+    return job.costs.total - job.costs.markup - job.costs.depreciation;
+  }
+
+  /**
+   * Get cumulative revenue, variable cost and contribution after each sale
+   * Revenue is the payout after tax and channel fees.
+   * @returns {Array} Array of { date, jobId, name, revenue, variableCost, contribution, roiPercent }
+   */
+  getTimeline() {
+    let revenue = 0;
+    let variableCost = 0;
+
+    return this.sales.map(job => {
+      revenue += job.sale.netPayout;
+      variableCost += this.getVariableCost(job);
+      const contribution = revenue - variableCost;
+
+      return {
+        date: this._getDate(job),
+        jobId: job.id,
+        name: job.name,
+        revenue,
+        variableCost,
+        contribution,
+        roiPercent: this.investment > 0 ? ((contribution - this.investment) / this.investment) * 100 : null,
+      };
+    });
+  }
+
+  /**
+   * Get the ROI summary with actual or projected payback
+   * Projections assume contribution keeps arriving at its average daily rate since the printer went into service.
+   * @param {Date} now - Date to project from
+   * @returns {Object} { investment, revenue, variableCost, contribution, paidBackPercent, roiPercent, paybackDate, projected, sales }
+   */
+  getSummary(now = new Date()) {
+    const timeline = this.getTimeline();
+    const last = timeline[timeline.length - 1];
+    const contribution = last ? last.contribution : 0;
+
+    let paybackDate = null;
+    let projected = false;
+
+    const reached = timeline.find(point => point.contribution >= this.investment);
+    if (reached) {
+      paybackDate = reached.date;
+    } else if (this.startDate && contribution > 0) {
+      const days = Math.max(1, (now - new Date(this.startDate)) / 86400000);
+      const perDay = contribution / days;
+      paybackDate = new Date(now.getTime() + ((this.investment - contribution) / perDay) * 86400000).toISOString();
+      projected = true;
+    }
+
+    return {
+      investment: this.investment,
+      revenue: last ? last.revenue : 0,
+      variableCost: last ? last.variableCost : 0,
+      contribution,
+      paidBackPercent: this.investment > 0 ? Math.min(100, Math.max(0, (contribution / this.investment) * 100)) : 100,
+      roiPercent: this.investment > 0 ? ((contribution - this.investment) / this.investment) * 100 : null,
+      paybackDate,
+      projected,
+      sales: timeline.length,
+    };
+  }
+}
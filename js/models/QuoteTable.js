@@ -0,0 +1,143 @@
+/**
+ * QuoteTable Model
+ * Represents unit and total prices for a part at several order quantities
+ */
+
+class QuoteTable {
+  constructor(data = {}) {
+    // Order quantities to quote, smallest first
+    this.quantities = [...new Set((data.quantities || CONFIG.DEFAULTS.QUOTE_QUANTITIES)
+      .map(q => Math.floor(q))
+      .filter(q => q > 0))]
+      .sort((a, b) => a - b);
+
+    // Copies that fit on one plate (larger orders print on fuller plates)
+    this.maxUnitsPerPlate = Math.max(1, data.maxUnitsPerPlate ?? 1);
+
+    // Discount curve: percent off from a minimum quantity upward
+    this.discounts = (data.discounts || CONFIG.DEFAULTS.QUOTE_DISCOUNTS)
+      .map(step => ({
+        minQuantity: step.minQuantity ?? 1,
+        percent: step.percent ?? 0,
+      }))
+      .sort((a, b) => a.minQuantity - b.minQuantity);
+
+    // Calculated tiers
+    this.rows = (data.rows || []).map(row => ({ ...row }));
+
+    // Simulated percentile the prices are set from (null = point estimate)
+    this.upperBound = data.upperBound ? {
+      percentile: data.upperBound.percentile ?? 90,
+      iterations: data.upperBound.iterations ?? 0,
+    } : null;
+
+    this.createdAt = data.createdAt || new Date().toISOString();
+  }
+
+  /**
+   * Get the discount for an order quantity (highest step reached)
+   * @param {number} quantity - Order quantity
+   * @returns {number} Discount percentage
+   */
+  getDiscountFor(quantity) {
+    let percent = 0;
+    for (const step of this.discounts) {
+      if (quantity >= step.minQuantity) {
+        percent = step.percent;
+      }
+    }
+    return percent;
+  }
+
+  /**
+   * Build a tier row from the calculated cost of an order quantity
+   * @param {number} quantity - Order quantity
+   * @param {number} plates - Plates needed
+   * @param {Object} totals - { cost, price } job cost before markup and price after markup
+   * @param {Object|null} pointTotals - Point-estimate totals when totals are a simulated upper bound
+   * @returns {Object} Tier row
+   */
+  buildRow(quantity, plates, totals, pointTotals = null) {
+    const discountPercent = this.getDiscountFor(quantity);
+    const listUnitPrice = totals.price / quantity;
+    const unitPrice = listUnitPrice * (1 - discountPercent / 100);
+
+    const row = {
+      quantity,
+      plates,
+      unitCost: totals.cost / quantity,
+      listUnitPrice,
+      discountPercent,
+      unitPrice,
+      totalPrice: unitPrice * quantity,
+    };
+
+    if (pointTotals) {
+      row.pointUnitCost = pointTotals.cost / quantity;
+      row.pointUnitPrice = (pointTotals.price / quantity) * (1 - discountPercent / 100);
+    }
+
+    return row;
+  }
+
+  /**
+   * Convert rows to CSV for export
+   * Numbers use the locale's decimal separator; with a comma decimal the columns are split by ";"
+   * so spreadsheets in that locale open the file as numbers.
+   * @returns {string} CSV text
+   */
+  toCSV() {
+    const delimiter = Formatters.getDecimalSeparator() === ',' ? ';' : ',';
+    const money = (value) => Formatters.exportNumber(value, CONFIG.CURRENCY.decimals);
+
+    const header = ['Quantity', 'Plates', 'Unit Cost', 'List Unit Price', 'Discount %', 'Unit Price', 'Total Price'];
+    if (this.upperBound) {
+      header.push('Point Unit Cost', 'Point Unit Price');
+    }
+
+    const lines = this.rows.map(row => {
+      const values = [
+        row.quantity,
+        row.plates,
+        money(row.unitCost),
+        money(row.listUnitPrice),
+        Formatters.exportNumber(row.discountPercent, Number.isInteger(row.discountPercent) ? 0 : 2),
+        money(row.unitPrice),
+        money(row.totalPrice),
+      ];
+      if (this.upperBound) {
+        values.push(
+          money(row.pointUnitCost ?? row.unitCost),
+          money(row.pointUnitPrice ?? row.unitPrice),
+        );
+      }
+      return values.join(delimiter);
+    });
+
+    return [header.join(delimiter), ...lines].join('\n');
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      quantities: [...this.quantities],
+      maxUnitsPerPlate: this.maxUnitsPerPlate,
+      discounts: this.discounts.map(d => ({ ...d })),
+      rows: this.rows.map(r => ({ ...r })),
+      upperBound: this.upperBound ? { ...this.upperBound } : null,
+      createdAt: this.createdAt,
+    };
+  }
+
+  /**
+   * Create QuoteTable from plain object
+   * @param {Object} data - Plain object
+   * @returns {QuoteTable} QuoteTable instance
+   */
+  static fromJSON(data) {
+    return new QuoteTable(data);
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * SalesChannel Model
+ * Represents a place you sell prints, with its marketplace/payment fees and sales tax
+ */
+
+class SalesChannel {
+  constructor(data = {}) {
+    this.id = data.id || crypto.randomUUID();
+    this.name = data.name || '';
+    this.preset = data.preset || null; // Key from CONFIG.CHANNEL_PRESETS
+
+    // Fees charged on the amount the buyer pays (percent of order, fixed per order)
+    this.currency = data.currency || null; // fixed fee currency (null = base currency)
+    this.fees = (data.fees || []).map(fee => ({
+      name: fee.name || '',
+      percent: fee.percent ?? 0,
+      fixed: fee.fixed ?? 0,
+    }));
+
+    // Sales tax / VAT
+    this.taxRate = data.taxRate ?? 0; // Percent
+    this.taxMode = data.taxMode || 'added'; // 'included' in the price or 'added' on top
+
+    // Metadata
+    this.notes = data.notes || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Get the combined percentage fee as a decimal
+   * @returns {number} Fee rate (e.g., 0.095 for 9.5%)
+   */
+  getFeeRate() {
+    return this.fees.reduce((sum, fee) => sum + fee.percent, 0) / 100;
+  }
+
+  /**
+   * Get the combined fixed fee per order
+   * @returns {number} Fixed fees
+   */
+  getFixedFees() {
+    return this.fees.reduce((sum, fee) => sum + fee.fixed, 0);
+  }
+
+  /**
+   * Break a listed selling price down into tax, fees and payout
+   * @param {number} price - Listed price (tax-inclusive when taxMode is 'included')
+   * @returns {Object} { price, netPrice, buyerPays, tax, fees, feeItems, netPayout }
+   */
+  getSaleBreakdown(price) {
+    const taxRate = this.taxRate / 100;
+    const netPrice = this.taxMode === 'included' ? price / (1 + taxRate) : price;
+    const buyerPays = netPrice * (1 + taxRate);
+    const tax = buyerPays - netPrice;
+
+    const feeItems = this.fees.map(fee => ({
+      name: fee.name,
+      amount: buyerPays * (fee.percent / 100) + fee.fixed,
+    }));
+    const fees = feeItems.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+      price,
+      netPrice,
+      buyerPays,
+      tax,
+      fees,
+      feeItems,
+      netPayout: netPrice - fees,
+    };
+  }
+
+  /**
+   * Calculate the true profit of a sale after tax and fees
+   * Margin is profit as a share of the price excluding tax.
+   * @param {number} price - Listed price
+   * @param {number} cost - Cost of the print
+   * @returns {Object} Sale breakdown plus { cost, profit, marginPercent }
+   */
+  getProfit(price, cost) {
+    const sale = this.getSaleBreakdown(price);
+    const profit = sale.netPayout - cost;
+
+    return {
+      ...sale,
+      cost,
+      profit,
+      marginPercent: sale.netPrice > 0 ? (profit / sale.netPrice) * 100 : 0,
+    };
+  }
+
+  /**
+   * Calculate the listed price needed to reach a target margin
+   * @param {number} cost - Cost of the print
+   * @param {number} marginPercent - Target margin on the price excluding tax
+   * @returns {number|null} Listed price, or null if fees make the margin unreachable
+   */
+  getPriceForMargin(cost, marginPercent) {
+    const taxMultiplier = 1 + this.taxRate / 100;
+    const divisor = 1 - taxMultiplier * this.getFeeRate() - marginPercent / 100;
+
+    if (divisor <= 0) return null;
+
+    const netPrice = (cost + this.getFixedFees()) / divisor;
+    return this.taxMode === 'included' ? netPrice * taxMultiplier : netPrice;
+  }
+
+  /**
+   * Get a short description of the channel's fees
+   * @returns {string} Fee summary (e.g., "9.5% + $0.45")
+   */
+  getFeeSummary() {
+    if (this.fees.length === 0) return 'No fees';
+
+    const parts = [];
+    const percent = this.getFeeRate() * 100;
+    const fixed = this.getFixedFees();
+    if (percent > 0) parts.push(`${Helpers.round(percent, 2)}%`);
+    if (fixed > 0) parts.push(CONFIG.formatCurrency(fixed, this.currency));
+    return parts.join(' + ') || 'No fees';
+  }
+
+  /**
+   * Get a copy of the channel with its fixed fees in the base currency
+   * @param {ExchangeRateTable|null} exchangeRates - Exchange rates
+   * @param {Date|string} date - Date the rate should apply on
+   * @param {string} base - Base currency code
+   * @returns {SalesChannel|null} Converted channel, or null if no rate applies
+   */
+  toBaseCurrency(exchangeRates, date = new Date(), base = CONFIG.CURRENCY.code) {
+    if (!this.currency || this.currency === base) return this;
+
+    const rate = exchangeRates ? exchangeRates.getRate(this.currency, date, base) : null;
+    if (!rate) return null;
+
+    return new SalesChannel({
+      ...this.toJSON(),
+      currency: null,
+      fees: this.fees.map(fee => ({ ...fee, fixed: fee.fixed * rate.rate })),
+    });
+  }
+
+  /**
+   * Get the tax description
+   * @returns {string} Tax summary
+   */
+  getTaxSummary() {
+    if (this.taxRate <= 0) return 'No tax';
+    return `${Helpers.round(this.taxRate, 2)}% ${this.taxMode === 'included' ? 'included in price' : 'added at checkout'}`;
+  }
+
+  /**
+   * Create from a preset
+   * @param {string} presetKey - Key from CONFIG.CHANNEL_PRESETS
+   * @returns {SalesChannel} New SalesChannel instance
+   */
+  static fromPreset(presetKey) {
+    const preset = CONFIG.CHANNEL_PRESETS[presetKey];
+    if (!preset) return new SalesChannel();
+
+    return new SalesChannel({
+      name: preset.name,
+      preset: presetKey,
+      fees: preset.fees,
+      currency: preset.currency || null,
+    });
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      preset: this.preset,
+      fees: this.fees.map(f => ({ ...f })),
+      currency: this.currency,
+      taxRate: this.taxRate,
+      taxMode: this.taxMode,
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create SalesChannel from plain object
+   * @param {Object} data - Plain object
+   * @returns {SalesChannel} SalesChannel instance
+   */
+  static fromJSON(data) {
+    return new SalesChannel(data);
+  }
+}
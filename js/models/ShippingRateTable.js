@@ -0,0 +1,87 @@
+/**
+ * ShippingRateTable Model
+ * Represents a carrier service's postage rates by parcel weight band
+ */
+
+class ShippingRateTable {
+  constructor(data = {}) {
+    this.id = data.id || crypto.randomUUID();
+    this.name = data.name || '';
+    this.carrier = data.carrier || '';
+
+    // Weight bands, lightest first (a band covers parcels up to maxGrams)
+    this.bands = (data.bands || [])
+      .map(band => ({
+        maxGrams: band.maxGrams ?? 0,
+        rate: band.rate ?? 0,
+      }))
+      .sort((a, b) => a.maxGrams - b.maxGrams);
+
+    // Metadata
+    this.notes = data.notes || '';
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Get display name
+   * @returns {string} Carrier and service name
+   */
+  getDisplayName() {
+    if (this.carrier && this.name) {
+      return `${this.carrier} ${this.name}`;
+    }
+    return this.name || this.carrier || 'Unnamed Rate Table';
+  }
+
+  /**
+   * Get the heaviest parcel the table covers
+   * @returns {number} Maximum weight in grams (0 if no bands)
+   */
+  getMaxWeight() {
+    return this.bands.length > 0 ? this.bands[this.bands.length - 1].maxGrams : 0;
+  }
+
+  /**
+   * Find the band for a parcel weight
+   * Parcels heavier than every band are charged at the heaviest band and flagged.
+   * @param {number} weightGrams - Parcel weight in grams
+   * @returns {Object|null} { band, rate, overweight } or null if the table has no bands
+   */
+  getRate(weightGrams) {
+    if (this.bands.length === 0) return null;
+
+    const band = this.bands.find(b => weightGrams <= b.maxGrams);
+    if (band) {
+      return { band: { ...band }, rate: band.rate, overweight: false };
+    }
+
+    const heaviest = this.bands[this.bands.length - 1];
+    return { band: { ...heaviest }, rate: heaviest.rate, overweight: true };
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      carrier: this.carrier,
+      bands: this.bands.map(b => ({ ...b })),
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create ShippingRateTable from plain object
+   * @param {Object} data - Plain object
+   * @returns {ShippingRateTable} ShippingRateTable instance
+   */
+  static fromJSON(data) {
+    return new ShippingRateTable(data);
+  }
+}
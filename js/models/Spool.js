@@ -0,0 +1,97 @@
+/**
+ * Spool Model
+ * Represents one physical spool of a filament, tracked by weighing it
+ */
+
+class Spool {
+  constructor(data = {}) {
+    this.id = data.id || crypto.randomUUID();
+    this.label = data.label || '';                 // what's written on the spool (e.g. "B3")
+
+    // Weights in grams (net = filament left on the spool)
+    this.tareWeight = data.tareWeight ?? CONFIG.DEFAULTS.SPOOL_TARE_GRAMS; // empty spool
+    this.netWeight = data.netWeight ?? 1000;
+
+    // Opened date ("YYYY-MM-DD", null = still sealed) and where it's kept
+    this.openedDate = data.openedDate || null;
+    this.location = data.location || '';
+
+    // Metadata
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.updatedAt = data.updatedAt || new Date().toISOString();
+  }
+
+  /**
+   * Get display name (label, or the start of the ID)
+   * @returns {string} Display name
+   */
+  getDisplayName() {
+    return this.label || `#${this.id.slice(0, 6)}`;
+  }
+
+  /**
+   * Record a scale reading of the spool with its filament
+   * @param {number} grossGrams - Scale weight
+   * @returns {number} Remaining filament in grams
+   */
+  weigh(grossGrams) {
+    this.netWeight = Math.max(0, grossGrams - this.tareWeight);
+    this.updatedAt = new Date().toISOString();
+    return this.netWeight;
+  }
+
+  /**
+   * Get the scale weight expected for the filament left
+   * @returns {number} Gross weight in grams
+   */
+  getGrossWeight() {
+    return this.netWeight + this.tareWeight;
+  }
+
+  /**
+   * Deduct filament used by a print (opens the spool if it was sealed)
+   * @param {number} grams - Grams used
+   * @param {Date|string} date - When it was used
+   */
+  use(grams, date = new Date()) {
+    this.netWeight = Math.max(0, this.netWeight - grams);
+    if (!this.openedDate) {
+      this.openedDate = Formatters.isoDate(date);
+    }
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Check if the spool has no filament left
+   * @returns {boolean} True if empty
+   */
+  isEmpty() {
+    return this.netWeight <= 0;
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      label: this.label,
+      tareWeight: this.tareWeight,
+      netWeight: this.netWeight,
+      openedDate: this.openedDate,
+      location: this.location,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  /**
+   * Create Spool from plain object
+   * @param {Object} data - Plain object
+   * @returns {Spool} Spool instance
+   */
+  static fromJSON(data) {
+    return new Spool(data);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * TariffSchedule Model
+ * Represents a weekly time-of-use electricity tariff made up of rate bands
+ */
+
+class TariffSchedule {
+  constructor(data = {}) {
+    this.enabled = data.enabled ?? false;
+
+    // Rate bands (times are "HH:MM", dayMask bit n = Date#getDay() n)
+    this.bands = (data.bands || []).map(band => ({
+      id: band.id || crypto.randomUUID(),
+      name: band.name || '',
+      rate: band.rate ?? 0,
+      start: band.start || '00:00',
+      end: band.end || '00:00',
+      dayMask: band.dayMask ?? TariffSchedule.ALL_DAYS,
+    }));
+  }
+
+  /**
+   * Convert "HH:MM" to minutes after midnight
+   * @private
+   */
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  }
+
+  /**
+   * Check if the schedule should be used for calculations
+   * @returns {boolean} True if enabled with at least one band
+   */
+  isActive() {
+    return this.enabled && this.bands.length > 0;
+  }
+
+  /**
+   * Check if a band applies at a given moment
+   * Bands that cross midnight (start > end) belong to the day they start on.
+   * A band whose start equals its end covers the whole day.
+   * @param {Object} band - Tariff band
+   * @param {Date} date - Moment to check
+   * @returns {boolean} True if the band covers the moment
+   */
+  bandCovers(band, date) {
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const start = this._toMinutes(band.start);
+    const end = this._toMinutes(band.end);
+    const day = date.getDay();
+    const onDay = (d) => (band.dayMask & (1 << d)) !== 0;
+
+    if (start === end) {
+      return onDay(day);
+    }
+    if (start < end) {
+      return onDay(day) && minute >= start && minute < end;
+    }
+    if (minute >= start) {
+      return onDay(day);
+    }
+    return minute < end && onDay((day + 6) % 7);
+  }
+
+  /**
+   * Get the band in effect at a given moment (first match wins)
+   * @param {Date} date - Moment to check
+   * @returns {Object|null} Band or null if no band covers the moment
+   */
+  getBandAt(date) {
+    return this.bands.find(band => this.bandCovers(band, date)) || null;
+  }
+
+  /**
+   * Get the next moment the band in effect can change (a band start or end, or midnight)
+   * @private
+   */
+  _nextBoundary(date) {
+    const minute = date.getHours() * 60 + date.getMinutes() + (date.getSeconds() * 1000 + date.getMilliseconds()) / 60000;
+    const next = this.bands
+      .flatMap(band => [this._toMinutes(band.start), this._toMinutes(band.end)])
+      .filter(m => m > minute && m < 1440)
+      .reduce((min, m) => Math.min(min, m), 1440);
+    const boundary = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, next);
+
+    // Clocks going back can put the boundary behind us; move on a minute instead
+    return boundary > date ? boundary : new Date(date.getTime() + 60000);
+  }
+
+  /**
+   * Split a time window across the bands it covers
+   * Walks from one band boundary to the next rather than minute by minute.
+   * Minutes not covered by any band are reported with a null id and rate.
+   * @param {Date|string} start - Window start
+   * @param {number} durationMinutes - Window length in minutes
+   * @returns {Array} Array of { id, name, rate, minutes } in order of first use
+   */
+  split(start, durationMinutes) {
+    const startMs = new Date(start).getTime();
+    const endMs = startMs + durationMinutes * 60000;
+    const segments = new Map();
+    let moment = new Date(startMs);
+
+    while (moment.getTime() < endMs) {
+      const next = Math.min(this._nextBoundary(moment).getTime(), endMs);
+      const band = this.getBandAt(moment);
+      const key = band ? band.id : null;
+
+      if (!segments.has(key)) {
+        segments.set(key, {
+          id: key,
+          name: band ? band.name : '',
+          rate: band ? band.rate : null,
+          minutes: 0,
+        });
+      }
+      segments.get(key).minutes += (next - moment.getTime()) / 60000;
+      moment = new Date(next);
+    }
+
+    return Array.from(segments.values());
+  }
+
+  /**
+   * Add a band to the schedule
+   * @param {Object} band - Band data
+   */
+  addBand(band = {}) {
+    this.bands.push(new TariffSchedule({ bands: [band] }).bands[0]);
+  }
+
+  /**
+   * Remove a band from the schedule
+   * @param {string} bandId - Band ID to remove
+   */
+  removeBand(bandId) {
+    this.bands = this.bands.filter(b => b.id !== bandId);
+  }
+
+  /**
+   * Get the weekday labels for a band's day mask
+   * @param {Object} band - Tariff band
+   * @returns {string} Comma-separated day names, or "Every day"
+   */
+  getDaysLabel(band) {
+    if ((band.dayMask & TariffSchedule.ALL_DAYS) === TariffSchedule.ALL_DAYS) {
+      return 'Every day';
+    }
+    return CONFIG.WEEKDAYS.filter((_, i) => band.dayMask & (1 << i)).join(', ');
+  }
+
+  /**
+   * Convert to plain object for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      enabled: this.enabled,
+      bands: this.bands.map(b => ({ ...b })),
+    };
+  }
+
+  /**
+   * Create TariffSchedule from plain object
+   * @param {Object} data - Plain object
+   * @returns {TariffSchedule} TariffSchedule instance
+   */
+  static fromJSON(data) {
+    return new TariffSchedule(data || {});
+  }
+}
+
+// Day mask covering every day of the week
+TariffSchedule.ALL_DAYS = 0b1111111;
@@ -1,21 +1,106 @@
 /**
  * Formatters
  * Number, currency, date, and time formatting utilities
+ * Everything is formatted with Intl for the locale setting (browser default until one is chosen)
  */
 
 const Formatters = {
+  // Locale from settings (undefined = browser default)
+  locale: undefined,
+
+  // Intl formatters by locale options, rebuilt when the locale changes
+  _cache: {},
+
+  /**
+   * Set the locale all values are formatted in
+   * @param {string|null} locale - BCP 47 locale (e.g. "de-DE"), null for the browser default
+   */
+  setLocale(locale) {
+    this.locale = locale && CONFIG.LOCALES[locale] ? locale : undefined;
+    this._cache = {};
+  },
+
+  /**
+   * Get the locale values are formatted in
+   * @returns {string} Resolved locale
+   */
+  getLocale() {
+    return this._getNumberFormat({}).resolvedOptions().locale;
+  },
+
+  /**
+   * Get the decimal separator of the locale
+   * @returns {string} "." or ","
+   */
+  getDecimalSeparator() {
+    const part = this._getNumberFormat({ minimumFractionDigits: 1 }).formatToParts(1.5).find(p => p.type === 'decimal');
+    return part ? part.value : '.';
+  },
+
+  /**
+   * Get a cached Intl.NumberFormat for the locale
+   * @private
+   */
+  _getNumberFormat(options) {
+    const key = `number:${JSON.stringify(options)}`;
+    if (!this._cache[key]) {
+      this._cache[key] = new Intl.NumberFormat(this.locale, options);
+    }
+    return this._cache[key];
+  },
+
+  /**
+   * Get a cached Intl.DateTimeFormat for the locale
+   * @private
+   */
+  _getDateTimeFormat(options) {
+    const key = `date:${JSON.stringify(options)}`;
+    if (!this._cache[key]) {
+      this._cache[key] = new Intl.DateTimeFormat(this.locale, options);
+    }
+    return this._cache[key];
+  },
+
+  /**
+   * Format a value with a unit (e.g. "1.5kg", "1,5 kg")
+   * @private
+   */
+  _unit(value, unit, decimals) {
+    return this._getNumberFormat({
+      style: 'unit',
+      unit,
+      unitDisplay: 'narrow',
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(value);
+  },
+
+  /**
+   * Check for a missing or non-numeric value
+   * @private
+   */
+  _isBlank(value) {
+    return value === null || value === undefined || isNaN(value);
+  },
+
   /**
    * Format currency value
    * @param {number} value - Value to format
-   * @param {string} symbol - Currency symbol (default from config)
-   * @param {number} decimals - Decimal places
+   * @param {string|null} code - Currency code (default: base currency)
+   * @param {number|null} decimals - Decimal places (default: the currency's own)
    * @returns {string} Formatted currency
    */
-  currency(value, symbol = CONFIG.CURRENCY.symbol, decimals = CONFIG.CURRENCY.decimals) {
-    if (value === null || value === undefined || isNaN(value)) {
-      return `${symbol}0.00`;
-    }
-    return `${symbol}${value.toFixed(decimals)}`;
+  currency(value, code = null, decimals = null) {
+    const currency = CONFIG.getCurrency(code);
+    const places = decimals ?? currency.decimals;
+
+    return this._getNumberFormat({
+      style: 'currency',
+      currency: currency.code,
+      currencyDisplay: 'narrowSymbol',
+      minimumFractionDigits: places,
+      maximumFractionDigits: places,
+    }).format(this._isBlank(value) ? 0 : value);
   },
 
   /**
@@ -25,26 +110,53 @@ const Formatters = {
    * @returns {string} Formatted number
    */
   number(value, decimals = 0) {
-    if (value === null || value === undefined || isNaN(value)) {
-      return '0';
-    }
-    return value.toLocaleString(undefined, {
+    return this._getNumberFormat({
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(this._isBlank(value) ? 0 : value);
+  },
+
+  /**
+   * Format number for a data export (locale decimal separator, no thousands separator)
+   * @param {number} value - Value to format
+   * @param {number} decimals - Decimal places
+   * @returns {string} Formatted number
+   */
+  exportNumber(value, decimals = 2) {
+    return this._getNumberFormat({
       minimumFractionDigits: decimals,
       maximumFractionDigits: decimals,
-    });
+      useGrouping: false,
+    }).format(this._isBlank(value) ? 0 : value);
+  },
+
+  /**
+   * Format a number as a form input value (locale decimal separator, no thousands separator)
+   * Helpers.parseNumber reads it back as the same number.
+   * @param {number|string|null} value - Value to format
+   * @returns {string} Input value ('' when missing)
+   */
+  inputNumber(value) {
+    if (value === '' || this._isBlank(value)) return '';
+    return this._getNumberFormat({
+      maximumFractionDigits: 10,
+      useGrouping: false,
+    }).format(value);
   },
 
   /**
    * Format percentage
    * @param {number} value - Value (0-100)
    * @param {number} decimals - Decimal places
+   * @param {number} minDecimals - Decimal places always shown (default: all of them)
    * @returns {string} Formatted percentage
    */
-  percent(value, decimals = 1) {
-    if (value === null || value === undefined || isNaN(value)) {
-      return '0%';
-    }
-    return `${value.toFixed(decimals)}%`;
+  percent(value, decimals = 1, minDecimals = decimals) {
+    return this._getNumberFormat({
+      style: 'percent',
+      minimumFractionDigits: minDecimals,
+      maximumFractionDigits: decimals,
+    }).format(this._isBlank(value) ? 0 : value / 100);
   },
 
   /**
@@ -61,9 +173,9 @@ const Formatters = {
     const mins = Math.round(minutes % 60);
 
     if (hrs > 0 && mins > 0) {
-      return `${hrs}h ${mins}m`;
+      return `${this.number(hrs)}h ${mins}m`;
     } else if (hrs > 0) {
-      return `${hrs}h`;
+      return `${this.number(hrs)}h`;
     } else {
       return `${mins}m`;
     }
@@ -84,7 +196,7 @@ const Formatters = {
 
     const parts = [];
     if (hrs > 0) {
-      parts.push(`${hrs} hour${hrs > 1 ? 's' : ''}`);
+      parts.push(`${this.number(hrs)} hour${hrs > 1 ? 's' : ''}`);
     }
     if (mins > 0) {
       parts.push(`${mins} minute${mins > 1 ? 's' : ''}`);
@@ -100,14 +212,14 @@ const Formatters = {
    * @returns {string} Formatted weight
    */
   weight(grams, decimals = 1) {
-    if (grams === null || grams === undefined || isNaN(grams)) {
-      return '0g';
+    if (this._isBlank(grams)) {
+      return this._unit(0, 'gram', 0);
     }
 
     if (grams >= 1000) {
-      return `${(grams / 1000).toFixed(decimals)}kg`;
+      return this._unit(grams / 1000, 'kilogram', decimals);
     }
-    return `${grams.toFixed(decimals)}g`;
+    return this._unit(grams, 'gram', decimals);
   },
 
   /**
@@ -117,14 +229,14 @@ const Formatters = {
    * @returns {string} Formatted length
    */
   length(mm, decimals = 2) {
-    if (mm === null || mm === undefined || isNaN(mm)) {
-      return '0mm';
+    if (this._isBlank(mm)) {
+      return this._unit(0, 'millimeter', 0);
     }
 
     if (mm >= 1000) {
-      return `${(mm / 1000).toFixed(decimals)}m`;
+      return this._unit(mm / 1000, 'meter', decimals);
     }
-    return `${mm.toFixed(decimals)}mm`;
+    return this._unit(mm, 'millimeter', decimals);
   },
 
   /**
@@ -133,10 +245,10 @@ const Formatters = {
    * @returns {string} Formatted power
    */
   power(watts) {
-    if (watts === null || watts === undefined || isNaN(watts)) {
+    if (this._isBlank(watts)) {
       return '0W';
     }
-    return `${Math.round(watts)}W`;
+    return `${this.number(Math.round(watts))}W`;
   },
 
   /**
@@ -146,21 +258,25 @@ const Formatters = {
    * @returns {string} Formatted energy
    */
   energy(kwh, decimals = 3) {
-    if (kwh === null || kwh === undefined || isNaN(kwh)) {
-      return '0 kWh';
+    if (this._isBlank(kwh)) {
+      return `${this.number(0)} kWh`;
     }
-    return `${kwh.toFixed(decimals)} kWh`;
+    return `${this.number(kwh, decimals)} kWh`;
   },
 
   /**
    * Format date to locale string
+   * "YYYY-MM-DD" strings are calendar days and are shown as that day in any timezone.
    * @param {string|Date} date - Date to format
+   * @param {Object} options - Intl.DateTimeFormat options (default: numeric date)
    * @returns {string} Formatted date
    */
-  date(date) {
+  date(date, options = {}) {
     if (!date) return '';
-    const d = new Date(date);
-    return d.toLocaleDateString();
+    const d = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? new Date(`${date}T00:00:00`)
+      : new Date(date);
+    return this._getDateTimeFormat(options).format(d);
   },
 
   /**
@@ -171,7 +287,7 @@ const Formatters = {
   dateTime(date) {
     if (!date) return '';
     const d = new Date(date);
-    return d.toLocaleString();
+    return this._getDateTimeFormat({ dateStyle: 'short', timeStyle: 'short' }).format(d);
   },
 
   /**
@@ -185,6 +301,18 @@ const Formatters = {
     return d.toISOString().split('T')[0];
   },
 
+  /**
+   * Format date for a datetime-local input (YYYY-MM-DDTHH:MM, local time)
+   * @param {string|Date} date - Date to format
+   * @returns {string} Input value string
+   */
+  dateTimeLocal(date) {
+    if (!date) return '';
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  },
+
   /**
    * Format file size
    * @param {number} bytes - Size in bytes
@@ -198,31 +326,33 @@ const Formatters = {
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
 
-    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(decimals))} ${sizes[i]}`;
+    return `${this._getNumberFormat({ maximumFractionDigits: decimals }).format(bytes / Math.pow(k, i))} ${sizes[i]}`;
   },
 
   /**
    * Format price per gram
    * @param {number} pricePerGram - Price per gram
+   * @param {string|null} code - Currency code (default: base currency)
    * @returns {string} Formatted price
    */
-  pricePerGram(pricePerGram) {
-    if (pricePerGram === null || pricePerGram === undefined || isNaN(pricePerGram)) {
-      return `${CONFIG.CURRENCY.symbol}0.00/g`;
+  pricePerGram(pricePerGram, code = null) {
+    if (this._isBlank(pricePerGram)) {
+      return `${this.currency(0, code, 2)}/g`;
     }
-    return `${CONFIG.CURRENCY.symbol}${pricePerGram.toFixed(4)}/g`;
+    return `${this.currency(pricePerGram, code, 4)}/g`;
   },
 
   /**
    * Format price per hour
    * @param {number} pricePerHour - Price per hour
+   * @param {string|null} code - Currency code (default: base currency)
    * @returns {string} Formatted price
    */
-  pricePerHour(pricePerHour) {
-    if (pricePerHour === null || pricePerHour === undefined || isNaN(pricePerHour)) {
-      return `${CONFIG.CURRENCY.symbol}0.00/hr`;
+  pricePerHour(pricePerHour, code = null) {
+    if (this._isBlank(pricePerHour)) {
+      return `${this.currency(0, code, 2)}/hr`;
     }
-    return `${CONFIG.CURRENCY.symbol}${pricePerHour.toFixed(4)}/hr`;
+    return `${this.currency(pricePerHour, code, 4)}/hr`;
   },
 
   /**
@@ -231,10 +361,7 @@ const Formatters = {
    * @returns {string} Formatted rate
    */
   electricityRate(rate) {
-    if (rate === null || rate === undefined || isNaN(rate)) {
-      return `${CONFIG.CURRENCY.symbol}0.00/kWh`;
-    }
-    return `${CONFIG.CURRENCY.symbol}${rate.toFixed(2)}/kWh`;
+    return `${this.currency(rate, null, 2)}/kWh`;
   },
 
   /**
@@ -243,10 +370,7 @@ const Formatters = {
    * @returns {string} Formatted temperature
    */
   temperature(temp) {
-    if (temp === null || temp === undefined || isNaN(temp)) {
-      return '0°C';
-    }
-    return `${Math.round(temp)}°C`;
+    return this._unit(this._isBlank(temp) ? 0 : Math.round(temp), 'celsius', 0);
   },
 
   /**
@@ -256,7 +380,7 @@ const Formatters = {
    * @returns {string} Formatted range
    */
   temperatureRange(min, max) {
-    return `${Math.round(min)}°C - ${Math.round(max)}°C`;
+    return `${this.temperature(min)} - ${this.temperature(max)}`;
   },
 
   /**
@@ -266,7 +390,7 @@ const Formatters = {
    */
   buildVolume(volume) {
     if (!volume) return '';
-    return `${volume.x} × ${volume.y} × ${volume.z} mm`;
+    return `${this.number(volume.x)} × ${this.number(volume.y)} × ${this.number(volume.z)} mm`;
   },
 
   /**
@@ -96,23 +96,47 @@ const Helpers = {
 
   /**
    * Parse a number, returning default if invalid
+   * Typed numbers may use a comma decimal and thousands separators ("12,5", "1.234,5", "1 234.5").
    * @param {*} value - Value to parse
    * @param {number} defaultValue - Default if invalid
    * @returns {number} Parsed number
    */
   parseNumber(value, defaultValue = 0) {
-    const parsed = parseFloat(value);
+    const parsed = typeof value === 'number' ? value : parseFloat(this.normalizeNumber(value));
     return isNaN(parsed) ? defaultValue : parsed;
   },
 
+  /**
+   * Rewrite a typed number with "." as the only decimal separator and no grouping
+   * The last of "." or "," is the decimal separator. A lone comma is grouping only in
+   * locales with a "." decimal when it splits off groups of three digits ("1,234").
+   * @param {*} value - Typed value
+   * @returns {string} Normalized number text
+   */
+  normalizeNumber(value) {
+    const text = String(value ?? '').trim().replace(/[\s\u00a0\u202f']/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+
+    if (lastComma === -1) return text;
+    if (lastDot > lastComma) return text.replace(/,/g, '');
+    if (lastDot === -1 && Formatters.getDecimalSeparator() === '.' && /^-?\d{1,3}(,\d{3})+$/.test(text)) {
+      return text.replace(/,/g, '');
+    }
+
+    const whole = text.slice(0, lastComma).replace(/[.,]/g, '');
+    return `${whole}.${text.slice(lastComma + 1)}`;
+  },
+
   /**
    * Parse an integer, returning default if invalid
+   * Reads separators like parseNumber, then drops any fraction.
    * @param {*} value - Value to parse
    * @param {number} defaultValue - Default if invalid
    * @returns {number} Parsed integer
    */
   parseInt(value, defaultValue = 0) {
-    const parsed = parseInt(value, 10);
+    const parsed = Math.trunc(this.parseNumber(value, NaN));
     return isNaN(parsed) ? defaultValue : parsed;
   },
 
@@ -199,7 +223,7 @@ const Helpers = {
     if (diffWeeks < 4) return `${diffWeeks} week${diffWeeks > 1 ? 's' : ''} ago`;
     if (diffMonths < 12) return `${diffMonths} month${diffMonths > 1 ? 's' : ''} ago`;
 
-    return then.toLocaleDateString();
+    return Formatters.date(then);
   },
 
   /**
@@ -11,6 +11,11 @@ class StorageManager {
       filaments: 'filaments',
       consumables: 'consumables',
       printHistory: 'printHistory',
+      salesChannels: 'salesChannels',
+      hardware: 'hardware',
+      packaging: 'packaging',
+      shippingRates: 'shippingRates',
+      dryers: 'dryers',
       settings: 'settings',
     };
   }
@@ -227,6 +232,191 @@ class StorageManager {
     return this.savePrintHistory(history);
   }
 
+  // ============================================================
+  // Sales Channels
+  // ============================================================
+
+  getSalesChannels() {
+    const data = this.get(this.keys.salesChannels) || [];
+    return data.map(c => SalesChannel.fromJSON(c));
+  }
+
+  saveSalesChannels(channels) {
+    const data = channels.map(c => c.toJSON ? c.toJSON() : c);
+    return this.set(this.keys.salesChannels, data);
+  }
+
+  getSalesChannel(id) {
+    const channels = this.getSalesChannels();
+    return channels.find(c => c.id === id) || null;
+  }
+
+  saveSalesChannel(channel) {
+    const channels = this.getSalesChannels();
+    const index = channels.findIndex(c => c.id === channel.id);
+
+    if (index > -1) {
+      channels[index] = channel;
+    } else {
+      channels.push(channel);
+    }
+
+    return this.saveSalesChannels(channels);
+  }
+
+  deleteSalesChannel(id) {
+    const channels = this.getSalesChannels().filter(c => c.id !== id);
+    return this.saveSalesChannels(channels);
+  }
+
+  // ============================================================
+  // Hardware
+  // ============================================================
+
+  getHardwareItems() {
+    const data = this.get(this.keys.hardware) || [];
+    return data.map(h => HardwareItem.fromJSON(h));
+  }
+
+  saveHardwareItems(items) {
+    const data = items.map(h => h.toJSON ? h.toJSON() : h);
+    return this.set(this.keys.hardware, data);
+  }
+
+  getHardwareItem(id) {
+    const items = this.getHardwareItems();
+    return items.find(h => h.id === id) || null;
+  }
+
+  saveHardwareItem(item) {
+    const items = this.getHardwareItems();
+    const index = items.findIndex(h => h.id === item.id);
+
+    if (index > -1) {
+      items[index] = item;
+    } else {
+      items.push(item);
+    }
+
+    return this.saveHardwareItems(items);
+  }
+
+  deleteHardwareItem(id) {
+    const items = this.getHardwareItems().filter(h => h.id !== id);
+    return this.saveHardwareItems(items);
+  }
+
+  // ============================================================
+  // Packaging
+  // ============================================================
+
+  getPackagingItems() {
+    const data = this.get(this.keys.packaging) || [];
+    return data.map(p => PackagingItem.fromJSON(p));
+  }
+
+  savePackagingItems(items) {
+    const data = items.map(p => p.toJSON ? p.toJSON() : p);
+    return this.set(this.keys.packaging, data);
+  }
+
+  getPackagingItem(id) {
+    const items = this.getPackagingItems();
+    return items.find(p => p.id === id) || null;
+  }
+
+  savePackagingItem(item) {
+    const items = this.getPackagingItems();
+    const index = items.findIndex(p => p.id === item.id);
+
+    if (index > -1) {
+      items[index] = item;
+    } else {
+      items.push(item);
+    }
+
+    return this.savePackagingItems(items);
+  }
+
+  deletePackagingItem(id) {
+    const items = this.getPackagingItems().filter(p => p.id !== id);
+    return this.savePackagingItems(items);
+  }
+
+  // ============================================================
+  // Shipping Rates
+  // ============================================================
+
+  getShippingRateTables() {
+    const data = this.get(this.keys.shippingRates) || [];
+    return data.map(r => ShippingRateTable.fromJSON(r));
+  }
+
+  saveShippingRateTables(tables) {
+    const data = tables.map(r => r.toJSON ? r.toJSON() : r);
+    return this.set(this.keys.shippingRates, data);
+  }
+
+  getShippingRateTable(id) {
+    const tables = this.getShippingRateTables();
+    return tables.find(r => r.id === id) || null;
+  }
+
+  saveShippingRateTable(table) {
+    const tables = this.getShippingRateTables();
+    const index = tables.findIndex(r => r.id === table.id);
+
+    if (index > -1) {
+      tables[index] = table;
+    } else {
+      tables.push(table);
+    }
+
+    return this.saveShippingRateTables(tables);
+  }
+
+  deleteShippingRateTable(id) {
+    const tables = this.getShippingRateTables().filter(r => r.id !== id);
+    return this.saveShippingRateTables(tables);
+  }
+
+  // ============================================================
+  // Dryers
+  // ============================================================
+
+  getDryers() {
+    const data = this.get(this.keys.dryers) || [];
+    return data.map(d => Dryer.fromJSON(d));
+  }
+
+  saveDryers(dryers) {
+    const data = dryers.map(d => d.toJSON ? d.toJSON() : d);
+    return this.set(this.keys.dryers, data);
+  }
+
+  getDryer(id) {
+    const dryers = this.getDryers();
+    return dryers.find(d => d.id === id) || null;
+  }
+
+  saveDryer(dryer) {
+    const dryers = this.getDryers();
+    const index = dryers.findIndex(d => d.id === dryer.id);
+
+    if (index > -1) {
+      dryers[index] = dryer;
+    } else {
+      dryers.push(dryer);
+    }
+
+    return this.saveDryers(dryers);
+  }
+
+  deleteDryer(id) {
+    const dryers = this.getDryers().filter(d => d.id !== id);
+    return this.saveDryers(dryers);
+  }
+
   // ============================================================
   // Settings
   // ============================================================
@@ -236,7 +426,17 @@ class StorageManager {
       location: null,
       electricityRate: 0.15,
       currency: 'USD',
+      locale: null,
+      filamentCosting: 'latest',
       defaultFailureRate: CONFIG.DEFAULTS.FAILURE_RATE,
+      failureMinSamples: CONFIG.DEFAULTS.FAILURE_MIN_SAMPLES,
+      targetMarginPercent: CONFIG.DEFAULTS.TARGET_MARGIN_PERCENT,
+      quoteDefaults: null,
+      simulationRanges: null,
+      breakEvenPlan: null,
+      tariffSchedule: { enabled: false, bands: [] },
+      overheadPool: { items: [], expectedMonthlyHours: CONFIG.DEFAULTS.OVERHEAD_MONTHLY_HOURS },
+      exchangeRates: { rates: [] },
       theme: 'light',
       firstLaunch: true,
     };
@@ -257,6 +457,57 @@ class StorageManager {
     return this.saveSettings(settings);
   }
 
+  /**
+   * Get the time-of-use tariff schedule from settings
+   * @returns {TariffSchedule} TariffSchedule instance
+   */
+  getTariffSchedule() {
+    return TariffSchedule.fromJSON(this.getSetting('tariffSchedule'));
+  }
+
+  /**
+   * Save the time-of-use tariff schedule to settings
+   * @param {TariffSchedule|Object} schedule - TariffSchedule instance or plain object
+   * @returns {boolean} Success status
+   */
+  saveTariffSchedule(schedule) {
+    return this.saveSetting('tariffSchedule', schedule.toJSON ? schedule.toJSON() : schedule);
+  }
+
+  /**
+   * Get the shop overhead pool from settings
+   * @returns {OverheadPool} OverheadPool instance
+   */
+  getOverheadPool() {
+    return OverheadPool.fromJSON(this.getSetting('overheadPool'));
+  }
+
+  /**
+   * Save the shop overhead pool to settings
+   * @param {OverheadPool|Object} pool - OverheadPool instance or plain object
+   * @returns {boolean} Success status
+   */
+  saveOverheadPool(pool) {
+    return this.saveSetting('overheadPool', pool.toJSON ? pool.toJSON() : pool);
+  }
+
+  /**
+   * Get the exchange rate table from settings
+   * @returns {ExchangeRateTable} ExchangeRateTable instance
+   */
+  getExchangeRates() {
+    return ExchangeRateTable.fromJSON(this.getSetting('exchangeRates'));
+  }
+
+  /**
+   * Save the exchange rate table to settings
+   * @param {ExchangeRateTable|Object} table - ExchangeRateTable instance or plain object
+   * @returns {boolean} Success status
+   */
+  saveExchangeRates(table) {
+    return this.saveSetting('exchangeRates', table.toJSON ? table.toJSON() : table);
+  }
+
   // ============================================================
   // Import / Export
   // ============================================================
@@ -273,6 +524,11 @@ class StorageManager {
       filaments: this.get(this.keys.filaments) || [],
       consumables: this.get(this.keys.consumables) || [],
       printHistory: this.get(this.keys.printHistory) || [],
+      salesChannels: this.get(this.keys.salesChannels) || [],
+      hardware: this.get(this.keys.hardware) || [],
+      packaging: this.get(this.keys.packaging) || [],
+      shippingRates: this.get(this.keys.shippingRates) || [],
+      dryers: this.get(this.keys.dryers) || [],
       settings: this.get(this.keys.settings) || {},
     };
 
@@ -300,6 +556,11 @@ class StorageManager {
         filaments: 0,
         consumables: 0,
         printHistory: 0,
+        salesChannels: 0,
+        hardware: 0,
+        packaging: 0,
+        shippingRates: 0,
+        dryers: 0,
       };
 
       if (options.merge) {
@@ -331,6 +592,41 @@ class StorageManager {
           this.set(this.keys.printHistory, merged);
           stats.printHistory = data.printHistory.length;
         }
+
+        if (data.salesChannels) {
+          const existing = this.get(this.keys.salesChannels) || [];
+          const merged = this._mergeArraysById(existing, data.salesChannels);
+          this.set(this.keys.salesChannels, merged);
+          stats.salesChannels = data.salesChannels.length;
+        }
+
+        if (data.hardware) {
+          const existing = this.get(this.keys.hardware) || [];
+          const merged = this._mergeArraysById(existing, data.hardware);
+          this.set(this.keys.hardware, merged);
+          stats.hardware = data.hardware.length;
+        }
+
+        if (data.packaging) {
+          const existing = this.get(this.keys.packaging) || [];
+          const merged = this._mergeArraysById(existing, data.packaging);
+          this.set(this.keys.packaging, merged);
+          stats.packaging = data.packaging.length;
+        }
+
+        if (data.shippingRates) {
+          const existing = this.get(this.keys.shippingRates) || [];
+          const merged = this._mergeArraysById(existing, data.shippingRates);
+          this.set(this.keys.shippingRates, merged);
+          stats.shippingRates = data.shippingRates.length;
+        }
+
+        if (data.dryers) {
+          const existing = this.get(this.keys.dryers) || [];
+          const merged = this._mergeArraysById(existing, data.dryers);
+          this.set(this.keys.dryers, merged);
+          stats.dryers = data.dryers.length;
+        }
       } else {
         // Replace all data
         if (data.printers) {
@@ -353,6 +649,31 @@ class StorageManager {
           stats.printHistory = data.printHistory.length;
         }
 
+        if (data.salesChannels) {
+          this.set(this.keys.salesChannels, data.salesChannels);
+          stats.salesChannels = data.salesChannels.length;
+        }
+
+        if (data.hardware) {
+          this.set(this.keys.hardware, data.hardware);
+          stats.hardware = data.hardware.length;
+        }
+
+        if (data.packaging) {
+          this.set(this.keys.packaging, data.packaging);
+          stats.packaging = data.packaging.length;
+        }
+
+        if (data.shippingRates) {
+          this.set(this.keys.shippingRates, data.shippingRates);
+          stats.shippingRates = data.shippingRates.length;
+        }
+
+        if (data.dryers) {
+          this.set(this.keys.dryers, data.dryers);
+          stats.dryers = data.dryers.length;
+        }
+
         if (data.settings) {
           this.set(this.keys.settings, data.settings);
         }
@@ -414,9 +735,28 @@ class StorageManager {
     const completedPrints = history.filter(p => p.status === 'completed');
     const failedPrints = history.filter(p => p.status === 'failed');
 
-    const totalCost = history.reduce((sum, p) => sum + (p.costs?.total || 0), 0);
+    // Costs in the base currency; jobs costed in a currency without a rate are totalled separately
+    const exchangeRates = this.getExchangeRates();
+    const unconvertedCosts = {};
+    let totalCost = 0;
+    let convertedPrints = 0;
+    let convertedUnits = 0;
+    history.forEach(p => {
+      const cost = p.convertCost(p.costs?.total || 0, exchangeRates);
+      if (cost === null) {
+        const code = p.calculationParams.currency;
+        unconvertedCosts[code] = (unconvertedCosts[code] || 0) + (p.costs?.total || 0);
+      } else {
+        totalCost += cost;
+        convertedPrints += 1;
+        convertedUnits += p.quantity || 0;
+      }
+    });
+
     const totalFilament = history.reduce((sum, p) => sum + (p.filamentUsedGrams || 0), 0);
+    const totalWaste = history.reduce((sum, p) => sum + (p.filamentWasteGrams || 0), 0);
     const totalTime = history.reduce((sum, p) => sum + (p.printTimeMinutes || 0), 0);
+    const totalUnits = history.reduce((sum, p) => sum + (p.quantity || 0), 0);
 
     return {
       totalPrints: history.length,
@@ -426,9 +766,14 @@ class StorageManager {
         ? (completedPrints.length / history.length) * 100
         : 0,
       totalCost,
+      unconvertedCosts,
       totalFilament,
+      totalWaste,
+      wastePercent: totalFilament + totalWaste > 0 ? (totalWaste / (totalFilament + totalWaste)) * 100 : 0,
       totalTime,
-      averageCost: history.length > 0 ? totalCost / history.length : 0,
+      averageCost: convertedPrints > 0 ? totalCost / convertedPrints : 0,
+      totalUnits,
+      averageUnitCost: convertedUnits > 0 ? totalCost / convertedUnits : 0,
       printerCount: this.getPrinters().length,
       filamentCount: this.getFilaments().length,
       consumableCount: this.getConsumables().length,